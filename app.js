@@ -1,24 +1,39 @@
 import express from 'express';
 import path from 'path';
 import dotenv from 'dotenv';
+import hbs from 'hbs';
 import { fileURLToPath } from 'url';
+import config from './services/config.js';
+import { installConsoleRedaction } from './services/redaction.js';
 
 // Configure environment variables FIRST
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 dotenv.config({ path: path.join(__dirname, '.env') });
 
-// Debug log to verify loading
-console.log('Environment Variables Loaded:', {
-    GROQ_API_KEY: process.env.GROQ_API_KEY ? '****' + process.env.GROQ_API_KEY.slice(-4) : 'MISSING',
-    NODE_ENV: process.env.NODE_ENV
-});
+// Secrets never reach the logs, whichever module writes them
+installConsoleRedaction();
+
+// Stop on invalid settings instead of failing in the first request that reads them
+let settings;
+try {
+    settings = config.load();
+} catch (error) {
+    console.error(error.message);
+    process.exit(1);
+}
+config.warnings.forEach(warning => console.warn(`Warning: ${warning}`));
+console.log('Configuration loaded:', config.source || 'environment only', config.describe());
 
 const app = express();
 
 const publicDirectory = path.join(__dirname, './public');
 app.use(express.static(publicDirectory));
 
+// GitHub webhooks are verified against the exact bytes sent, so they skip the body parsers
+import githubWebhookController from './controllers/githubWebhookController.js';
+app.post('/api/github/webhook', express.raw({ type: () => true, limit: '25mb' }), githubWebhookController.receiveWebhook);
+
 // Parse URL-encoded bodies (as sent by html forms)
 app.use(express.urlencoded({ extended: false }));
 
@@ -26,6 +41,7 @@ app.use(express.urlencoded({ extended: false }));
 app.use(express.json());
 
 app.set('view engine', 'hbs');
+hbs.registerPartials(path.join(__dirname, 'views/partials'));
 
 // Define routes
 import pagesRouter from './routes/pages.js';
@@ -40,10 +56,56 @@ app.use((req, res, next) => {
     next();
 });
 
+// API requests carry the anonymous user their history and bookmarks belong to
+import historyController from './controllers/historyController.js';
+app.use('/api', historyController.identifyUser);
+
 // Import controller
 import onboardingController from './controllers/onboardingController.js';
 app.post('/api/analyze', onboardingController.analyzeRepository);
+app.get('/api/analyze/stream', onboardingController.streamAnalysis);
+
+import jobQueue from './services/jobQueue.js';
+import jobController from './controllers/jobController.js';
+app.get('/api/jobs/:id', jobController.getJob);
+
+// Background analyses and welcome comments, resumed from disk after a restart
+jobQueue.register('analysis', onboardingController.analysisJob);
+jobQueue.register('welcome', githubWebhookController.welcomeJob);
+jobQueue.start();
+
+import exportController from './controllers/exportController.js';
+app.get('/api/analysis/:owner/:repo/export', exportController.exportAnalysis);
 
-app.listen(process.env.PORT, () => {
-    console.log(`Server started on ${process.env.PORT}`);
-});
\ No newline at end of file
+import chatController from './controllers/chatController.js';
+app.post('/api/repos/:owner/:repo/chat', chatController.chat);
+
+import comparisonController from './controllers/comparisonController.js';
+app.post('/api/compare', comparisonController.compareRepositories);
+
+import ownerScanController from './controllers/ownerScanController.js';
+app.get('/api/scan', ownerScanController.scanOwner);
+
+app.get('/api/history', historyController.listHistory);
+app.get('/api/history/:id', historyController.getAnalysis);
+app.get('/api/history/:id/diff', historyController.diffAnalysis);
+app.get('/api/bookmarks', historyController.listBookmarks);
+app.post('/api/bookmarks', historyController.addBookmark);
+app.delete('/api/bookmarks/:key', historyController.removeBookmark);
+
+import watchService from './services/watchService.js';
+import watchController from './controllers/watchController.js';
+app.get('/api/watchlists', watchController.listWatchLists);
+app.post('/api/watchlists', watchController.createWatchList);
+app.get('/api/watchlists/:id', watchController.getWatchList);
+app.patch('/api/watchlists/:id', watchController.updateWatchList);
+app.delete('/api/watchlists/:id', watchController.deleteWatchList);
+app.post('/api/watchlists/:id/check', watchController.checkWatchList);
+app.get('/api/watchlists/:id/feed', watchController.watchFeed);
+
+// Checks watched repositories for new beginner-friendly issues on a schedule
+watchService.start();
+
+app.listen(settings.server.port, () => {
+    console.log(`Server started on ${settings.server.port}`);
+});
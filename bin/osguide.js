@@ -0,0 +1,354 @@
+#!/usr/bin/env node
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import dotenv from 'dotenv';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import onboardingController from '../controllers/onboardingController.js';
+import analysisService from '../services/analysisService.js';
+import exportService from '../services/exportService.js';
+import retrievalService from '../services/retrievalService.js';
+import forgeRegistry from '../services/forgeRegistry.js';
+import config from '../services/config.js';
+import { signPayload } from '../services/welcomeService.js';
+import { installConsoleRedaction } from '../services/redaction.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+dotenv.config({ path: path.join(__dirname, '..', '.env'), quiet: true });
+installConsoleRedaction();
+
+const { describeGitHubError } = onboardingController;
+
+// Exit codes for the HTTP statuses analyzeRepository responds with
+const EXIT_CODES = {
+    400: 2, // invalid repository URL, usage or configuration
+    401: 3, // forge authentication failed
+    403: 4, // access forbidden
+    404: 5, // repository not found
+    429: 6, // rate limit exceeded
+    500: 1
+};
+
+// How often replay checks on the welcome job a delivery started
+const REPLAY_POLL_INTERVAL_MS = 1000;
+
+const USAGE = `Usage: osguide analyze [options] <repo...>
+       osguide search [options] <repo> <query...>
+       osguide replay [options] <fixture>
+
+analyze runs the onboarding analysis for one or more repositories on GitHub,
+GitLab, Gitea or a configured GitHub Enterprise instance.
+search finds the passages of a repository's files most relevant to a query,
+indexing the repository first when needed.
+replay sends a recorded GitHub webhook delivery (see fixtures/webhooks) to a
+running server, signed with GITHUB_WEBHOOK_SECRET, and prints the welcome
+comment it leads to. Set GITHUB_WEBHOOK_DRY_RUN on the server to build the
+comment without posting it.
+Repositories can be given as URLs, git@ remotes or owner/repo (for github.com).
+
+Options:
+  -f, --format <format>  Output format: markdown (default) or json
+  -i, --input <file>     Read repositories from a file, one per line (# starts a comment)
+  -r, --refresh          Ignore cached analyses
+  -n, --limit <count>    Number of search results (default 5)
+  -o, --offline          Search the stored index without contacting the forge
+  -u, --url <url>        Webhook endpoint to replay to (default http://localhost:PORT/api/github/webhook)
+  -q, --quiet            Hide progress logs
+  -h, --help             Show this help
+
+Exit codes: 0 success, 1 unexpected error, 2 invalid input or configuration,
+3 authentication failed, 4 access forbidden, 5 repository not found, 6 rate limit exceeded.
+When several repositories fail, the code of the first failure is used.`;
+
+/**
+ * Reads repository references from a file, skipping blanks and comments
+ * @param {string} file - Path to the list
+ * @returns {Promise<Array<string>>} - Repository references
+ */
+async function readRepoList(file) {
+    const content = await fs.readFile(file, 'utf-8');
+    return content
+        .split('\n')
+        .map(line => line.replace(/#.*$/, '').trim())
+        .filter(Boolean);
+}
+
+/**
+ * Runs the analysis for one repository reference
+ * @param {string} input - Repository URL or owner/repo
+ * @param {boolean} refresh - Ignore cached analyses
+ * @returns {Promise<Object>} - Object with input, status and either response or error properties
+ */
+async function analyzeOne(input, refresh) {
+    const parsedRepo = forgeRegistry.parseRepositoryUrl(input);
+    if (!parsedRepo) {
+        return { input, status: 400, error: { error: 'Invalid repository URL', message: `'${input}' is not a repository URL on a known forge, or owner/repo` } };
+    }
+    
+    const { owner, repo } = parsedRepo;
+    console.log(`Analyzing repository: ${owner}/${repo}`);
+    
+    let resolved;
+    try {
+        resolved = await analysisService.resolveRepository(parsedRepo);
+    } catch (error) {
+        const { status, body } = describeGitHubError(error, owner, repo);
+        return { input, status, error: body };
+    }
+    
+    try {
+        return { input, status: 200, response: await analysisService.analyze(resolved, { refresh }) };
+    } catch (error) {
+        return { input, status: 500, error: { error: 'Internal error', message: error.message } };
+    }
+}
+
+/**
+ * Searches a repository's retrieval index. The stored index is used when
+ * offline, or when the forge cannot be reached to find the current commit.
+ * @param {string} input - Repository URL or owner/repo
+ * @param {string} query - Search query
+ * @param {Object} options - Parsed command line options
+ * @returns {Promise<Object>} - Object with status and either results or error properties
+ */
+async function searchOne(input, query, { offline, limit }) {
+    const parsedRepo = forgeRegistry.parseRepositoryUrl(input);
+    if (!parsedRepo) {
+        return { status: 400, error: { error: 'Invalid repository URL', message: `'${input}' is not a repository URL on a known forge, or owner/repo` } };
+    }
+    
+    const { forge, owner, repo } = parsedRepo;
+    let entry = null;
+    
+    if (!offline) {
+        try {
+            const { commitSha } = await analysisService.resolveRepository(parsedRepo);
+            entry = await retrievalService.getIndex(owner, repo, commitSha, { forge });
+        } catch (error) {
+            const { status, body } = describeGitHubError(error, owner, repo);
+            if (status !== 500) {
+                return { status, error: body };
+            }
+            console.warn(`Could not reach ${forge.name}, searching the stored index: ${error.message}`);
+        }
+    }
+    
+    entry = entry || await retrievalService.getIndex(owner, repo, null, { offline: true, forge });
+    if (!entry) {
+        return { status: 404, error: { error: 'Index not found', message: `No index is stored for ${owner}/${repo}; search it once while online` } };
+    }
+    if (entry.stale) {
+        console.warn(`Using the index of ${entry.sha.slice(0, 7)}, built ${entry.builtAt}`);
+    }
+    
+    return { status: 200, results: retrievalService.search(entry, query, { limit }) };
+}
+
+/**
+ * Sends a recorded webhook delivery to a running server, signed the way
+ * GitHub signs it, and waits for the welcome job it starts
+ * @param {string} file - Fixture with event and payload properties
+ * @param {string} url - Webhook endpoint
+ * @param {string} secret - Webhook secret
+ * @returns {Promise<Object>} - Object with status and either result or error properties
+ */
+async function replayDelivery(file, url, secret) {
+    let fixture;
+    try {
+        fixture = JSON.parse(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+        return { status: 400, error: { error: 'Invalid fixture', message: `could not read ${file}: ${error.message}` } };
+    }
+    if (!fixture || typeof fixture.event !== 'string' || !fixture.payload) {
+        return { status: 400, error: { error: 'Invalid fixture', message: `${file} needs event and payload properties` } };
+    }
+    
+    const body = JSON.stringify(fixture.payload);
+    let response;
+    try {
+        response = await fetch(url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-GitHub-Event': fixture.event,
+                'X-GitHub-Delivery': crypto.randomUUID(),
+                'X-Hub-Signature-256': signPayload(secret, body)
+            },
+            body
+        });
+    } catch (error) {
+        return { status: 500, error: { error: 'Server unreachable', message: `could not reach ${url}: ${error.message}` } };
+    }
+    
+    let job = await response.json();
+    if (response.status !== 202) {
+        return response.ok ? { status: 200, result: job } : { status: response.status, error: job };
+    }
+    
+    console.log(`Delivery accepted, following job ${job.id}`);
+    while (!['completed', 'failed'].includes(job.status)) {
+        await new Promise(resolve => setTimeout(resolve, REPLAY_POLL_INTERVAL_MS));
+        const jobResponse = await fetch(new URL(job.statusUrl || `/api/jobs/${job.id}`, url));
+        const update = await jobResponse.json();
+        if (!jobResponse.ok) {
+            return { status: jobResponse.status, error: update };
+        }
+        job = update;
+    }
+    
+    return job.status === 'failed' ? { status: job.error.status, error: job.error } : { status: 200, result: job.result };
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({
+            allowPositionals: true,
+            options: {
+                format: { type: 'string', short: 'f', default: 'markdown' },
+                input: { type: 'string', short: 'i' },
+                refresh: { type: 'boolean', short: 'r', default: false },
+                limit: { type: 'string', short: 'n', default: '5' },
+                offline: { type: 'boolean', short: 'o', default: false },
+                url: { type: 'string', short: 'u' },
+                quiet: { type: 'boolean', short: 'q', default: false },
+                help: { type: 'boolean', short: 'h', default: false }
+            }
+        });
+    } catch (error) {
+        console.error(`osguide: ${error.message}\n\n${USAGE}`);
+        return EXIT_CODES[400];
+    }
+    
+    const { values, positionals } = parsed;
+    const [command, ...repos] = positionals;
+    
+    if (values.help) {
+        console.error(USAGE);
+        return 0;
+    }
+    
+    if (!['analyze', 'search', 'replay'].includes(command) || !['markdown', 'json'].includes(values.format)) {
+        console.error(USAGE);
+        return EXIT_CODES[400];
+    }
+    
+    let settings;
+    try {
+        settings = config.load();
+    } catch (error) {
+        console.error(`osguide: ${error.message}`);
+        return EXIT_CODES[400];
+    }
+    
+    if (command === 'search') {
+        const [input, ...words] = repos;
+        const limit = parseInt(values.limit, 10);
+        if (!input || words.length === 0 || !(limit > 0)) {
+            console.error(`osguide: search needs a repository, a query and a positive --limit\n\n${USAGE}`);
+            return EXIT_CODES[400];
+        }
+        
+        const log = values.quiet ? () => {} : console.error;
+        console.log = log;
+        console.warn = log;
+        
+        const { status, results, error } = await searchOne(input, words.join(' '), { offline: values.offline, limit });
+        if (error) {
+            console.error(`osguide: ${input}: ${error.message}`);
+            return EXIT_CODES[status] || 1;
+        }
+        
+        if (values.format === 'json') {
+            process.stdout.write(`${JSON.stringify(results, null, 2)}\n`);
+        } else {
+            results.forEach(result => {
+                const text = result.text.split('\n').slice(0, 12).map(line => `    ${line}`).join('\n');
+                process.stdout.write(`${result.path}:${result.start}-${result.end} (score ${result.score})\n${text}\n\n`);
+            });
+        }
+        return 0;
+    }
+    
+    if (command === 'replay') {
+        const [file] = repos;
+        if (!file || repos.length > 1) {
+            console.error(`osguide: replay needs one fixture file\n\n${USAGE}`);
+            return EXIT_CODES[400];
+        }
+        if (!settings.githubWebhook.secret) {
+            console.error('osguide: replay signs deliveries with GITHUB_WEBHOOK_SECRET, which is not set');
+            return EXIT_CODES[400];
+        }
+        
+        const log = values.quiet ? () => {} : console.error;
+        console.log = log;
+        
+        const url = values.url || `http://localhost:${settings.server.port}/api/github/webhook`;
+        const { status, result, error } = await replayDelivery(file, url, settings.githubWebhook.secret);
+        if (error) {
+            console.error(`osguide: ${file}: ${error.message}`);
+            return EXIT_CODES[status] || 1;
+        }
+        
+        if (values.format === 'json') {
+            process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+        } else {
+            process.stdout.write(`${result.comment || result.reason || result.ignored || result.message}\n`);
+        }
+        return 0;
+    }
+    
+    if (values.input) {
+        try {
+            repos.push(...await readRepoList(values.input));
+        } catch (error) {
+            console.error(`osguide: could not read ${values.input}: ${error.message}`);
+            return EXIT_CODES[400];
+        }
+    }
+    
+    if (repos.length === 0) {
+        console.error(`osguide: no repositories given\n\n${USAGE}`);
+        return EXIT_CODES[400];
+    }
+    
+    // Service logs go to stderr so stdout only carries the analysis
+    const log = values.quiet ? () => {} : console.error;
+    console.log = log;
+    console.warn = log;
+    
+    const results = [];
+    for (const input of repos) {
+        const result = await analyzeOne(input, values.refresh);
+        if (result.error) {
+            console.error(`osguide: ${input}: ${result.error.message}`);
+        }
+        results.push(result);
+    }
+    
+    if (values.format === 'json') {
+        const entries = results.map(({ input, response, error }) => ({ input, ...(response || error) }));
+        process.stdout.write(`${JSON.stringify(repos.length === 1 ? entries[0] : entries, null, 2)}\n`);
+    } else {
+        const documents = results.filter(result => result.response).map(result => exportService.toMarkdown(result.response).trimEnd());
+        if (documents.length > 0) {
+            process.stdout.write(`${documents.join('\n\n---\n\n')}\n`);
+        }
+    }
+    
+    const failure = results.find(result => result.error);
+    return failure ? (EXIT_CODES[failure.status] || 1) : 0;
+}
+
+main().then(
+    (code) => {
+        process.exitCode = code;
+    },
+    (error) => {
+        console.error('osguide: unexpected error:', error);
+        process.exitCode = 1;
+    }
+);
@@ -0,0 +1,75 @@
+import analysisService from '../services/analysisService.js';
+import chatService from '../services/chatService.js';
+import onboardingController from './onboardingController.js';
+
+const { parseRepositoryParams, applyUserToken, describeGitHubError } = onboardingController;
+
+// Longest question accepted, in characters
+const MAX_QUESTION_LENGTH = 2000;
+
+/**
+ * Answers a follow-up question about a repository. Send the sessionId from
+ * the previous answer to keep the conversation going; a new session is
+ * started when it is missing or has expired.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function chat(req, res) {
+    try {
+        const { message, sessionId } = req.body || {};
+        
+        if (!message || typeof message !== 'string' || !message.trim()) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'message is required and must be a non-empty string'
+            });
+        }
+        if (message.length > MAX_QUESTION_LENGTH) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: `message must be at most ${MAX_QUESTION_LENGTH} characters`
+            });
+        }
+        if (sessionId !== undefined && sessionId !== null && typeof sessionId !== 'string') {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: 'sessionId must be a string'
+            });
+        }
+        
+        const parsedRepo = parseRepositoryParams(req);
+        if (!parsedRepo) {
+            return res.status(400).json({
+                error: 'Invalid repository',
+                message: 'owner and repo must name a repository, on github.com or the forge given as host'
+            });
+        }
+        
+        const { repository, status: tokenStatus, body: tokenError } = applyUserToken(req, parsedRepo);
+        if (tokenError) {
+            return res.status(tokenStatus).json(tokenError);
+        }
+        
+        const { owner, repo } = repository;
+        
+        let resolved;
+        try {
+            resolved = await analysisService.resolveRepository(repository);
+        } catch (error) {
+            console.error('Failed to fetch repository metadata:', error);
+            const { status, body } = describeGitHubError(error, owner, repo);
+            return res.status(status).json(body);
+        }
+        
+        res.json(await chatService.ask(resolved, message.trim(), sessionId));
+        
+    } catch (error) {
+        console.error('Unexpected error in chat:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while answering the question.'
+        });
+    }
+}
+
+export default { chat };
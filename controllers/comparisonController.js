@@ -0,0 +1,86 @@
+import analysisService from '../services/analysisService.js';
+import comparisonService from '../services/comparisonService.js';
+import forgeRegistry from '../services/forgeRegistry.js';
+import { parseProfile } from '../services/contributorProfile.js';
+import onboardingController from './onboardingController.js';
+
+const { applyUserToken, describeGitHubError, invalidProfileError, isRefreshRequested } = onboardingController;
+
+/**
+ * Compares 2 to 5 repositories side by side: beginner issues, documentation,
+ * license and activity, with a recommendation of the one that suits a
+ * newcomer best. Each repository is analyzed as by POST /api/analyze, so
+ * cached analyses are reused. An optional profile tailors the comparison.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function compareRepositories(req, res) {
+    try {
+        const { repoUrls } = req.body || {};
+        const { minRepositories, maxRepositories } = comparisonService;
+        
+        if (!Array.isArray(repoUrls) || repoUrls.some(url => typeof url !== 'string')
+            || repoUrls.length < minRepositories || repoUrls.length > maxRepositories) {
+            return res.status(400).json({
+                error: 'Invalid request',
+                message: `repoUrls must be an array of ${minRepositories} to ${maxRepositories} repository URLs`
+            });
+        }
+        
+        const parsedRepos = [];
+        for (const url of repoUrls) {
+            const parsedRepo = forgeRegistry.parseRepositoryUrl(url);
+            if (!parsedRepo) {
+                return res.status(400).json({
+                    error: 'Invalid repository URL',
+                    message: `'${url}' is not a repository URL on a known forge, or owner/repo`
+                });
+            }
+            
+            const { repository, status: tokenStatus, body: tokenError } = applyUserToken(req, parsedRepo);
+            if (tokenError) {
+                return res.status(tokenStatus).json(tokenError);
+            }
+            
+            const key = repository.forge.repositoryKey(repository.owner, repository.repo);
+            if (parsedRepos.some(({ forge, owner, repo }) => forge.repositoryKey(owner, repo) === key)) {
+                return res.status(400).json({
+                    error: 'Invalid request',
+                    message: `'${url}' is listed more than once`
+                });
+            }
+            parsedRepos.push(repository);
+        }
+        
+        const { profile, error: profileError } = parseProfile(req.body.profile);
+        if (profileError) {
+            return res.status(400).json(invalidProfileError(profileError));
+        }
+        
+        console.log(`Comparing repositories: ${parsedRepos.map(({ owner, repo }) => `${owner}/${repo}`).join(', ')}`);
+        
+        const results = await Promise.allSettled(parsedRepos.map(parsedRepo => analysisService.resolveRepository(parsedRepo)));
+        const failed = results.findIndex(result => result.status === 'rejected');
+        if (failed !== -1) {
+            // One missing repository makes the comparison meaningless, so the first failure is reported
+            const { owner, repo } = parsedRepos[failed];
+            console.error('Failed to fetch repository metadata:', results[failed].reason);
+            const { status, body } = describeGitHubError(results[failed].reason, owner, repo);
+            return res.status(status).json(body);
+        }
+        
+        res.json(await comparisonService.compare(results.map(result => result.value), {
+            refresh: isRefreshRequested(req),
+            profile
+        }));
+        
+    } catch (error) {
+        console.error('Unexpected error in compareRepositories:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while comparing the repositories.'
+        });
+    }
+}
+
+export default { compareRepositories };
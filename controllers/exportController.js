@@ -0,0 +1,73 @@
+import analysisService from '../services/analysisService.js';
+import exportService from '../services/exportService.js';
+import { parseProfile } from '../services/contributorProfile.js';
+import onboardingController from './onboardingController.js';
+
+const { parseRepositoryParams, applyUserToken, describeGitHubError, invalidProfileError } = onboardingController;
+
+/**
+ * Downloads a repository's analysis as ONBOARDING.md, an HTML page or JSON.
+ * The cached analysis of the current commit is used when there is one.
+ * Profile query parameters, as for the stream endpoint, export the tailored analysis.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function exportAnalysis(req, res) {
+    try {
+        const format = req.query.format || 'md';
+        const exportFormat = exportService.formats[format];
+        
+        if (!exportFormat) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: `format must be one of: ${Object.keys(exportService.formats).join(', ')}`
+            });
+        }
+        
+        const parsedRepo = parseRepositoryParams(req);
+        if (!parsedRepo) {
+            return res.status(400).json({
+                error: 'Invalid repository',
+                message: 'owner and repo must name a repository, on github.com or the forge given as host'
+            });
+        }
+        
+        const { profile, error: profileError } = parseProfile(req.query);
+        if (profileError) {
+            return res.status(400).json(invalidProfileError(profileError));
+        }
+        
+        const { repository, status: tokenStatus, body: tokenError } = applyUserToken(req, parsedRepo);
+        if (tokenError) {
+            return res.status(tokenStatus).json(tokenError);
+        }
+        
+        const { owner, repo } = repository;
+        
+        let resolved;
+        try {
+            resolved = await analysisService.resolveRepository(repository);
+        } catch (error) {
+            console.error('Failed to fetch repository metadata:', error);
+            const { status, body } = describeGitHubError(error, owner, repo);
+            return res.status(status).json(body);
+        }
+        
+        const response = await analysisService.analyze(resolved, { profile });
+        
+        res.set({
+            'Content-Type': exportFormat.contentType,
+            'Content-Disposition': `attachment; filename="${exportFormat.fileName}"`
+        });
+        res.send(exportService.format(response, format));
+        
+    } catch (error) {
+        console.error('Unexpected error in exportAnalysis:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while exporting the analysis.'
+        });
+    }
+}
+
+export default { exportAnalysis };
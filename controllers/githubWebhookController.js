@@ -0,0 +1,93 @@
+import config from '../services/config.js';
+import jobQueue from '../services/jobQueue.js';
+import welcomeService, { WELCOME_STAGES, verifySignature, describeEvent } from '../services/welcomeService.js';
+
+/**
+ * Reads the payload of a delivery, sent as JSON or as the payload field of a form
+ * @param {Object} req - Express request object, with the raw body as a Buffer
+ * @returns {Object|null} - Payload, or null when it cannot be parsed
+ */
+function parsePayload(req) {
+    try {
+        const text = req.body.toString('utf-8');
+        return req.is('application/x-www-form-urlencoded')
+            ? JSON.parse(new URLSearchParams(text).get('payload'))
+            : JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Receives GitHub webhook deliveries. Every delivery must be signed with the
+ * webhook secret. Newly opened issues and pull requests become welcome jobs,
+ * answered with 202 at once since GitHub gives up on slow deliveries; other
+ * events are acknowledged and ignored.
+ * @param {Object} req - Express request object, with the raw body as a Buffer
+ * @param {Object} res - Express response object
+ */
+async function receiveWebhook(req, res) {
+    try {
+        const { secret } = config.get().githubWebhook;
+        if (!secret) {
+            return res.status(503).json({
+                error: 'Webhooks disabled',
+                message: 'Set GITHUB_WEBHOOK_SECRET to receive GitHub webhooks.'
+            });
+        }
+        
+        if (!Buffer.isBuffer(req.body) || !verifySignature(secret, req.body, req.get('X-Hub-Signature-256'))) {
+            return res.status(401).json({
+                error: 'Invalid signature',
+                message: 'X-Hub-Signature-256 does not match the body signed with the webhook secret.'
+            });
+        }
+        
+        const payload = parsePayload(req);
+        if (!payload) {
+            return res.status(400).json({
+                error: 'Invalid payload',
+                message: 'The delivery body is not a JSON payload.'
+            });
+        }
+        
+        const event = req.get('X-GitHub-Event') || '';
+        if (event === 'ping') {
+            return res.json({ message: 'Webhook received; welcome comments are posted on new issues and pull requests.' });
+        }
+        
+        const { target, ignored } = describeEvent(event, payload);
+        if (ignored) {
+            return res.json({ ignored });
+        }
+        
+        // A redelivery of a job still queued gets that job back
+        let job;
+        try {
+            job = jobQueue.enqueue('welcome', { ...target, deliveryId: req.get('X-GitHub-Delivery') || null });
+        } catch (error) {
+            if (!error.retryAfterSeconds) {
+                throw error;
+            }
+            return res.status(error.status).set('Retry-After', String(error.retryAfterSeconds)).json(error.body);
+        }
+        
+        const statusUrl = `/api/jobs/${job.id}`;
+        res.status(202).location(statusUrl).json({ ...job, statusUrl });
+        
+    } catch (error) {
+        console.error('Unexpected error in receiveWebhook:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while receiving the webhook.'
+        });
+    }
+}
+
+// Welcome job handler for jobQueue.register
+const welcomeJob = {
+    stages: () => WELCOME_STAGES,
+    run: (target, { setStage }) => welcomeService.run(target, { setStage })
+};
+
+export default { receiveWebhook, welcomeJob };
@@ -0,0 +1,256 @@
+import crypto from 'crypto';
+import historyService, { repositoryKey, isValidId } from '../services/historyService.js';
+import forgeRegistry from '../services/forgeRegistry.js';
+import cardRenderer from '../services/cardRenderer.js';
+import { diffAnalyses } from '../services/analysisDiff.js';
+
+// Cookie that identifies a browser's history and bookmarks
+const USER_COOKIE = 'osguide_user';
+const USER_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+const COOKIE_REQUIRED_ERROR = {
+    error: 'Cookie required',
+    message: 'Bookmarks belong to the browser that saves them. Send the osguide_user cookie set by an earlier response, then try again.'
+};
+
+const ANALYSIS_NOT_FOUND_ERROR = {
+    error: 'Analysis not found',
+    message: 'No saved analysis has this ID. Older analyses are removed as new ones are saved.'
+};
+
+/**
+ * Reads a cookie from the request
+ * @param {Object} req - Express request object
+ * @param {string} name - Cookie name
+ * @returns {string|null} - Cookie value, or null when not sent
+ */
+function readCookie(req, name) {
+    const cookie = (req.get('Cookie') || '').split(';')
+        .map(part => part.trim())
+        .find(part => part.startsWith(`${name}=`));
+    return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+}
+
+/**
+ * Middleware that sets req.userId from the user cookie, giving new browsers
+ * a random ID. History and bookmarks belong to that ID, so the cookie is
+ * HTTP-only and never included in a response body. req.isReturningUser is
+ * only true when the cookie was sent, so clients that never keep it (scripts,
+ * curl) do not leave a new user behind on every request. A made-up ID
+ * passes too, which is why the history store caps its users, see
+ * HistoryService.evict.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Next middleware
+ */
+function identifyUser(req, res, next) {
+    let userId = readCookie(req, USER_COOKIE);
+    req.isReturningUser = isValidId(userId);
+    
+    if (!req.isReturningUser) {
+        userId = crypto.randomUUID();
+        res.cookie(USER_COOKIE, userId, {
+            httpOnly: true,
+            sameSite: 'lax',
+            secure: req.secure,
+            maxAge: USER_COOKIE_MAX_AGE_MS
+        });
+    }
+    
+    req.userId = userId;
+    next();
+}
+
+/**
+ * Lists the user's past analyses, newest first. A repo query parameter
+ * (repository URL or owner/repo) keeps only the runs of that repository.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listHistory(req, res) {
+    try {
+        let key = null;
+        if (req.query.repo !== undefined) {
+            const parsedRepo = typeof req.query.repo === 'string' ? forgeRegistry.parseRepositoryUrl(req.query.repo) : null;
+            if (!parsedRepo) {
+                return res.status(400).json({
+                    error: 'Invalid repository URL',
+                    message: 'repo must be a repository URL on a known forge, or owner/repo'
+                });
+            }
+            key = parsedRepo.forge.repositoryKey(parsedRepo.owner, parsedRepo.repo);
+        }
+        
+        res.json({ runs: await historyService.listRuns(req.userId, { key }) });
+        
+    } catch (error) {
+        console.error('Unexpected error in listHistory:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while listing past analyses.'
+        });
+    }
+}
+
+/**
+ * Gets a saved analysis by ID. Anyone with the ID can read it, which is
+ * what makes permalinks shareable, except for analyses run with the user's
+ * own GitHub token, which may be of private repositories.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getAnalysis(req, res) {
+    try {
+        const entry = await historyService.get(req.params.id, { userId: req.userId });
+        if (!entry) {
+            return res.status(404).json(ANALYSIS_NOT_FOUND_ERROR);
+        }
+        
+        res.json(entry);
+        
+    } catch (error) {
+        console.error('Unexpected error in getAnalysis:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while reading the analysis.'
+        });
+    }
+}
+
+/**
+ * Diffs a saved analysis against an older one of the same repository: the
+ * analysis given as against, or by default the user's previous run.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function diffAnalysis(req, res) {
+    try {
+        const newer = await historyService.get(req.params.id, { userId: req.userId });
+        if (!newer) {
+            return res.status(404).json(ANALYSIS_NOT_FOUND_ERROR);
+        }
+        
+        let older;
+        if (req.query.against !== undefined) {
+            older = await historyService.get(req.query.against, { userId: req.userId });
+            if (!older) {
+                return res.status(404).json(ANALYSIS_NOT_FOUND_ERROR);
+            }
+            if (repositoryKey(older.repository) !== repositoryKey(newer.repository)) {
+                return res.status(400).json({
+                    error: 'Different repositories',
+                    message: `Analyses of ${older.repository.fullName} and ${newer.repository.fullName} cannot be compared.`
+                });
+            }
+        } else {
+            const previous = await historyService.findPreviousRun(req.userId, newer);
+            older = previous && await historyService.get(previous.id, { userId: req.userId });
+            if (!older) {
+                return res.status(404).json({
+                    error: 'No earlier analysis',
+                    message: `This is your first saved analysis of ${newer.repository.fullName}.`
+                });
+            }
+        }
+        
+        // Diffs always read from the older analysis to the newer one
+        const [from, to] = older.createdAt <= newer.createdAt ? [older, newer] : [newer, older];
+        const diff = diffAnalyses(from, to);
+        res.json({ diff, rendered: cardRenderer.render('analysisDiff', diff) });
+        
+    } catch (error) {
+        console.error('Unexpected error in diffAnalysis:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while comparing the analyses.'
+        });
+    }
+}
+
+/**
+ * Lists the user's bookmarked repositories, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listBookmarks(req, res) {
+    try {
+        res.json({ bookmarks: await historyService.listBookmarks(req.userId) });
+    } catch (error) {
+        console.error('Unexpected error in listBookmarks:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while listing bookmarks.'
+        });
+    }
+}
+
+/**
+ * Bookmarks the repository given as repoUrl. Only a returning browser can,
+ * so clients that never keep the cookie do not leave a user behind each time.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function addBookmark(req, res) {
+    try {
+        if (!req.isReturningUser) {
+            return res.status(403).json(COOKIE_REQUIRED_ERROR);
+        }
+        
+        const { repoUrl } = req.body || {};
+        const parsedRepo = typeof repoUrl === 'string' ? forgeRegistry.parseRepositoryUrl(repoUrl) : null;
+        if (!parsedRepo) {
+            return res.status(400).json({
+                error: 'Invalid repository URL',
+                message: 'repoUrl must be a repository URL on a known forge, or owner/repo'
+            });
+        }
+        
+        const { forge, owner, repo } = parsedRepo;
+        const bookmark = await historyService.addBookmark(req.userId, {
+            host: forge.host,
+            owner,
+            name: repo,
+            fullName: `${owner}/${repo}`,
+            url: forge.repositoryUrl(owner, repo)
+        });
+        res.status(201).json({ bookmark });
+        
+    } catch (error) {
+        console.error('Unexpected error in addBookmark:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while saving the bookmark.'
+        });
+    }
+}
+
+/**
+ * Removes a bookmark by repository key (owner/repo, or host/owner/repo
+ * outside github.com), sent URL-encoded as one parameter
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function removeBookmark(req, res) {
+    try {
+        if (!req.isReturningUser) {
+            return res.status(403).json(COOKIE_REQUIRED_ERROR);
+        }
+        
+        if (!await historyService.removeBookmark(req.userId, req.params.key.toLowerCase())) {
+            return res.status(404).json({
+                error: 'Bookmark not found',
+                message: `'${req.params.key}' is not bookmarked.`
+            });
+        }
+        res.status(204).end();
+        
+    } catch (error) {
+        console.error('Unexpected error in removeBookmark:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while removing the bookmark.'
+        });
+    }
+}
+
+export default { identifyUser, listHistory, getAnalysis, diffAnalysis, listBookmarks, addBookmark, removeBookmark };
@@ -0,0 +1,24 @@
+import jobQueue from '../services/jobQueue.js';
+
+/**
+ * Reports a background job: its status, the status of each stage and, once
+ * finished, its result or error. Queued jobs report their position in the queue.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+function getJob(req, res) {
+    const job = jobQueue.get(req.params.id);
+    
+    if (!job) {
+        return res.status(404).json({
+            error: 'Job not found',
+            message: `No job with ID '${req.params.id}' was found. Finished jobs are only kept for a while.`
+        });
+    }
+    
+    // Clients poll this endpoint, so its answer must not be cached
+    res.set('Cache-Control', 'no-store');
+    res.json(job);
+}
+
+export default { getJob };
@@ -1,67 +1,214 @@
-import githubService from '../services/githubService.js';
-import groqService from '../services/groqService.js';
+import analysisService, { ANALYSES, FETCH_STAGES } from '../services/analysisService.js';
+import jobQueue from '../services/jobQueue.js';
+import historyService from '../services/historyService.js';
+import forgeRegistry from '../services/forgeRegistry.js';
+import { DEFAULT_HOST } from '../services/forgeService.js';
+import config, { GITHUB_TOKEN_PATTERN } from '../services/config.js';
+import { parseProfile } from '../services/contributorProfile.js';
+
+const INVALID_URL_ERROR = {
+    error: 'Invalid repository URL',
+    message: 'Please provide a valid repository URL on GitHub, GitLab, Gitea or a configured instance (e.g., https://github.com/owner/repo, https://gitlab.com/group/project, git@github.com:owner/repo.git, or owner/repo)'
+};
 
 /**
- * Parses GitHub repository URL to extract owner and repo name
- * @param {string} repoUrl - GitHub repository URL
- * @returns {Object|null} - Object with owner and repo properties, or null if invalid
+ * Describes why a URL could not be analyzed. A user or organization on a
+ * GitHub instance gets the address of its owner scan, which the page follows.
+ * @param {string} repoUrl - URL the client sent
+ * @returns {Object} - Client-facing error body, with scanUrl for owners
  */
-function parseGitHubUrl(repoUrl) {
-    try {
-        // Handle different URL formats that users might provide
-        let cleanUrl = repoUrl.trim();
-        
-        // Remove trailing .git if present
-        if (cleanUrl.endsWith('.git')) {
-            cleanUrl = cleanUrl.slice(0, -4);
-        }
-        
-        // Remove trailing slash if present
-        if (cleanUrl.endsWith('/')) {
-            cleanUrl = cleanUrl.slice(0, -1);
-        }
-        
-        // Handle different GitHub URL formats
-        const githubPatterns = [
-            // Standard HTTPS URLs
-            /^https?:\/\/github\.com\/([a-zA-Z0-9._-]+)\/([a-zA-Z0-9._-]+)(?:\/.*)?$/,
-            // SSH URLs
-            /^git@github\.com:([a-zA-Z0-9._-]+)\/([a-zA-Z0-9._-]+)(?:\.git)?$/,
-            // Short format (owner/repo)
-            /^([a-zA-Z0-9._-]+)\/([a-zA-Z0-9._-]+)$/
-        ];
-        
-        for (const pattern of githubPatterns) {
-            const match = cleanUrl.match(pattern);
-            if (match) {
-                const [, owner, repo] = match;
-                
-                // Validate that owner and repo follow GitHub naming conventions
-                const validNamePattern = /^[a-zA-Z0-9._-]+$/;
-                if (!validNamePattern.test(owner) || !validNamePattern.test(repo)) {
-                    return null;
-                }
-                
-                // Additional validation: names can't start with dots or hyphens
-                if (owner.startsWith('.') || owner.startsWith('-') || 
-                    repo.startsWith('.') || repo.startsWith('-')) {
-                    return null;
-                }
-                
-                return { owner, repo };
+function describeInvalidUrl(repoUrl) {
+    const parsedOwner = forgeRegistry.parseOwnerUrl(repoUrl);
+    if (!parsedOwner || parsedOwner.repo || parsedOwner.forge.kind !== 'github') {
+        return INVALID_URL_ERROR;
+    }
+    
+    return {
+        error: 'Not a repository',
+        message: `'${repoUrl}' is a user or organization. Scan its repositories instead.`,
+        scanUrl: `/scan?owner=${encodeURIComponent(repoUrl)}`
+    };
+}
+
+/**
+ * Finds the repository named by the owner and repo route parameters, on the
+ * forge of the host query parameter (github.com by default). GitLab owners
+ * can be nested groups, sent URL-encoded as one parameter.
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Object with forge, owner and repo properties, or null if invalid
+ */
+function parseRepositoryParams(req) {
+    const { owner, repo } = req.params;
+    const host = typeof req.query.host === 'string' && req.query.host ? req.query.host : DEFAULT_HOST;
+    
+    const parsed = forgeRegistry.parseRepositoryUrl(`https://${host}/${owner}/${repo}`);
+    return parsed && parsed.owner === owner && parsed.repo === repo ? parsed : null;
+}
+
+/**
+ * Swaps in an adapter that sends the GitHub token of the X-GitHub-Token
+ * header, so the repository is fetched with the client's access and rate
+ * limit instead of the server's. Other forges ignore the header.
+ * @param {Object} req - Express request object
+ * @param {Object} parsedRepo - Object with forge, owner and repo properties
+ * @returns {Object} - Object with repository (parsedRepo, with its forge swapped when a token was sent) and token, or status and body properties for an invalid token
+ */
+function applyUserToken(req, parsedRepo) {
+    const token = (req.get('X-GitHub-Token') || '').trim();
+    if (!token || parsedRepo.forge.kind !== 'github') {
+        return { repository: parsedRepo, token: null };
+    }
+    
+    if (!config.get().github.allowUserTokens) {
+        return {
+            status: 400,
+            body: {
+                error: 'User tokens disabled',
+                message: 'This server does not accept GitHub tokens from clients. Remove the X-GitHub-Token header.'
             }
-        }
-        
-        return null;
-        
-    } catch (error) {
-        console.warn('Error parsing GitHub URL:', error.message);
-        return null;
+        };
     }
+    if (!GITHUB_TOKEN_PATTERN.test(token)) {
+        return {
+            status: 400,
+            body: {
+                error: 'Invalid GitHub token',
+                message: 'X-GitHub-Token must be a GitHub personal access token (ghp_... or github_pat_...).'
+            }
+        };
+    }
+    
+    return { repository: { ...parsedRepo, forge: parsedRepo.forge.withToken(token) }, token };
 }
 
 /**
- * Analyzes a GitHub repository and generates AI-powered insights
+ * Maps a forge API error to an HTTP status and client-facing error body
+ * @param {Error} error - Error thrown by a forge adapter
+ * @param {string} owner - Repository owner
+ * @param {string|null} repo - Repository name, or null when only the owner was looked up
+ * @returns {Object} - Object with status and body properties
+ */
+function describeGitHubError(error, owner, repo) {
+    const name = repo ? `${owner}/${repo}` : owner;
+    const forge = error.forge || 'GitHub';
+    
+    if (error.message.includes('Resource not found') && !repo) {
+        return {
+            status: 404,
+            body: {
+                error: 'Owner not found',
+                message: `No GitHub user or organization named '${owner}' was found.`
+            }
+        };
+    } else if (error.message.includes('Resource not found')) {
+        return {
+            status: 404,
+            body: {
+                error: 'Repository not found',
+                message: `The repository '${name}' was not found. Please check that the repository exists and is publicly accessible.`
+            }
+        };
+    } else if (error.message.includes('rate limit')) {
+        return {
+            status: 429,
+            body: {
+                error: 'Rate limit exceeded',
+                message: `${forge} API rate limit exceeded. Please try again later or configure a ${forge} token for higher limits.`
+            }
+        };
+    } else if (error.message.includes('forbidden')) {
+        return {
+            status: 403,
+            body: {
+                error: 'Access forbidden',
+                message: `${forge} denied access to '${name}'. It may be private or blocked for this token.`
+            }
+        };
+    } else if (error.message.includes('authentication')) {
+        return {
+            status: 401,
+            body: {
+                error: 'Authentication failed',
+                message: `${forge} API authentication failed. Please check your ${forge} token configuration.`
+            }
+        };
+    }
+    
+    return {
+        status: 500,
+        body: {
+            error: `${forge} API error`,
+            message: 'Could not fetch repository information. Please try again later.'
+        }
+    };
+}
+
+/**
+ * Checks whether the client asked to bypass the analysis cache
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True when refresh=true was sent
+ */
+function isRefreshRequested(req) {
+    const value = req.query.refresh !== undefined ? req.query.refresh : (req.body && req.body.refresh);
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Checks whether the client asked for the analysis to run as a background job
+ * @param {Object} req - Express request object
+ * @returns {boolean} - True when async=true was sent
+ */
+function isAsyncRequested(req) {
+    const value = req.query.async !== undefined ? req.query.async : (req.body && req.body.async);
+    return value === true || value === 'true' || value === '1';
+}
+
+/**
+ * Gets the user whose history a request's analysis is saved to: only a
+ * returning browser, so cookieless clients do not fill the history store
+ * @param {Object} req - Express request object
+ * @returns {string|null} - User ID, or null when the run is not saved
+ */
+function historyUserId(req) {
+    return req.isReturningUser ? req.userId : null;
+}
+
+/**
+ * Saves a run of the analysis to the user's history. Runs with the user's
+ * own GitHub token may be of private repositories, so only that user can
+ * read them back.
+ * @param {string|null} userId - User the analysis ran for, see historyUserId
+ * @param {Object} response - Analysis response body
+ * @param {Object} [options]
+ * @param {boolean} [options.withUserToken] - Whether the analysis ran with the user's GitHub token
+ * @returns {Promise<Object>} - The response with history: { id, createdAt, permalink }, or null when not saved
+ */
+async function withHistory(userId, response, { withUserToken = false } = {}) {
+    return { ...response, history: userId ? await historyService.record(userId, response, { restricted: withUserToken }) : null };
+}
+
+/**
+ * Builds the error body for an invalid contributor profile
+ * @param {string} message - What is wrong with the profile
+ * @returns {Object} - Client-facing error body
+ */
+function invalidProfileError(message) {
+    return {
+        error: 'Invalid profile',
+        message
+    };
+}
+
+/**
+ * Analyzes a repository and generates AI-powered insights.
+ * Results are cached per default branch commit; send refresh=true to regenerate.
+ * An optional profile ({ languages, experience, hoursPerWeek, interests })
+ * tailors the issue ranking and the "Where can I start?" card to a contributor.
+ * A GitHub token sent as X-GitHub-Token is used instead of the server's.
+ * With async=true the analysis is queued as a background job instead, and the
+ * 202 response carries the job and the statusUrl to poll, see runAnalysisJob;
+ * the same request while its job is unfinished gets that job, and a full
+ * queue answers 503.
  * @param {Object} req - Express request object
  * @param {Object} res - Express response object
  */
@@ -77,110 +224,58 @@ async function analyzeRepository(req, res) {
             });
         }
         
-        // Parse GitHub URL with improved validation
-        const parsedRepo = parseGitHubUrl(repoUrl);
-        if (!parsedRepo) {
-            return res.status(400).json({
-                error: 'Invalid GitHub URL',
-                message: 'Please provide a valid GitHub repository URL (e.g., https://github.com/owner/repo, git@github.com:owner/repo.git, or owner/repo)'
-            });
+        const { profile, error: profileError } = parseProfile(req.body.profile);
+        if (profileError) {
+            return res.status(400).json(invalidProfileError(profileError));
         }
         
-        const { owner, repo } = parsedRepo;
+        // Parse the repository URL and find the forge it lives on
+        const parsedRepo = forgeRegistry.parseRepositoryUrl(repoUrl);
+        if (!parsedRepo) {
+            return res.status(400).json(describeInvalidUrl(repoUrl));
+        }
         
-        // Fetch data from GitHub API
-        console.log(`Analyzing repository: ${owner}/${repo}`);
+        const { repository, token, status: tokenStatus, body: tokenError } = applyUserToken(req, parsedRepo);
+        if (tokenError) {
+            return res.status(tokenStatus).json(tokenError);
+        }
         
-        const [repoData, issues, readmeContent, contributingContent, codeOfConductContent] = await Promise.allSettled([
-            githubService.getRepositoryMetadata(owner, repo),
-            githubService.getBeginnerFriendlyIssues(owner, repo),
-            githubService.getFileContent(owner, repo, 'README.md'),
-            githubService.getFileContent(owner, repo, 'CONTRIBUTING.md'),
-            githubService.getFileContent(owner, repo, 'CODE_OF_CONDUCT.md')
-        ]);
-        
-        // Handle GitHub API errors with more specific messaging
-        if (repoData.status === 'rejected') {
-            console.error('Failed to fetch repository metadata:', repoData.reason);
+        if (isAsyncRequested(req)) {
+            // Stored as the canonical URL so the same repository written another way reuses a queued job
+            const input = { repoUrl: parsedRepo.forge.repositoryUrl(parsedRepo.owner, parsedRepo.repo), profile, refresh: isRefreshRequested(req) };
             
-            // Provide more specific error messages based on the error
-            if (repoData.reason.message.includes('Resource not found')) {
-                return res.status(404).json({
-                    error: 'Repository not found',
-                    message: `The repository '${owner}/${repo}' was not found. Please check that the repository exists and is publicly accessible.`
-                });
-            } else if (repoData.reason.message.includes('rate limit')) {
-                return res.status(429).json({
-                    error: 'Rate limit exceeded',
-                    message: 'GitHub API rate limit exceeded. Please try again later or configure a GitHub token for higher limits.'
-                });
-            } else if (repoData.reason.message.includes('authentication')) {
-                return res.status(401).json({
-                    error: 'Authentication failed',
-                    message: 'GitHub API authentication failed. Please check your GitHub token configuration.'
-                });
-            } else {
-                return res.status(500).json({
-                    error: 'GitHub API error',
-                    message: 'Could not fetch repository information. Please try again later.'
-                });
+            let job;
+            try {
+                job = jobQueue.enqueue('analysis', input, { secret: token, userId: historyUserId(req) });
+            } catch (error) {
+                if (!error.retryAfterSeconds) {
+                    throw error;
+                }
+                return res.status(error.status).set('Retry-After', String(error.retryAfterSeconds)).json(error.body);
             }
+            
+            const statusUrl = `/api/jobs/${job.id}`;
+            console.log(`Queued analysis job ${job.id} for ${repository.owner}/${repository.repo}`);
+            return res.status(202).location(statusUrl).json({ ...job, statusUrl });
         }
         
-        // Build context for AI prompts
-        const context = {
-            repo: repoData.value,
-            issues: issues.status === 'fulfilled' ? issues.value : [],
-            readme: readmeContent.status === 'fulfilled' ? readmeContent.value : null,
-            contributing: contributingContent.status === 'fulfilled' ? contributingContent.value : null,
-            codeOfConduct: codeOfConductContent.status === 'fulfilled' ? codeOfConductContent.value : null
-        };
+        const { owner, repo } = repository;
         
-        // Generate AI insights using Groq
-        console.log('Generating AI insights using Groq...');
-        const [startAnalysis, improvingAnalysis, rulesAnalysis, aboutAnalysis] = await Promise.allSettled([
-            groqService.analyzeWhereToStart(context),
-            groqService.analyzeWhatNeedsImproving(context),
-            groqService.analyzeContributionRules(context),
-            groqService.analyzeProjectOverview(context)
-        ]);
-        
-        // Build response
-        const response = {
-            repository: {
-                name: repoData.value.name,
-                fullName: repoData.value.full_name,
-                description: repoData.value.description,
-                url: repoData.value.html_url
-            },
-            analysis: {
-                whereToStart: startAnalysis.status === 'fulfilled' ? startAnalysis.value : 'Unable to analyze beginner-friendly opportunities at this time.',
-                whatNeedsImproving: improvingAnalysis.status === 'fulfilled' ? improvingAnalysis.value : 'Unable to identify improvement areas at this time.',
-                contributionRules: rulesAnalysis.status === 'fulfilled' ? rulesAnalysis.value : 'Unable to summarize contribution guidelines at this time.',
-                projectOverview: aboutAnalysis.status === 'fulfilled' ? aboutAnalysis.value : 'Unable to generate project overview at this time.'
-            },
-            metadata: {
-                analyzedAt: new Date().toISOString(),
-                issuesFound: context.issues.length,
-                hasReadme: !!context.readme,
-                hasContributing: !!context.contributing,
-                hasCodeOfConduct: !!context.codeOfConduct,
-                apiStatus: {
-                    github: process.env.GITHUB_TOKEN ? 'Authenticated' : 'Unauthenticated',
-                    groq: process.env.GROQ_API_KEY ? 'Active' : 'Inactive'
-                }
-            }
-        };
+        // Fetch data from the forge API
+        console.log(`Analyzing repository: ${owner}/${repo}`);
         
-        // Log any AI analysis failures
-        [startAnalysis, improvingAnalysis, rulesAnalysis, aboutAnalysis].forEach((result, index) => {
-            const analysisNames = ['whereToStart', 'whatNeedsImproving', 'contributionRules', 'projectOverview'];
-            if (result.status === 'rejected') {
-                console.error(`Failed to generate ${analysisNames[index]} analysis:`, result.reason);
-            }
-        });
+        let resolved;
+        try {
+            resolved = await analysisService.resolveRepository(repository);
+        } catch (error) {
+            // Handle forge API errors with more specific messaging
+            console.error('Failed to fetch repository metadata:', error);
+            const { status, body } = describeGitHubError(error, owner, repo);
+            return res.status(status).json(body);
+        }
         
-        res.json(response);
+        const response = await analysisService.analyze(resolved, { refresh: isRefreshRequested(req), profile });
+        res.json(await withHistory(historyUserId(req), response, { withUserToken: Boolean(token) }));
         
     } catch (error) {
         console.error('Unexpected error in analyzeRepository:', error);
@@ -191,4 +286,154 @@ async function analyzeRepository(req, res) {
     }
 }
 
-export default { analyzeRepository, parseGitHubUrl };
\ No newline at end of file
+/**
+ * Streams analysis progress and AI output as Server-Sent Events
+ * 
+ * Emits `progress` events as each forge fetch settles, `token` events as each
+ * card's raw JSON arrives, `card` events with the validated data and its
+ * rendered HTML when a card is finished, then a single
+ * `complete` event carrying the same body as POST /api/analyze. Failures are
+ * reported as an `error` event with the same body the JSON endpoint would send;
+ * a user or organization URL gets one with the scanUrl of its owner scan.
+ * Cached analyses are replayed as `card` events unless `refresh=true` is passed.
+ * A contributor profile can be sent as the languages, experience, hours and
+ * interests query parameters, with lists comma-separated. Clients that can set
+ * headers may send X-GitHub-Token, as with POST /api/analyze.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function streamAnalysis(req, res) {
+    const repoUrl = req.query.repo;
+    
+    if (!repoUrl || typeof repoUrl !== 'string') {
+        return res.status(400).json({
+            error: 'Invalid request',
+            message: 'repo query parameter is required and must be a string'
+        });
+    }
+    
+    const parsedRepo = forgeRegistry.parseRepositoryUrl(repoUrl);
+    if (!parsedRepo) {
+        const body = describeInvalidUrl(repoUrl);
+        
+        // EventSource cannot read a 400 body, so owners are pointed to their scan on the stream
+        if (body.scanUrl) {
+            res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' });
+            return res.end(`event: error\ndata: ${JSON.stringify({ status: 400, ...body })}\n\n`);
+        }
+        return res.status(400).json(body);
+    }
+    
+    const { profile, error: profileError } = parseProfile(req.query);
+    if (profileError) {
+        return res.status(400).json(invalidProfileError(profileError));
+    }
+    
+    const { repository, token, status: tokenStatus, body: tokenError } = applyUserToken(req, parsedRepo);
+    if (tokenError) {
+        return res.status(tokenStatus).json(tokenError);
+    }
+    
+    const { owner, repo } = repository;
+    
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    
+    let closed = false;
+    req.on('close', () => {
+        closed = true;
+    });
+    
+    const send = (event, data) => {
+        if (!closed) {
+            res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+    
+    try {
+        console.log(`Streaming analysis for repository: ${owner}/${repo}`);
+        
+        const onProgress = (stage, status) => send('progress', { stage, status });
+        
+        let resolved;
+        try {
+            resolved = await analysisService.resolveRepository(repository, onProgress);
+        } catch (error) {
+            console.error('Failed to fetch repository metadata:', error);
+            const { status, body } = describeGitHubError(error, owner, repo);
+            send('error', { status, ...body });
+            return res.end();
+        }
+        
+        const response = await analysisService.analyze(resolved, {
+            refresh: isRefreshRequested(req),
+            profile,
+            onProgress,
+            onRepository: (repository) => send('repository', repository),
+            onToken: (card, text) => send('token', { card, text }),
+            onCard: (card, result) => send('card', { card, ...result })
+        });
+        
+        send('complete', await withHistory(historyUserId(req), response, { withUserToken: Boolean(token) }));
+        res.end();
+        
+    } catch (error) {
+        console.error('Unexpected error in streamAnalysis:', error);
+        send('error', {
+            status: 500,
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while analyzing the repository.'
+        });
+        res.end();
+    }
+}
+
+/**
+ * Runs a queued analysis, reporting each forge fetch and AI card as a job stage.
+ * Errors carry the status and body POST /api/analyze would respond with.
+ * @param {Object} input - Job input: repoUrl, profile and refresh
+ * @param {Object} job - Object with secret (the user's GitHub token, if any), userId and setStage properties
+ * @returns {Promise<Object>} - The same body as POST /api/analyze
+ */
+async function runAnalysisJob({ repoUrl, profile, refresh }, { secret, userId, setStage }) {
+    const parsedRepo = forgeRegistry.parseRepositoryUrl(repoUrl);
+    if (!parsedRepo) {
+        throw Object.assign(new Error(INVALID_URL_ERROR.message), { status: 400, body: INVALID_URL_ERROR });
+    }
+    
+    const repository = secret ? { ...parsedRepo, forge: parsedRepo.forge.withToken(secret) } : parsedRepo;
+    const { owner, repo } = repository;
+    console.log(`Running analysis job for repository: ${owner}/${repo}`);
+    
+    let resolved;
+    try {
+        resolved = await analysisService.resolveRepository(repository, setStage);
+    } catch (error) {
+        console.error('Failed to fetch repository metadata:', error);
+        const { status, body } = describeGitHubError(error, owner, repo);
+        throw Object.assign(new Error(body.message), { status, body });
+    }
+    
+    const response = await analysisService.analyze(resolved, {
+        refresh,
+        profile,
+        onProgress: setStage,
+        // The repository summary arrives once every fetch is done and the cards start
+        onRepository: () => ANALYSES.forEach(({ key }) => setStage(key, 'running')),
+        onCard: (card, { status }) => setStage(card, status)
+    });
+    return await withHistory(userId, response, { withUserToken: Boolean(secret) });
+}
+
+// Job handler for background analyses: each forge fetch, then each analyze* call
+const analysisJob = {
+    stages: () => [...FETCH_STAGES, ...ANALYSES.map(({ key }) => key)],
+    run: runAnalysisJob
+};
+
+export default { analyzeRepository, streamAnalysis, analysisJob, parseRepositoryParams, applyUserToken, describeGitHubError, invalidProfileError, isRefreshRequested };
\ No newline at end of file
@@ -0,0 +1,88 @@
+import ownerScanService from '../services/ownerScanService.js';
+import forgeRegistry from '../services/forgeRegistry.js';
+import onboardingController from './onboardingController.js';
+
+const { applyUserToken, describeGitHubError, isRefreshRequested } = onboardingController;
+
+// Largest page of repositories a client can ask for
+const MAX_PER_PAGE = 50;
+
+/**
+ * Parses a positive integer query parameter
+ * @param {*} value - Raw query value
+ * @param {number} fallback - Value used when the parameter is missing
+ * @returns {number|null} - The integer, or null when invalid
+ */
+function parsePositiveInteger(value, fallback) {
+    if (value === undefined || value === '') {
+        return fallback;
+    }
+    
+    const number = Number(value);
+    return Number.isInteger(number) && number > 0 ? number : null;
+}
+
+/**
+ * Scans every public repository of a user or organization and ranks them by
+ * newcomer-readiness, with their beginner-friendly issues. Results are
+ * paginated; later pages reuse the same scan.
+ * @param {Object} req - Express request object, with owner (URL or name), page and perPage query parameters
+ * @param {Object} res - Express response object
+ */
+async function scanOwner(req, res) {
+    try {
+        const { owner: ownerUrl } = req.query;
+        
+        if (!ownerUrl || typeof ownerUrl !== 'string') {
+            return res.status(400).json({
+                error: 'Owner is required',
+                message: 'Please provide a GitHub user or organization (e.g., https://github.com/owner or owner)'
+            });
+        }
+        
+        // Owners are listed through the GitHub API, on github.com or GitHub Enterprise
+        const parsed = forgeRegistry.parseOwnerUrl(ownerUrl);
+        if (!parsed || parsed.repo || parsed.forge.kind !== 'github') {
+            return res.status(400).json({
+                error: 'Invalid GitHub owner',
+                message: parsed && parsed.repo && parsed.forge.kind === 'github'
+                    ? `'${ownerUrl}' is a repository. Scan its owner with ${parsed.forge.webURL}/${parsed.owner} instead.`
+                    : 'Please provide a valid GitHub user or organization (e.g., https://github.com/owner, https://github.com/orgs/owner, or owner)'
+            });
+        }
+        
+        const page = parsePositiveInteger(req.query.page, 1);
+        const perPage = parsePositiveInteger(req.query.perPage, 10);
+        if (page === null || perPage === null || perPage > MAX_PER_PAGE) {
+            return res.status(400).json({
+                error: 'Invalid pagination',
+                message: `page must be a positive integer and perPage an integer from 1 to ${MAX_PER_PAGE}`
+            });
+        }
+        
+        // The owner is looked up like a repository so X-GitHub-Token applies
+        const { repository, status: tokenStatus, body: tokenError } = applyUserToken(req, parsed);
+        if (tokenError) {
+            return res.status(tokenStatus).json(tokenError);
+        }
+        
+        console.log(`Scanning owner: ${parsed.owner} (page ${page})`);
+        
+        try {
+            res.json(await ownerScanService.scan(parsed.owner, { page, perPage, refresh: isRefreshRequested(req), forge: repository.forge }));
+        } catch (error) {
+            console.error('Failed to scan owner:', error);
+            const { status, body } = describeGitHubError(error, parsed.owner, null);
+            res.status(status).json(body);
+        }
+        
+    } catch (error) {
+        console.error('Unexpected error in scanOwner:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while scanning the owner.'
+        });
+    }
+}
+
+export default { scanOwner };
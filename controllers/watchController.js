@@ -0,0 +1,362 @@
+import watchService from '../services/watchService.js';
+import forgeRegistry from '../services/forgeRegistry.js';
+import { FEED_FORMATS, webhookFormat, renderFeed } from '../services/watchNotifications.js';
+
+const MAX_NAME_LENGTH = 100;
+const DEFAULT_NAME = 'Watched repositories';
+
+const WATCH_LIST_NOT_FOUND_ERROR = {
+    error: 'Watch list not found',
+    message: 'You have no watch list with this ID.'
+};
+
+/**
+ * Builds the error body for an invalid watch list
+ * @param {string} message - What is wrong with the request
+ * @returns {Object} - Client-facing error body
+ */
+function invalidWatchListError(message) {
+    return {
+        error: 'Invalid watch list',
+        message
+    };
+}
+
+/**
+ * Validates the settings of a watch list from a request body. Fields left
+ * out are not changed; when creating a list, repositories are required.
+ * @param {Object} body - Request body with name, repositories and webhooks
+ * @param {Object} options
+ * @param {boolean} options.creating - Whether a new list is created
+ * @returns {Object} - Object with changes, or error describing the first problem
+ */
+function parseWatchList(body, { creating }) {
+    watchService.configure();
+    
+    const { name, repositories, webhooks } = body || {};
+    const changes = {};
+    
+    if (name !== undefined) {
+        if (typeof name !== 'string' || !name.trim() || name.trim().length > MAX_NAME_LENGTH) {
+            return { error: `name must be a non-empty string of at most ${MAX_NAME_LENGTH} characters` };
+        }
+        changes.name = name.trim();
+    } else if (creating) {
+        changes.name = DEFAULT_NAME;
+    }
+    
+    if (repositories !== undefined || creating) {
+        if (!Array.isArray(repositories) || repositories.length === 0 || repositories.length > watchService.maxRepositories) {
+            return { error: `repositories must list between 1 and ${watchService.maxRepositories} repository URLs` };
+        }
+        
+        const parsed = new Map();
+        for (const repoUrl of repositories) {
+            const parsedRepo = typeof repoUrl === 'string' ? forgeRegistry.parseRepositoryUrl(repoUrl) : null;
+            if (!parsedRepo) {
+                return { error: `'${repoUrl}' is not a repository URL on a known forge, or owner/repo` };
+            }
+            
+            // The same repository written twice is watched once
+            const { forge, owner, repo } = parsedRepo;
+            if (parsed.has(forge.repositoryKey(owner, repo))) {
+                continue;
+            }
+            parsed.set(forge.repositoryKey(owner, repo), {
+                host: forge.host,
+                owner,
+                name: repo,
+                fullName: `${owner}/${repo}`,
+                url: forge.repositoryUrl(owner, repo)
+            });
+        }
+        changes.repositories = [...parsed.values()];
+    }
+    
+    if (webhooks !== undefined) {
+        if (!Array.isArray(webhooks) || webhooks.length > watchService.maxWebhooks) {
+            return { error: `webhooks must list at most ${watchService.maxWebhooks} webhook URLs` };
+        }
+        
+        changes.webhooks = [];
+        for (const webhook of webhooks) {
+            // A URL alone, or { url, format } to pick the payload format
+            const { url, format } = typeof webhook === 'string' ? { url: webhook } : (webhook || {});
+            
+            let parsedUrl;
+            try {
+                parsedUrl = new URL(url);
+            } catch (error) {
+                parsedUrl = null;
+            }
+            // The server posts to them on a schedule, so only Slack and Discord hosts are accepted
+            const hostFormat = parsedUrl && webhookFormat(parsedUrl.href);
+            if (!hostFormat) {
+                return { error: 'webhooks must be https Slack (hooks.slack.com) or Discord webhook URLs' };
+            }
+            if (format !== undefined && !['slack', 'discord'].includes(format)) {
+                return { error: 'webhook format must be slack or discord' };
+            }
+            
+            if (!changes.webhooks.some(entry => entry.url === parsedUrl.href)) {
+                changes.webhooks.push({ url: parsedUrl.href, format: format || hostFormat });
+            }
+        }
+    } else if (creating) {
+        changes.webhooks = [];
+    }
+    
+    return { changes };
+}
+
+/**
+ * Checks that the watched repositories stay within the server-wide limit
+ * @param {Array<Object>} repositories - Repositories the list is to watch
+ * @param {string|null} [exceptId] - List being changed, whose current repositories are replaced
+ * @returns {Object|null} - Client-facing error body, or null when within the limit
+ */
+function totalRepositoriesError(repositories, exceptId = null) {
+    if (watchService.repositoryCount(exceptId) + repositories.length <= watchService.maxTotalRepositories) {
+        return null;
+    }
+    return {
+        error: 'Watch limit reached',
+        message: 'This server is watching as many repositories as it can. Try again later, or watch fewer repositories.'
+    };
+}
+
+/**
+ * Gets the watch list named by the id parameter when it belongs to the user
+ * @param {Object} req - Express request object
+ * @returns {Object|null} - Stored watch list, or null when unknown or someone else's
+ */
+function findOwnList(req) {
+    const list = watchService.get(req.params.id);
+    return list && list.userId === req.userId ? list : null;
+}
+
+/**
+ * Creates a watch list from name, repositories (repository URLs) and
+ * webhooks (Slack or Discord webhook URLs). Lists are checked on a schedule
+ * with the server's forge tokens, so only a returning browser can create
+ * them: a client without the user cookie would get a new user, and a new
+ * per-user limit, on every request.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function createWatchList(req, res) {
+    try {
+        if (!req.isReturningUser) {
+            return res.status(403).json({
+                error: 'Cookie required',
+                message: 'Watch lists belong to the browser that creates them. Send the osguide_user cookie set by an earlier response, then try again.'
+            });
+        }
+        
+        const { changes, error } = parseWatchList(req.body, { creating: true });
+        if (error) {
+            return res.status(400).json(invalidWatchListError(error));
+        }
+        
+        if (watchService.listFor(req.userId).length >= watchService.maxLists) {
+            return res.status(409).json({
+                error: 'Too many watch lists',
+                message: `You can have at most ${watchService.maxLists} watch lists. Delete one, or add the repositories to an existing list.`
+            });
+        }
+        
+        const totalError = watchService.lists.size >= watchService.maxTotalLists
+            ? { error: 'Watch limit reached', message: 'This server has as many watch lists as it can check. Try again later.' }
+            : totalRepositoriesError(changes.repositories);
+        if (totalError) {
+            return res.status(409).json(totalError);
+        }
+        
+        const list = watchService.create(req.userId, changes);
+        res.status(201).location(`/api/watchlists/${list.id}`).json(list);
+        
+    } catch (error) {
+        console.error('Unexpected error in createWatchList:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while creating the watch list.'
+        });
+    }
+}
+
+/**
+ * Lists the user's watch lists, newest first
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function listWatchLists(req, res) {
+    try {
+        res.json({ watchLists: watchService.listFor(req.userId) });
+    } catch (error) {
+        console.error('Unexpected error in listWatchLists:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while listing watch lists.'
+        });
+    }
+}
+
+/**
+ * Gets one of the user's watch lists with its recent events
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function getWatchList(req, res) {
+    try {
+        const list = findOwnList(req);
+        if (!list) {
+            return res.status(404).json(WATCH_LIST_NOT_FOUND_ERROR);
+        }
+        
+        res.json(watchService.describe(list));
+        
+    } catch (error) {
+        console.error('Unexpected error in getWatchList:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while reading the watch list.'
+        });
+    }
+}
+
+/**
+ * Changes the name, repositories or webhooks of one of the user's watch
+ * lists; each field given replaces the current one
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function updateWatchList(req, res) {
+    try {
+        if (!findOwnList(req)) {
+            return res.status(404).json(WATCH_LIST_NOT_FOUND_ERROR);
+        }
+        
+        const { changes, error } = parseWatchList(req.body, { creating: false });
+        if (error) {
+            return res.status(400).json(invalidWatchListError(error));
+        }
+        
+        const totalError = changes.repositories && totalRepositoriesError(changes.repositories, req.params.id);
+        if (totalError) {
+            return res.status(409).json(totalError);
+        }
+        
+        res.json(watchService.update(req.params.id, changes));
+        
+    } catch (error) {
+        console.error('Unexpected error in updateWatchList:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while updating the watch list.'
+        });
+    }
+}
+
+/**
+ * Deletes one of the user's watch lists; its feed stops with it
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function deleteWatchList(req, res) {
+    try {
+        if (!findOwnList(req)) {
+            return res.status(404).json(WATCH_LIST_NOT_FOUND_ERROR);
+        }
+        
+        await watchService.remove(req.params.id);
+        res.status(204).end();
+        
+    } catch (error) {
+        console.error('Unexpected error in deleteWatchList:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while deleting the watch list.'
+        });
+    }
+}
+
+/**
+ * Checks every repository of one of the user's watch lists now instead of
+ * waiting for the scheduler, notifying its webhooks of new issues. Checks
+ * requested too soon after the last one are refused with 429.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function checkWatchList(req, res) {
+    try {
+        const list = findOwnList(req);
+        if (!list) {
+            return res.status(404).json(WATCH_LIST_NOT_FOUND_ERROR);
+        }
+        
+        const waitMs = watchService.checkWaitMs(list);
+        if (waitMs > 0) {
+            const seconds = Math.ceil(waitMs / 1000);
+            return res.status(429).set('Retry-After', String(seconds)).json({
+                error: 'Checked recently',
+                message: `This watch list was checked recently. Try again in ${Math.ceil(seconds / 60)} minute${seconds > 60 ? 's' : ''}.`
+            });
+        }
+        
+        const events = await watchService.checkList(req.params.id);
+        if (!events) {
+            return res.status(404).json(WATCH_LIST_NOT_FOUND_ERROR);
+        }
+        
+        res.json({ events, watchList: watchService.describe(watchService.get(req.params.id)) });
+        
+    } catch (error) {
+        console.error('Unexpected error in checkWatchList:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while checking the watch list.'
+        });
+    }
+}
+
+/**
+ * Serves the new issues of a watch list as an Atom feed, or RSS with
+ * format=rss. Feed readers send no cookie, so the list ID is all the feed
+ * needs; it shows issues only, never the webhooks.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+async function watchFeed(req, res) {
+    try {
+        const format = req.query.format || 'atom';
+        if (!FEED_FORMATS[format]) {
+            return res.status(400).json({
+                error: 'Invalid format',
+                message: `format must be one of: ${Object.keys(FEED_FORMATS).join(', ')}`
+            });
+        }
+        
+        const list = watchService.get(req.params.id);
+        if (!list) {
+            return res.status(404).json({
+                error: 'Feed not found',
+                message: 'No watch list has this ID. It may have been deleted.'
+            });
+        }
+        
+        const siteUrl = `${req.protocol}://${req.get('Host')}`;
+        res.set('Content-Type', FEED_FORMATS[format].contentType).send(renderFeed(format, list, {
+            selfUrl: `${siteUrl}${req.originalUrl}`,
+            siteUrl: `${siteUrl}/`
+        }));
+        
+    } catch (error) {
+        console.error('Unexpected error in watchFeed:', error);
+        res.status(500).json({
+            error: 'Internal server error',
+            message: error.message || 'An unexpected error occurred while building the feed.'
+        });
+    }
+}
+
+export default { createWatchList, listWatchLists, getWatchList, updateWatchList, deleteWatchList, checkWatchList, watchFeed };
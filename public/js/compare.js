@@ -0,0 +1,63 @@
+const compareForm = document.getElementById('compareForm');
+const compareBtn = document.getElementById('compareBtn');
+const compareInputs = [...compareForm.querySelectorAll('.compare-input')];
+const comparisonContent = document.getElementById('comparisonContent');
+const btnText = compareBtn.querySelector('.btn-text');
+const loading = compareBtn.querySelector('.loading');
+
+function showLoading() {
+    btnText.style.display = 'none';
+    loading.style.display = 'inline-block';
+    compareBtn.disabled = true;
+    comparisonContent.innerHTML = '<div class="text-muted small text-center">Analyzing every repository… this can take a minute.</div>';
+}
+
+function hideLoading() {
+    btnText.style.display = 'inline-block';
+    loading.style.display = 'none';
+    compareBtn.disabled = false;
+}
+
+function showError(message) {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-danger';
+    alert.textContent = message;
+    comparisonContent.replaceChildren(alert);
+}
+
+async function compareRepositories(repoUrls, profile) {
+    showLoading();
+    
+    try {
+        const response = await fetch('/api/compare', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ repoUrls, profile })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Comparison failed');
+        }
+        
+        // Server-rendered HTML, with every value already escaped
+        comparisonContent.innerHTML = data.rendered;
+    } catch (error) {
+        console.error('Comparison error:', error);
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+compareForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const repoUrls = compareInputs.map(input => input.value.trim()).filter(Boolean);
+    
+    if (repoUrls.length < 2) {
+        alert('Please enter at least two GitHub repository URLs');
+        return;
+    }
+    
+    compareRepositories(repoUrls, readProfile());
+});
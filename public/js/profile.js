@@ -0,0 +1,47 @@
+// Contributor profile form shared by the analyze and compare pages
+const profileForm = document.getElementById('profileForm');
+const profileInputs = {
+    languages: document.getElementById('profileLanguages'),
+    experience: document.getElementById('profileExperience'),
+    hours: document.getElementById('profileHours')
+};
+
+// Reads the contributor profile form; empty fields are left out
+function readProfile() {
+    const profile = {};
+    const languages = profileInputs.languages.value.split(',').map(language => language.trim()).filter(Boolean);
+    const interests = [...profileForm.querySelectorAll('input[name="interests"]:checked')].map(input => input.value);
+    
+    if (languages.length > 0) {
+        profile.languages = languages;
+    }
+    if (profileInputs.experience.value) {
+        profile.experience = profileInputs.experience.value;
+    }
+    if (profileInputs.hours.value) {
+        profile.hoursPerWeek = parseInt(profileInputs.hours.value, 10);
+    }
+    if (interests.length > 0) {
+        profile.interests = interests;
+    }
+    return profile;
+}
+
+// Encodes a profile as the query parameters the stream and export endpoints accept
+function profileQuery(profile) {
+    const params = new URLSearchParams();
+    if (profile.languages) {
+        params.set('languages', profile.languages.join(','));
+    }
+    if (profile.experience) {
+        params.set('experience', profile.experience);
+    }
+    if (profile.hoursPerWeek) {
+        params.set('hours', profile.hoursPerWeek);
+    }
+    if (profile.interests) {
+        params.set('interests', profile.interests.join(','));
+    }
+    const query = params.toString();
+    return query ? `&${query}` : '';
+}
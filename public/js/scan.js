@@ -0,0 +1,79 @@
+const scanForm = document.getElementById('scanForm');
+const ownerInput = document.getElementById('ownerInput');
+const scanBtn = document.getElementById('scanBtn');
+const scanContent = document.getElementById('scanContent');
+const btnText = scanBtn.querySelector('.btn-text');
+const loading = scanBtn.querySelector('.loading');
+
+// Owner of the results on screen, which the pagination buttons page through
+let currentOwner = null;
+
+function showLoading() {
+    btnText.style.display = 'none';
+    loading.style.display = 'inline-block';
+    scanBtn.disabled = true;
+}
+
+function hideLoading() {
+    btnText.style.display = 'inline-block';
+    loading.style.display = 'none';
+    scanBtn.disabled = false;
+}
+
+function showError(message) {
+    const alert = document.createElement('div');
+    alert.className = 'alert alert-danger';
+    alert.textContent = message;
+    scanContent.replaceChildren(alert);
+}
+
+async function scanOwner(owner, page = 1) {
+    showLoading();
+    
+    try {
+        const response = await fetch(`/api/scan?owner=${encodeURIComponent(owner)}&page=${page}`);
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Scan failed');
+        }
+        
+        // Server-rendered HTML, with every value already escaped
+        scanContent.innerHTML = data.rendered;
+        currentOwner = owner;
+        history.replaceState(null, '', `/scan?owner=${encodeURIComponent(owner)}&page=${data.pagination.page}`);
+        scanContent.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    } catch (error) {
+        console.error('Scan error:', error);
+        showError(error.message);
+    } finally {
+        hideLoading();
+    }
+}
+
+scanForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const owner = ownerInput.value.trim();
+    
+    if (!owner) {
+        alert('Please enter a GitHub user or organization');
+        return;
+    }
+    
+    scanOwner(owner);
+});
+
+// Pagination buttons are part of the rendered results
+scanContent.addEventListener('click', (e) => {
+    const button = e.target.closest('button[data-page]');
+    if (button && button.dataset.page && currentOwner && !scanBtn.disabled) {
+        scanOwner(currentOwner, Number(button.dataset.page));
+    }
+});
+
+// Links from the home page arrive with the owner in the query string
+const params = new URLSearchParams(location.search);
+if (params.get('owner')) {
+    ownerInput.value = params.get('owner');
+    scanOwner(params.get('owner'), Number(params.get('page')) || 1);
+}
@@ -3,61 +3,87 @@ const searchBtn = document.getElementById('searchBtn');
 const repoTitle = document.getElementById('repoTitle');
 const btnText = searchBtn.querySelector('.btn-text');
 const loading = searchBtn.querySelector('.loading');
+const exportLinks = document.getElementById('exportLinks');
+const chatPanel = document.getElementById('chatPanel');
+const chatMessages = document.getElementById('chatMessages');
+const chatForm = document.getElementById('chatForm');
+const chatInput = document.getElementById('chatInput');
+const chatSend = document.getElementById('chatSend');
+const backgroundToggle = document.getElementById('backgroundToggle');
+const bookmarkBtn = document.getElementById('bookmarkBtn');
+const permalinkAnchor = document.getElementById('permalink');
+const diffPanel = document.getElementById('diffPanel');
+const diffContent = document.getElementById('diffContent');
+const bookmarkList = document.getElementById('bookmarkList');
+const historyList = document.getElementById('historyList');
+
+// How often a background analysis is checked on
+const JOB_POLL_INTERVAL_MS = 2000;
+
+// Repository and server-side session of the current conversation
+const chat = { repository: null, sessionId: null };
+
+// Repository on screen, and the user's bookmarks as last loaded
+const saved = { repository: null, bookmarks: [] };
+
+const exportAnchors = {
+    md: document.getElementById('exportMd'),
+    html: document.getElementById('exportHtml'),
+    json: document.getElementById('exportJson')
+};
 
 const contentElements = {
     start: document.getElementById('startContent'),
     improving: document.getElementById('improvingContent'),
     rules: document.getElementById('rulesContent'),
-    about: document.getElementById('aboutContent')
+    about: document.getElementById('aboutContent'),
+    architecture: document.getElementById('architectureContent'),
+    health: document.getElementById('healthContent')
+};
+
+// Maps analysis keys from the API to their card
+const analysisCards = {
+    whereToStart: 'start',
+    whatNeedsImproving: 'improving',
+    contributionRules: 'rules',
+    projectOverview: 'about',
+    architecture: 'architecture',
+    health: 'health'
+};
+
+const progressLabels = {
+    metadata: 'repository details',
+    issues: 'beginner-friendly issues',
+    recentIssues: 'recent open issues',
+    pullRequests: 'open pull requests',
+    community: 'README, contributing guide and other community files',
+    structure: 'file tree and manifests',
+    health: 'activity and health metrics',
+    index: 'searchable index of the files',
+    whereToStart: 'Where can I start?',
+    whatNeedsImproving: 'What needs improving?',
+    contributionRules: 'What rules should I follow?',
+    projectOverview: "What's this repo about?",
+    architecture: 'How is it built?'
 };
 
-// Mock data for demonstration
-const mockResponses = {
-    start: `
-        <h6 class="text-success mb-3">Good First Issues Found:</h6>
-        <ul class="list-unstyled text-start">
-            <li class="mb-2">• <strong>Add unit tests for utility functions</strong> - Perfect for learning the codebase</li>
-            <li class="mb-2">• <strong>Update documentation examples</strong> - Help improve user experience</li>
-            <li class="mb-2">• <strong>Fix typos in README</strong> - Simple but valuable contribution</li>
-            <li class="mb-2">• <strong>Add error handling to API calls</strong> - Good for intermediate beginners</li>
-        </ul>
-        <div class="mt-3 text-muted small">💡 Start with documentation or testing contributions to familiarize yourself with the project</div>
-    `,
-    improving: `
-        <h6 class="text-warning mb-3">Areas Needing Attention:</h6>
-        <div class="text-start">
-            <p><strong>📚 Documentation:</strong> API documentation is incomplete, missing examples for advanced usage</p>
-            <p><strong>🔧 Code Quality:</strong> Several functions lack proper error handling and input validation</p>
-            <p><strong>🧪 Testing:</strong> Test coverage is at 65% - missing tests for edge cases</p>
-            <p><strong>📦 Dependencies:</strong> 3 outdated dependencies with known security vulnerabilities</p>
-        </div>
-        <div class="mt-3 text-muted small">🎯 Contributing to these areas would have high impact</div>
-    `,
-    rules: `
-        <h6 class="text-info mb-3">Contribution Guidelines:</h6>
-        <div class="text-start">
-            <p><strong>🔀 Workflow:</strong> Fork → Feature branch → Pull request → Code review</p>
-            <p><strong>💻 Code Style:</strong> ESLint + Prettier, 2-space indentation, descriptive variable names</p>
-            <p><strong>✅ Requirements:</strong> All tests must pass, add tests for new features</p>
-            <p><strong>📝 Commits:</strong> Use conventional commits (feat:, fix:, docs:, etc.)</p>
-            <p><strong>🤝 Code of Conduct:</strong> Be respectful, inclusive, and constructive in all interactions</p>
-        </div>
-        <div class="mt-3 text-muted small">📖 Read CONTRIBUTING.md for complete details</div>
-    `,
-    about: `
-        <h6 class="text-primary mb-3">Project Overview:</h6>
-        <div class="text-start">
-            <p><strong>🎯 Purpose:</strong> A modern web application for managing and visualizing data workflows</p>
-            <p><strong>⚡ Tech Stack:</strong> React, Node.js, PostgreSQL, Docker</p>
-            <p><strong>🌟 Key Features:</strong> Real-time data processing, interactive dashboards, API integrations</p>
-            <p><strong>👥 Community:</strong> 150+ contributors, 2.3k stars, active development</p>
-            <p><strong>🚀 Status:</strong> Production-ready, actively maintained, regular releases</p>
-        </div>
-        <div class="mt-3 text-muted small">🔍 Perfect for developers interested in data visualization and workflow automation</div>
-    `
+// Stage markers of background analyses
+const stageMarkers = {
+    pending: '·',
+    running: '…',
+    done: '✓',
+    skipped: '↷',
+    missing: '–',
+    failed: '✗'
 };
 
+// Shown when GitHub activity could not be fetched, so the health card is not left loading
+const HEALTH_UNAVAILABLE = '<div class="text-muted small">Health metrics are unavailable for this repository.</div>';
+
 function showLoading() {
+    hideExportLinks();
+    hideRunExtras();
+    hideChat();
     btnText.style.display = 'none';
     loading.style.display = 'inline-block';
     searchBtn.disabled = true;
@@ -69,54 +95,410 @@ function hideLoading() {
     searchBtn.disabled = false;
 }
 
+// owner/repo part of API paths; GitLab owners are nested groups, so each part is encoded
+function repositoryPath(repository) {
+    const split = repository.fullName.lastIndexOf('/');
+    return `${encodeURIComponent(repository.fullName.slice(0, split))}/${encodeURIComponent(repository.fullName.slice(split + 1))}`;
+}
+
+// host query parameter of API paths, left out for github.com
+function hostParam(repository) {
+    return repository.host && repository.host !== 'github.com' ? `host=${encodeURIComponent(repository.host)}` : '';
+}
+
+function showExportLinks(repository, profile) {
+    const host = hostParam(repository);
+    Object.entries(exportAnchors).forEach(([format, anchor]) => {
+        anchor.href = `/api/analysis/${repositoryPath(repository)}/export?format=${format}${host ? `&${host}` : ''}${profileQuery(profile)}`;
+    });
+    exportLinks.style.display = 'block';
+}
+
+function hideExportLinks() {
+    exportLinks.style.display = 'none';
+}
+
+// Key the server files history and bookmarks under: owner/repo, with the host outside github.com
+function repositoryKey(repository) {
+    const host = repository.host && repository.host !== 'github.com' ? `${repository.host}/` : '';
+    return `${host}${repository.fullName}`.toLowerCase();
+}
+
+function isBookmarked(repository) {
+    return saved.bookmarks.some(bookmark => bookmark.key === repositoryKey(repository));
+}
+
+function updateBookmarkButton() {
+    const bookmarked = Boolean(saved.repository) && isBookmarked(saved.repository);
+    bookmarkBtn.textContent = bookmarked ? '★ Bookmarked' : '☆ Bookmark';
+    bookmarkBtn.setAttribute('aria-pressed', String(bookmarked));
+}
+
+// Shows the permalink of a saved analysis and what changed since the previous one
+function showRunExtras(repository, run) {
+    saved.repository = repository;
+    updateBookmarkButton();
+    
+    if (run) {
+        permalinkAnchor.href = run.permalink;
+        permalinkAnchor.style.display = 'inline-block';
+        showDiff(run.id);
+    }
+    loadSidebar();
+}
+
+function hideRunExtras() {
+    permalinkAnchor.style.display = 'none';
+    diffPanel.style.display = 'none';
+}
+
+async function showDiff(id) {
+    try {
+        const response = await fetch(`/api/history/${encodeURIComponent(id)}/diff`);
+        // 404 when this is the user's first analysis of the repository
+        if (!response.ok) {
+            return;
+        }
+        
+        // Server-rendered HTML, with every value already escaped
+        const { rendered } = await response.json();
+        diffContent.innerHTML = rendered;
+        diffPanel.style.display = 'block';
+    } catch (error) {
+        console.warn('Could not compare with the last analysis:', error);
+    }
+}
+
+async function toggleBookmark(repository) {
+    try {
+        const response = isBookmarked(repository)
+            ? await fetch(`/api/bookmarks/${encodeURIComponent(repositoryKey(repository))}`, { method: 'DELETE' })
+            : await fetch('/api/bookmarks', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ repoUrl: repository.url })
+            });
+        // 404 means another tab already removed it
+        if (!response.ok && response.status !== 404) {
+            const data = await response.json();
+            throw new Error(data.message || 'Could not update the bookmark.');
+        }
+    } catch (error) {
+        console.error('Bookmark error:', error);
+        alert(error.message);
+    }
+    await loadSidebar();
+}
+
+function sidebarItem(href, label, extra) {
+    const item = document.createElement('li');
+    const link = document.createElement('a');
+    link.href = href;
+    link.textContent = label;
+    item.append(link, extra);
+    return item;
+}
+
+function emptySidebarItem(text) {
+    const item = document.createElement('li');
+    item.className = 'text-muted';
+    item.textContent = text;
+    return item;
+}
+
+// Fills the sidebar with the bookmarks and recent analyses of this browser
+async function loadSidebar() {
+    try {
+        const [bookmarkResponse, historyResponse] = await Promise.all([fetch('/api/bookmarks'), fetch('/api/history')]);
+        if (!bookmarkResponse.ok || !historyResponse.ok) {
+            throw new Error('Could not load your history.');
+        }
+        const { bookmarks } = await bookmarkResponse.json();
+        const { runs } = await historyResponse.json();
+        
+        saved.bookmarks = bookmarks;
+        updateBookmarkButton();
+        
+        bookmarkList.replaceChildren(...bookmarks.map(({ repository }) => {
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'btn btn-link btn-sm text-muted';
+            remove.textContent = '×';
+            remove.setAttribute('aria-label', `Remove the bookmark of ${repository.fullName}`);
+            remove.addEventListener('click', () => toggleBookmark(repository));
+            return sidebarItem(`/?repo=${encodeURIComponent(repository.url)}`, repository.fullName, remove);
+        }));
+        if (!bookmarks.length) {
+            bookmarkList.append(emptySidebarItem('Bookmark a repository to come back to it quickly.'));
+        }
+        
+        historyList.replaceChildren(...runs.map(run => {
+            const when = document.createElement('span');
+            when.className = 'text-muted';
+            when.textContent = `${new Date(run.createdAt).toLocaleString()}${run.tailored ? ' · tailored' : ''}`;
+            return sidebarItem(run.permalink, run.repository.fullName, when);
+        }));
+        if (!runs.length) {
+            historyList.append(emptySidebarItem('Repositories you analyze are listed here.'));
+        }
+    } catch (error) {
+        console.warn('Could not load history:', error);
+    }
+}
+
+// Shows a saved analysis on its permalink page
+async function showSavedAnalysis(id) {
+    try {
+        const response = await fetch(`/api/history/${encodeURIComponent(id)}`);
+        const entry = await response.json();
+        if (!response.ok) {
+            throw new Error(entry.message || 'Could not load the analysis.');
+        }
+        
+        repoInput.value = entry.repository.url;
+        showAnalysis({ ...entry.response, history: entry }, entry.profile || {});
+    } catch (error) {
+        console.error('Analysis error:', error);
+        showError(error.message);
+    }
+}
+
+function showChat(repository) {
+    const current = chat.repository;
+    if (!current || current.fullName !== repository.fullName || current.host !== repository.host) {
+        chat.repository = repository;
+        chat.sessionId = null;
+        chatMessages.replaceChildren();
+    }
+    chatPanel.style.display = 'block';
+}
+
+function hideChat() {
+    chatPanel.style.display = 'none';
+}
+
+function appendChatMessage(role, text, citations = []) {
+    const message = document.createElement('div');
+    message.className = `chat-message chat-message-${role}`;
+    message.textContent = text;
+    
+    if (citations.length > 0) {
+        const sources = document.createElement('div');
+        sources.className = 'chat-citations text-muted';
+        sources.append('Sources: ');
+        citations.forEach(citation => {
+            const link = document.createElement('a');
+            link.href = citation.url;
+            link.target = '_blank';
+            link.rel = 'noopener';
+            link.textContent = citation.label;
+            sources.append(link);
+        });
+        message.append(sources);
+    }
+    
+    chatMessages.append(message);
+    chatMessages.scrollTop = chatMessages.scrollHeight;
+    return message;
+}
+
+async function askQuestion(question) {
+    appendChatMessage('user', question);
+    const pending = appendChatMessage('assistant', 'Thinking…');
+    chatSend.disabled = true;
+    
+    try {
+        const host = hostParam(chat.repository);
+        const response = await fetch(`/api/repos/${repositoryPath(chat.repository)}/chat${host ? `?${host}` : ''}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ message: question, sessionId: chat.sessionId })
+        });
+        const data = await response.json();
+        
+        if (!response.ok) {
+            throw new Error(data.message || 'Could not answer the question');
+        }
+        
+        chat.sessionId = data.sessionId;
+        pending.remove();
+        appendChatMessage('assistant', data.answer, data.citations);
+    } catch (error) {
+        console.error('Chat error:', error);
+        pending.textContent = error.message;
+        pending.classList.add('text-danger');
+    } finally {
+        chatSend.disabled = false;
+    }
+}
+
 function updateContent(type, content) {
     contentElements[type].innerHTML = content;
 }
 
-function extractRepoName(url) {
-    const match = url.match(/github\.com\/([^\/]+\/[^\/]+)/);
-    return match ? match[1] : 'Repository';
+function showError(message) {
+    Object.keys(contentElements).forEach(type => {
+        const alert = document.createElement('div');
+        alert.className = 'alert alert-danger';
+        alert.textContent = message;
+        contentElements[type].replaceChildren(alert);
+    });
+}
+
+function streamAnalysis(url, profile) {
+    showLoading();
+    
+    const fetched = [];
+    const streamed = {};
+    const completed = new Set();
+    const source = new EventSource(`/api/analyze/stream?repo=${encodeURIComponent(url)}${profileQuery(profile)}`);
+    
+    const finish = () => {
+        source.close();
+        hideLoading();
+    };
+    
+    source.addEventListener('progress', (event) => {
+        const { stage, status } = JSON.parse(event.data);
+        fetched.push(`<li>${status === 'done' ? '✓' : '–'} ${progressLabels[stage] || stage}</li>`);
+        
+        const progressHTML = `<ul class="list-unstyled text-muted small progress-list">${fetched.join('')}</ul>`;
+        Object.keys(contentElements).forEach(type => {
+            updateContent(type, progressHTML);
+        });
+    });
+    
+    source.addEventListener('repository', (event) => {
+        const repository = JSON.parse(event.data);
+        repoTitle.textContent = repository.fullName;
+    });
+    
+    source.addEventListener('token', (event) => {
+        // Tokens are raw JSON, so only show that the card is being written
+        const { card, text } = JSON.parse(event.data);
+        streamed[card] = (streamed[card] || 0) + text.length;
+        contentElements[analysisCards[card]].textContent = `Writing… (${streamed[card]} characters)`;
+    });
+    
+    source.addEventListener('card', (event) => {
+        // Server-rendered HTML, with every value already escaped
+        const { card, html } = JSON.parse(event.data);
+        updateContent(analysisCards[card], html);
+        completed.add(card);
+    });
+    
+    source.addEventListener('complete', (event) => {
+        const { repository, history } = JSON.parse(event.data);
+        if (!completed.has('health')) {
+            updateContent('health', HEALTH_UNAVAILABLE);
+        }
+        showExportLinks(repository, profile);
+        showChat(repository);
+        showRunExtras(repository, history);
+        finish();
+    });
+    
+    source.addEventListener('error', (event) => {
+        // Named error events carry a body; bare ones mean the connection dropped
+        const body = event.data ? JSON.parse(event.data) : {};
+        const message = body.message || 'Lost connection to the server while analyzing the repository.';
+        
+        // The server recognized a user or organization, whose repositories are scanned instead
+        if (body.scanUrl) {
+            source.close();
+            location.href = body.scanUrl;
+            return;
+        }
+        
+        console.error('Analysis error:', message);
+        showError(message);
+        finish();
+    });
+}
+
+function showAnalysis(data, profile) {
+    repoTitle.textContent = data.repository.fullName;
+    updateContent('start', data.rendered.whereToStart);
+    updateContent('improving', data.rendered.whatNeedsImproving);
+    updateContent('rules', data.rendered.contributionRules);
+    updateContent('about', data.rendered.projectOverview);
+    updateContent('architecture', data.rendered.architecture);
+    updateContent('health', data.rendered.health || HEALTH_UNAVAILABLE);
+    showExportLinks(data.repository, profile);
+    showChat(data.repository);
+    showRunExtras(data.repository, data.history);
 }
 
-async function analyzeRepository(url) {
+function showJobProgress(job) {
+    const heading = job.status === 'queued'
+        ? `Queued${job.position ? ` (number ${job.position} in line)` : ''}…`
+        : 'Analyzing in the background…';
+    const stages = job.stages
+        .map(({ name, status }) => `<li>${stageMarkers[status] || ''} ${progressLabels[name] || name}</li>`)
+        .join('');
+    
+    const progressHTML = `<p class="text-muted small mb-1">${heading}</p><ul class="list-unstyled text-muted small progress-list">${stages}</ul>`;
+    Object.keys(contentElements).forEach(type => {
+        updateContent(type, progressHTML);
+    });
+}
+
+// Polls a background analysis until it finishes, then shows it
+async function followJob(id) {
     showLoading();
     
     try {
-      const response = await fetch('/api/analyze', {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ repoUrl: url })
-      });
-  
-      // First check if response is OK
-      if (!response.ok) {
-        const errorText = await response.text();
-        throw new Error(errorText || 'Analysis failed');
-      }
-  
-      // Then try to parse as JSON
-      const contentType = response.headers.get('content-type');
-      if (!contentType || !contentType.includes('application/json')) {
-        const text = await response.text();
-        throw new Error(`Expected JSON but got: ${text.substring(0, 100)}...`);
-      }
-  
-      const data = await response.json();
-      
-      // Update UI
-      updateContent('start', data.analysis.whereToStart);
-      updateContent('improving', data.analysis.whatNeedsImproving);
-      updateContent('rules', data.analysis.contributionRules);
-      updateContent('about', data.analysis.projectOverview);
-      
+        while (true) {
+            const response = await fetch(`/api/jobs/${encodeURIComponent(id)}`);
+            const job = await response.json();
+            if (!response.ok) {
+                throw new Error(job.message || 'Could not check on the analysis.');
+            }
+            
+            if (job.status === 'completed') {
+                showAnalysis(job.result, job.input.profile || {});
+                return;
+            }
+            if (job.status === 'failed') {
+                throw new Error(job.error.message);
+            }
+            
+            showJobProgress(job);
+            await new Promise(resolve => setTimeout(resolve, JOB_POLL_INTERVAL_MS));
+        }
     } catch (error) {
-      console.error('Analysis error:', error);
-      const errorHTML = `<div class="alert alert-danger">${error.message}</div>`;
-      Object.keys(contentElements).forEach(type => {
-        updateContent(type, errorHTML);
-      });
+        console.error('Analysis error:', error);
+        showError(error.message);
     } finally {
-      hideLoading();
+        hideLoading();
+    }
+}
+
+// Queues the analysis as a background job; the job ID goes in the address so a reload keeps following it
+async function analyzeInBackground(url, profile) {
+    showLoading();
+    
+    try {
+        const response = await fetch('/api/analyze', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ repoUrl: url, profile, async: true })
+        });
+        const job = await response.json();
+        if (job.scanUrl) {
+            location.href = job.scanUrl;
+            return;
+        }
+        if (!response.ok) {
+            throw new Error(job.message || 'Analysis failed');
+        }
+        
+        history.replaceState(null, '', `?job=${encodeURIComponent(job.id)}`);
+        await followJob(job.id);
+    } catch (error) {
+        console.error('Analysis error:', error);
+        showError(error.message);
+        hideLoading();
     }
 }
 
@@ -124,26 +506,57 @@ function handleSearch() {
     const url = repoInput.value.trim();
     
     if (!url) {
-        alert('Please enter a GitHub repository URL');
+        alert('Please enter a repository URL');
         return;
     }
     
-    if (!url.includes('github.com')) {
-        alert('Please enter a valid GitHub repository URL');
-        return;
+    const profile = readProfile();
+    if (window.EventSource && !backgroundToggle.checked) {
+        streamAnalysis(url, profile);
+    } else {
+        analyzeInBackground(url, profile);
     }
-    
-    analyzeRepository(url);
 }
 
 searchBtn.addEventListener('click', handleSearch);
 
+bookmarkBtn.addEventListener('click', () => {
+    if (saved.repository) {
+        toggleBookmark(saved.repository);
+    }
+});
+
+// "Analyze" links from the organization scan arrive with the repository in the query string,
+// and background analyses with their job
+const requestedRepo = new URLSearchParams(location.search).get('repo');
+const requestedJob = new URLSearchParams(location.search).get('job');
+if (requestedRepo) {
+    repoInput.value = requestedRepo;
+    handleSearch();
+} else if (requestedJob) {
+    followJob(requestedJob);
+} else if (document.body.dataset.analysisId) {
+    // Permalink pages carry the ID of the analysis they show
+    showSavedAnalysis(document.body.dataset.analysisId);
+}
+loadSidebar();
+
 repoInput.addEventListener('keypress', (e) => {
     if (e.key === 'Enter') {
         handleSearch();
     }
 });
 
+chatForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const question = chatInput.value.trim();
+    
+    if (question && !chatSend.disabled) {
+        chatInput.value = '';
+        askQuestion(question);
+    }
+});
+
 // Add some subtle animations on page load
 document.addEventListener('DOMContentLoaded', () => {
     const cards = document.querySelectorAll('.info-card');
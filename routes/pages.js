@@ -1,4 +1,6 @@
 import express from 'express';
+import historyService from '../services/historyService.js';
+import historyController from '../controllers/historyController.js';
 
 const router = express.Router();
 
@@ -10,4 +12,35 @@ router.get('/', (req, res) => {
     });
 });
 
+// Permalink of a saved analysis; the page loads it from /api/history/:id
+router.get('/r/:owner/:repo/:analysisId', historyController.identifyUser, async (req, res) => {
+    const { owner, repo, analysisId } = req.params;
+    const entry = await historyService.get(analysisId, { userId: req.userId });
+    const found = entry && entry.repository.owner === owner && entry.repository.name === repo;
+    
+    res.status(found ? 200 : 404).render('index', {
+        title: found ? `${entry.repository.fullName} - OpenSourceGuide.AI` : 'Analysis not found - OpenSourceGuide.AI',
+        style: 'style',
+        script: 'script',
+        analysisId: found ? entry.id : null,
+        missingAnalysis: !found
+    });
+});
+
+router.get('/compare', (req, res) => {
+    res.render('compare', {
+        title: 'Compare repositories - OpenSourceGuide.AI',
+        style: 'style',
+        script: 'compare'
+    });
+});
+
+router.get('/scan', (req, res) => {
+    res.render('scan', {
+        title: 'Find projects to contribute to - OpenSourceGuide.AI',
+        style: 'style',
+        script: 'scan'
+    });
+});
+
 export default router;
\ No newline at end of file
@@ -0,0 +1,154 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+
+class AnalysisCache {
+    constructor() {
+        // Settings are read on first use so values loaded by dotenv after import are seen
+        this.directory = null;
+        this.maxEntries = null;
+        this.maxAgeMs = null;
+    }
+    
+    /**
+     * Loads cache settings from the configuration
+     */
+    configure() {
+        if (this.directory) {
+            return;
+        }
+        
+        const { directory, maxEntries, ttlHours } = config.get().analysisCache;
+        this.directory = directory;
+        this.maxEntries = maxEntries;
+        this.maxAgeMs = ttlHours * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Builds the cache key for an analysis
+     * @param {Object} parts - Key parts
+     * @param {string} [parts.host] - Forge host, left out for github.com
+     * @param {string} parts.owner - Repository owner
+     * @param {string} parts.repo - Repository name
+     * @param {string} parts.sha - Default branch head commit SHA
+     * @param {number|string} parts.promptVersion - Version of the prompts that produced the analysis
+     * @param {string} [parts.model] - Model that produced the analysis
+     * @param {string} [parts.profile] - Digest of the contributor profile the analysis was tailored to
+     * @returns {string} - Cache key
+     */
+    buildKey({ host = '', owner, repo, sha, promptVersion, model = '', profile = '' }) {
+        // Keys of github.com repositories predate other forges and keep their form
+        const parts = [...(host ? [host.toLowerCase()] : []), owner.toLowerCase(), repo.toLowerCase(), sha, `v${promptVersion}`, model];
+        return (profile ? [...parts, `profile-${profile}`] : parts).join(':');
+    }
+    
+    /**
+     * Gets the file path that stores a key
+     */
+    filePath(key) {
+        const digest = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${digest}.json`);
+    }
+    
+    /**
+     * Reads a cached analysis response
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} - Cache entry with storedAt and response, or null on a miss
+     */
+    async get(key) {
+        this.configure();
+        const file = this.filePath(key);
+        
+        try {
+            const entry = JSON.parse(await fs.readFile(file, 'utf-8'));
+            
+            if (entry.key !== key || Date.now() - Date.parse(entry.storedAt) > this.maxAgeMs) {
+                await fs.rm(file, { force: true });
+                return null;
+            }
+            
+            // Touch the file so eviction keeps recently used entries
+            const now = new Date();
+            await fs.utimes(file, now, now);
+            
+            return entry;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read analysis cache entry ${key}:`, error.message);
+            }
+            return null;
+        }
+    }
+    
+    /**
+     * Stores an analysis response and applies the eviction policy
+     * @param {string} key - Cache key
+     * @param {Object} response - Analysis response body
+     */
+    async set(key, response) {
+        this.configure();
+        const file = this.filePath(key);
+        const entry = {
+            key,
+            storedAt: new Date().toISOString(),
+            response
+        };
+        
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            
+            // Write then rename so readers never see a partial file
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(entry));
+            await fs.rename(tempFile, file);
+            
+            await this.evict();
+        } catch (error) {
+            console.warn(`Could not write analysis cache entry ${key}:`, error.message);
+        }
+    }
+    
+    /**
+     * Removes expired entries, then the least recently used ones beyond maxEntries
+     * @returns {Promise<number>} - Number of entries removed
+     */
+    async evict() {
+        this.configure();
+        
+        let names;
+        try {
+            names = (await fs.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            return 0;
+        }
+        
+        const entries = await Promise.all(names.map(async (name) => {
+            const file = path.join(this.directory, name);
+            try {
+                const stats = await fs.stat(file);
+                return { file, usedAt: stats.mtimeMs };
+            } catch (error) {
+                return null;
+            }
+        }));
+        
+        const now = Date.now();
+        const live = [];
+        const stale = [];
+        entries.filter(Boolean).forEach(entry => {
+            // Entries unused for longer than the TTL are necessarily older than it
+            (now - entry.usedAt > this.maxAgeMs ? stale : live).push(entry);
+        });
+        
+        live.sort((a, b) => b.usedAt - a.usedAt);
+        stale.push(...live.slice(this.maxEntries));
+        
+        await Promise.all(stale.map(({ file }) => fs.rm(file, { force: true })));
+        return stale.length;
+    }
+}
+
+// Create and export cache instance
+const analysisCache = new AnalysisCache();
+export default analysisCache;
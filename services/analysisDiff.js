@@ -0,0 +1,70 @@
+/**
+ * Compares two stored runs of a repository's analysis: which beginner issues
+ * opened or went away, which community files (README, contributing guide,
+ * ...) were added or removed, and how the health score moved.
+ */
+
+/**
+ * Splits two lists into the items only in the newer one and only in the older one
+ * @param {Array<Object>} older - Items of the older analysis
+ * @param {Array<Object>} newer - Items of the newer analysis
+ * @param {Function} keyOf - Identity of an item
+ * @returns {Object} - { added, removed }
+ */
+function compareLists(older, newer, keyOf) {
+    const olderKeys = new Set(older.map(keyOf));
+    const newerKeys = new Set(newer.map(keyOf));
+    
+    return {
+        added: newer.filter(item => !olderKeys.has(keyOf(item))),
+        removed: older.filter(item => !newerKeys.has(keyOf(item)))
+    };
+}
+
+/**
+ * Reads the health score and grade of an analysis, when it has them
+ */
+function healthOf(response) {
+    return response.health ? { score: response.health.score, grade: response.health.grade } : { score: null, grade: null };
+}
+
+/**
+ * Diffs an older analysis of a repository against a newer one
+ * @param {Object} older - Stored analysis, see historyService.get
+ * @param {Object} newer - Stored analysis of the same repository
+ * @returns {Object} - { from, to, commitChanged, beginnerIssues, communityFiles, health, changed }
+ */
+function diffAnalyses(older, newer) {
+    const beginnerIssues = compareLists(older.response.beginnerIssues || [], newer.response.beginnerIssues || [], issue => issue.number);
+    const communityFiles = compareLists(
+        older.response.metadata.communityFiles || [],
+        newer.response.metadata.communityFiles || [],
+        file => `${file.key}:${file.path}`
+    );
+    
+    const before = healthOf(older.response);
+    const after = healthOf(newer.response);
+    const health = {
+        from: before.score,
+        to: after.score,
+        gradeFrom: before.grade,
+        gradeTo: after.grade,
+        change: before.score !== null && after.score !== null ? after.score - before.score : null
+    };
+    
+    const describe = (entry) => ({ id: entry.id, createdAt: entry.createdAt, commitSha: entry.commitSha, permalink: entry.permalink });
+    
+    return {
+        from: describe(older),
+        to: describe(newer),
+        commitChanged: older.commitSha !== newer.commitSha,
+        beginnerIssues,
+        communityFiles,
+        health,
+        changed: beginnerIssues.added.length + beginnerIssues.removed.length
+            + communityFiles.added.length + communityFiles.removed.length > 0
+            || Boolean(health.change)
+    };
+}
+
+export { diffAnalyses };
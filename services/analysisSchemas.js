@@ -0,0 +1,304 @@
+/**
+ * JSON schemas for the analysis cards, repository comparisons and chat answers.
+ * 
+ * Each schema maps a field name to a descriptor: `string`, `url` (http/https
+ * only, so it is safe in an href), or `array` of strings or of objects
+ * described the same way. Model output is coerced to these shapes: unknown
+ * fields are dropped, missing ones get empty defaults and long values are cut.
+ */
+const ANALYSIS_SCHEMAS = {
+    whereToStart: {
+        summary: { type: 'string', maxLength: 600 },
+        steps: { type: 'array', items: { type: 'string', maxLength: 300 }, maxItems: 8 },
+        skills: { type: 'array', items: { type: 'string', maxLength: 120 }, maxItems: 8 },
+        issues: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string', maxLength: 200 },
+                    url: { type: 'url' },
+                    reason: { type: 'string', maxLength: 300 }
+                }
+            }
+        },
+        tips: { type: 'array', items: { type: 'string', maxLength: 300 }, maxItems: 5 },
+        // First-week plan, only filled in when the request carries a contributor profile
+        plan: {
+            type: 'array',
+            maxItems: 7,
+            items: {
+                type: 'object',
+                fields: {
+                    day: { type: 'string', maxLength: 40 },
+                    task: { type: 'string', maxLength: 300 },
+                    issue: { type: 'url' },
+                    path: { type: 'string', maxLength: 200 }
+                }
+            }
+        }
+    },
+    whatNeedsImproving: {
+        summary: { type: 'string', maxLength: 600 },
+        areas: {
+            type: 'array',
+            maxItems: 6,
+            items: {
+                type: 'object',
+                fields: {
+                    area: { type: 'string', maxLength: 80 },
+                    finding: { type: 'string', maxLength: 400 },
+                    recommendation: { type: 'string', maxLength: 400 }
+                }
+            }
+        }
+    },
+    contributionRules: {
+        summary: { type: 'string', maxLength: 600 },
+        sections: {
+            type: 'array',
+            maxItems: 6,
+            items: {
+                type: 'object',
+                fields: {
+                    title: { type: 'string', maxLength: 80 },
+                    items: { type: 'array', items: { type: 'string', maxLength: 300 }, maxItems: 8 }
+                }
+            }
+        },
+        missing: { type: 'array', items: { type: 'string', maxLength: 200 }, maxItems: 5 }
+    },
+    projectOverview: {
+        summary: { type: 'string', maxLength: 600 },
+        purpose: { type: 'string', maxLength: 600 },
+        audience: { type: 'string', maxLength: 400 },
+        techStack: { type: 'array', items: { type: 'string', maxLength: 80 }, maxItems: 12 },
+        maturity: { type: 'string', maxLength: 400 },
+        whyContribute: { type: 'string', maxLength: 600 }
+    },
+    architecture: {
+        summary: { type: 'string', maxLength: 600 },
+        directories: {
+            type: 'array',
+            maxItems: 12,
+            items: {
+                type: 'object',
+                fields: {
+                    path: { type: 'string', maxLength: 120 },
+                    role: { type: 'string', maxLength: 300 }
+                }
+            }
+        },
+        languages: { type: 'array', items: { type: 'string', maxLength: 40 }, maxItems: 8 },
+        frameworks: { type: 'array', items: { type: 'string', maxLength: 60 }, maxItems: 12 },
+        commands: {
+            type: 'array',
+            maxItems: 8,
+            items: {
+                type: 'object',
+                fields: {
+                    purpose: { type: 'string', maxLength: 40 },
+                    command: { type: 'string', maxLength: 200 }
+                }
+            }
+        },
+        entryPoints: {
+            type: 'array',
+            maxItems: 6,
+            items: {
+                type: 'object',
+                fields: {
+                    path: { type: 'string', maxLength: 200 },
+                    description: { type: 'string', maxLength: 300 }
+                }
+            }
+        }
+    },
+    comparison: {
+        summary: { type: 'string', maxLength: 600 },
+        recommended: { type: 'string', maxLength: 200 },
+        reasons: { type: 'array', items: { type: 'string', maxLength: 300 }, maxItems: 5 },
+        repositories: {
+            type: 'array',
+            maxItems: 5,
+            items: {
+                type: 'object',
+                fields: {
+                    fullName: { type: 'string', maxLength: 200 },
+                    bestFor: { type: 'string', maxLength: 300 },
+                    watchOut: { type: 'string', maxLength: 300 }
+                }
+            }
+        }
+    },
+    chatAnswer: {
+        answer: { type: 'string', maxLength: 3000 },
+        sources: { type: 'array', items: { type: 'string', maxLength: 10 }, maxItems: 8 },
+        requestFiles: { type: 'array', items: { type: 'string', maxLength: 300 }, maxItems: 3 }
+    }
+};
+
+/**
+ * Coerces a value to a field descriptor, recording problems in errors
+ * @param {Object} descriptor - Field descriptor
+ * @param {*} value - Raw value
+ * @param {string} path - Field path for error messages
+ * @param {Array<string>} errors - Collected problems
+ * @returns {*} - Coerced value
+ */
+function coerceField(descriptor, value, path, errors) {
+    switch (descriptor.type) {
+        case 'string': {
+            if (value === undefined || value === null) {
+                return '';
+            }
+            if (typeof value !== 'string') {
+                if (typeof value === 'object') {
+                    errors.push(`${path} should be a string`);
+                    return '';
+                }
+                value = String(value);
+            }
+            const text = value.trim();
+            return descriptor.maxLength && text.length > descriptor.maxLength
+                ? `${text.slice(0, descriptor.maxLength - 1)}…`
+                : text;
+        }
+        
+        case 'url': {
+            if (typeof value !== 'string' || !value.trim()) {
+                return '';
+            }
+            try {
+                const url = new URL(value.trim());
+                if (url.protocol === 'https:' || url.protocol === 'http:') {
+                    return url.href;
+                }
+            } catch (error) {
+                // Fall through to the error below
+            }
+            errors.push(`${path} is not an http(s) URL`);
+            return '';
+        }
+        
+        case 'array': {
+            if (value === undefined || value === null) {
+                return [];
+            }
+            if (!Array.isArray(value)) {
+                // A lone item is a common model slip
+                value = [value];
+            }
+            return value
+                .slice(0, descriptor.maxItems || value.length)
+                .map((item, index) => coerceField(descriptor.items, item, `${path}[${index}]`, errors))
+                .filter(item => item !== '' && item !== null);
+        }
+        
+        case 'object': {
+            if (!value || typeof value !== 'object' || Array.isArray(value)) {
+                errors.push(`${path} should be an object`);
+                return null;
+            }
+            return coerceObject(descriptor.fields, value, path, errors);
+        }
+        
+        default:
+            throw new Error(`Unknown schema type "${descriptor.type}" at ${path}`);
+    }
+}
+
+/**
+ * Coerces an object to a set of field descriptors
+ */
+function coerceObject(fields, value, path, errors) {
+    const result = {};
+    Object.entries(fields).forEach(([name, descriptor]) => {
+        result[name] = coerceField(descriptor, value[name], path ? `${path}.${name}` : name, errors);
+    });
+    return result;
+}
+
+/**
+ * Validates and normalizes a card's data against its schema
+ * @param {string} card - Analysis key, e.g. whereToStart
+ * @param {*} value - Parsed model output
+ * @returns {Object} - Object with data (normalized), errors (array of problems) and
+ *   valid (false when the output is unusable as a whole) properties
+ */
+function validateAnalysis(card, value) {
+    const schema = ANALYSIS_SCHEMAS[card];
+    if (!schema) {
+        throw new Error(`No schema defined for analysis "${card}"`);
+    }
+    
+    const errors = [];
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { data: coerceObject(schema, {}, '', errors), errors: ['output should be a JSON object'], valid: false };
+    }
+    
+    const data = coerceObject(schema, value, '', errors);
+    
+    const hasContent = Object.values(data).some(field => Array.isArray(field) ? field.length > 0 : !!field);
+    if (!hasContent) {
+        errors.push('output has no content in any field');
+    }
+    
+    return { data, errors, valid: hasContent };
+}
+
+/**
+ * Builds the empty-shaped data for a card with only its main text, which is
+ * the first string field of the schema (the summary, for every card)
+ * @param {string} card - Analysis key
+ * @param {string} summary - Summary text
+ * @returns {Object} - Card data
+ */
+function createFallbackAnalysis(card, summary) {
+    const [field] = Object.entries(ANALYSIS_SCHEMAS[card]).find(([, descriptor]) => descriptor.type === 'string');
+    return validateAnalysis(card, { [field]: summary }).data;
+}
+
+/**
+ * Parses JSON from model output, tolerating code fences, surrounding prose
+ * and trailing commas
+ * @param {string} text - Raw model output
+ * @returns {*} - Parsed value
+ */
+function extractJson(text) {
+    let candidate = text.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+    
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+    if (start !== -1 && end > start) {
+        candidate = candidate.slice(start, end + 1);
+    }
+    
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        return JSON.parse(candidate.replace(/,\s*([}\]])/g, '$1'));
+    }
+}
+
+/**
+ * Renders a schema as an example JSON skeleton for prompts
+ * @param {string} card - Analysis key
+ * @returns {string} - JSON skeleton
+ */
+function describeSchema(card) {
+    const describe = (descriptor) => {
+        if (descriptor.type === 'array') {
+            return [describe(descriptor.items)];
+        }
+        if (descriptor.type === 'object') {
+            return Object.fromEntries(Object.entries(descriptor.fields).map(([name, field]) => [name, describe(field)]));
+        }
+        return descriptor.type === 'url' ? 'https://...' : 'string';
+    };
+    
+    return JSON.stringify(describe({ type: 'object', fields: ANALYSIS_SCHEMAS[card] }), null, 2);
+}
+
+export { ANALYSIS_SCHEMAS, validateAnalysis, createFallbackAnalysis, extractJson, describeSchema };
@@ -0,0 +1,371 @@
+import githubService from './githubService.js';
+import groqService from './groqService.js';
+import analysisCache from './analysisCache.js';
+import cardRenderer from './cardRenderer.js';
+import { createFallbackAnalysis } from './analysisSchemas.js';
+import { analyzeStructure } from './repositoryStructure.js';
+import { rankIssues } from './issueRanking.js';
+import { computeHealth } from './repositoryHealth.js';
+import { describeCommunityFiles } from './communityFiles.js';
+import { profileKey, suggestDirectories } from './contributorProfile.js';
+import retrievalService from './retrievalService.js';
+import { DEFAULT_HOST } from './forgeService.js';
+
+/**
+ * AI analyses shown as cards, with the fallback text used when one fails
+ */
+const ANALYSES = [
+    { key: 'whereToStart', method: 'analyzeWhereToStart', title: 'Where can I start?', fallback: 'Unable to analyze beginner-friendly opportunities at this time.' },
+    { key: 'whatNeedsImproving', method: 'analyzeWhatNeedsImproving', title: 'What needs improving?', fallback: 'Unable to identify improvement areas at this time.' },
+    { key: 'contributionRules', method: 'analyzeContributionRules', title: 'What rules should I follow?', fallback: 'Unable to summarize contribution guidelines at this time.' },
+    { key: 'projectOverview', method: 'analyzeProjectOverview', title: "What's this repo about?", fallback: 'Unable to generate project overview at this time.' },
+    { key: 'architecture', method: 'analyzeArchitecture', title: 'How is it built?', fallback: 'Unable to map the project architecture at this time.' }
+];
+
+// Stages reported to onProgress as the repository is fetched, in pipeline order
+const FETCH_STAGES = ['metadata', 'issues', 'recentIssues', 'pullRequests', 'structure', 'community', 'health', 'index'];
+
+/**
+ * Wraps a promise so a progress callback fires when it settles
+ * @param {Function} onProgress - Called with (stage, status)
+ * @param {string} stage - Stage name reported to the callback
+ * @param {Promise} promise - Promise to track
+ * @returns {Promise} - The same result as promise
+ */
+function trackProgress(onProgress, stage, promise) {
+    return promise.then(
+        (value) => {
+            onProgress(stage, value ? 'done' : 'missing');
+            return value;
+        },
+        (error) => {
+            onProgress(stage, 'failed');
+            throw error;
+        }
+    );
+}
+
+/**
+ * Runs the onboarding analysis pipeline shared by the web endpoints and the CLI:
+ * forge fetches, cache lookup, the AI cards and the response body.
+ */
+class AnalysisService {
+    constructor() {
+        this.analyses = ANALYSES;
+    }
+    
+    /**
+     * Fetches repository metadata and the head commit of its default branch.
+     * Errors from the metadata request are thrown; a missing head commit
+     * (e.g. an empty repository) yields a null commitSha.
+     * With a GitHub token, one GraphQL query also brings the files, issues
+     * and releases fetchRepositoryContext needs, as the snapshot property;
+     * without one, on other forges, or when the query fails, REST requests are used.
+     * @param {Object} repository - Result of forgeRegistry.parseRepositoryUrl
+     * @param {ForgeService} [repository.forge] - Forge adapter, github.com by default
+     * @param {string} repository.owner - Repository owner
+     * @param {string} repository.repo - Repository name
+     * @param {Function} [onProgress] - Called with (stage, status) as each fetch settles
+     * @returns {Promise<Object>} - Object with forge, owner, repo, repoData, commitSha and snapshot (or null) properties
+     */
+    async resolveRepository({ forge = githubService, owner, repo }, onProgress = () => {}) {
+        if (forge.canUseGraphQL()) {
+            try {
+                const snapshot = await forge.getRepositorySnapshot(owner, repo);
+                onProgress('metadata', 'done');
+                return { forge, owner, repo, repoData: snapshot.repository, commitSha: snapshot.commitSha, snapshot };
+            } catch (error) {
+                if (error.status === 404) {
+                    onProgress('metadata', 'failed');
+                    throw error;
+                }
+                console.warn(`GraphQL snapshot of ${owner}/${repo} failed, using the REST API:`, error.message);
+            }
+        }
+        
+        const repoData = await trackProgress(onProgress, 'metadata', forge.getRepositoryMetadata(owner, repo));
+        
+        let commitSha = null;
+        try {
+            commitSha = await forge.getBranchHeadSha(owner, repo, repoData.default_branch);
+        } catch (error) {
+            console.warn(`Could not resolve head commit for ${owner}/${repo}:`, error.message);
+        }
+        
+        return { forge, owner, repo, repoData, commitSha, snapshot: null };
+    }
+    
+    /**
+     * Fetches everything else the AI prompts need from the forge, and the
+     * retrieval index of the resolved commit
+     * @param {Object} resolved - Result of resolveRepository
+     * @param {Function} [onProgress] - Called with (stage, status) as each fetch settles
+     * @param {Object|null} [profile] - Contributor profile to rank issues and suggest directories for
+     * @returns {Promise<Object>} - Context for the AI prompts
+     */
+    async fetchRepositoryContext({ forge = githubService, owner, repo, repoData, commitSha, snapshot = null }, onProgress = () => {}, profile = null) {
+        // Community files are located in the file tree, so they wait for it
+        const structureRequest = forge.getRepositoryStructure(owner, repo, repoData.default_branch);
+        const communityRequest = structureRequest.then(data => forge.getCommunityFiles(owner, repo, data ? data.tree : null, snapshot && snapshot.files));
+        
+        const [issues, recentIssues, pullRequests, structure, communityFiles, activity, retrieval] = await Promise.allSettled([
+            trackProgress(onProgress, 'issues', snapshot ? Promise.resolve(snapshot.issues) : forge.getBeginnerFriendlyIssues(owner, repo)),
+            trackProgress(onProgress, 'recentIssues', forge.getRecentOpenIssues(owner, repo)),
+            trackProgress(onProgress, 'pullRequests', forge.getOpenPullRequests(owner, repo)),
+            trackProgress(onProgress, 'structure', structureRequest),
+            trackProgress(onProgress, 'community', communityRequest),
+            trackProgress(onProgress, 'health', forge.getRepositoryActivity(owner, repo, { releases: snapshot && snapshot.releases })),
+            trackProgress(onProgress, 'index', retrievalService.getIndex(owner, repo, commitSha, { forge }))
+        ]);
+        
+        const structureData = structure.status === 'fulfilled' ? structure.value : null;
+        const labeledIssues = issues.status === 'fulfilled' ? issues.value : [];
+        const community = communityFiles.status === 'fulfilled'
+            ? communityFiles.value
+            : { healthPercentage: null, files: {}, issueTemplates: [] };
+        const contentOf = (key) => community.files[key] ? community.files[key].content : null;
+        const tree = structureData ? structureData.tree : [];
+        
+        // Build context for AI prompts
+        return {
+            forge,
+            repo: repoData,
+            issues: labeledIssues,
+            rankedIssues: rankIssues(
+                [labeledIssues, recentIssues.status === 'fulfilled' ? recentIssues.value : []],
+                pullRequests.status === 'fulfilled' ? pullRequests.value : [],
+                15,
+                profile
+            ),
+            readme: contentOf('readme'),
+            contributing: contentOf('contributing'),
+            codeOfConduct: contentOf('codeOfConduct'),
+            community,
+            communityFiles: describeCommunityFiles(community, forge.blobUrl(repoData.html_url, repoData.default_branch)),
+            structure: structureData ? analyzeStructure(structureData) : null,
+            tree,
+            languages: snapshot ? snapshot.languages : null,
+            profile,
+            suggestedDirectories: suggestDirectories(tree, profile),
+            health: activity.status === 'fulfilled' ? computeHealth(activity.value) : null,
+            manifests: structureData ? structureData.manifests : {},
+            retrieval: retrieval.status === 'fulfilled' ? retrieval.value : null
+        };
+    }
+    
+    /**
+     * Builds the analysis cache key, or null when the commit is unknown
+     * @param {Object} resolved - Result of resolveRepository
+     * @param {Object|null} [profile] - Contributor profile the analysis is tailored to
+     * @returns {string|null} - Cache key
+     */
+    buildCacheKey({ forge = githubService, owner, repo, commitSha }, profile = null) {
+        if (!commitSha) {
+            return null;
+        }
+        
+        return analysisCache.buildKey({
+            host: forge.host === DEFAULT_HOST ? '' : forge.host,
+            owner,
+            repo,
+            sha: commitSha,
+            promptVersion: groqService.promptVersion,
+            model: groqService.getProviderStatus().model || '',
+            profile: profileKey(profile)
+        });
+    }
+    
+    /**
+     * Reports the live state of the forge and LLM APIs
+     * @param {ForgeService} [forge] - Forge the repository lives on, github.com by default
+     * @returns {Object} - apiStatus block of the analyze response
+     */
+    buildApiStatus(forge = githubService) {
+        const githubStatus = forge.getRateLimitStatus();
+        const llmStatus = groqService.getProviderStatus();
+        
+        return {
+            forge: forge.host,
+            github: githubStatus.authenticated ? 'Authenticated' : 'Unauthenticated',
+            githubRateLimit: {
+                core: githubStatus.core,
+                search: githubStatus.search
+            },
+            llm: llmStatus
+        };
+    }
+    
+    /**
+     * Builds the repository block of the analyze response
+     * @param {Object} repoData - Repository metadata
+     * @param {ForgeService} [forge] - Forge the repository lives on, github.com by default
+     * @returns {Object} - Repository summary
+     */
+    buildRepositorySummary(repoData, forge = githubService) {
+        return {
+            name: repoData.name,
+            owner: repoData.full_name.slice(0, repoData.full_name.lastIndexOf('/')),
+            host: forge.host,
+            fullName: repoData.full_name,
+            description: repoData.description,
+            url: repoData.html_url
+        };
+    }
+    
+    /**
+     * Builds the analyze response from the context and the settled AI analyses
+     * @param {Object} context - Repository context data
+     * @param {Array<Object>} results - Settled results, in ANALYSES order
+     * @param {string|null} commitSha - Default branch head commit SHA the analysis is based on
+     * @returns {Object} - Response body
+     */
+    buildAnalysisResponse(context, results, commitSha) {
+        const analysis = {};
+        const rendered = {};
+        ANALYSES.forEach(({ key, fallback }, index) => {
+            analysis[key] = results[index].status === 'fulfilled'
+                ? results[index].value
+                : createFallbackAnalysis(key, fallback);
+            rendered[key] = cardRenderer.render(key, analysis[key]);
+        });
+        if (context.health) {
+            rendered.health = cardRenderer.render('health', context.health);
+        }
+        
+        return {
+            repository: this.buildRepositorySummary(context.repo, context.forge),
+            analysis,
+            rendered,
+            beginnerIssues: context.issues.map(issue => ({
+                number: issue.number,
+                title: issue.title,
+                url: issue.html_url,
+                labels: (issue.labels || []).map(label => label.name),
+                comments: issue.comments || 0,
+                createdAt: issue.created_at
+            })),
+            rankedIssues: context.rankedIssues,
+            profile: context.profile,
+            suggestedDirectories: context.suggestedDirectories,
+            structure: context.structure,
+            health: context.health,
+            metadata: {
+                analyzedAt: new Date().toISOString(),
+                commitSha,
+                issuesFound: context.issues.length,
+                hasReadme: !!context.readme,
+                hasContributing: !!context.contributing,
+                hasCodeOfConduct: !!context.codeOfConduct,
+                hasSecurityPolicy: !!context.community.files.security,
+                hasGovernance: !!context.community.files.governance,
+                hasCodeowners: !!context.community.files.codeowners,
+                hasLicense: !!context.community.files.license,
+                hasIssueTemplates: context.community.issueTemplates.length > 0,
+                hasPullRequestTemplate: !!context.community.files.pullRequestTemplate,
+                communityHealth: context.community.healthPercentage,
+                communityFiles: context.communityFiles,
+                apiStatus: this.buildApiStatus(context.forge)
+            }
+        };
+    }
+    
+    /**
+     * Returns a copy of the response with cache details and current API status in its metadata
+     * @param {Object} response - Analysis response body
+     * @param {Object} cache - Cache details
+     * @param {ForgeService} [forge] - Forge the repository lives on
+     * @returns {Object} - Response body
+     */
+    withCacheInfo(response, cache, forge = githubService) {
+        return {
+            ...response,
+            metadata: { ...response.metadata, apiStatus: this.buildApiStatus(forge), cache }
+        };
+    }
+    
+    /**
+     * Analyzes a resolved repository, serving the cached analysis of the same
+     * commit unless a refresh is requested
+     * @param {Object} resolved - Result of resolveRepository
+     * @param {Object} [options] - Analysis options
+     * @param {boolean} [options.refresh] - Ignore any cached analysis
+     * @param {Object|null} [options.profile] - Contributor profile to tailor the analysis to, see parseProfile
+     * @param {Function} [options.onProgress] - Called with (stage, status) as each forge fetch settles
+     * @param {Function} [options.onRepository] - Called with the repository summary before the cards
+     * @param {Function} [options.onToken] - Called with (card, text) as output streams; enables streaming
+     * @param {Function} [options.onCard] - Called with (card, { status, content, html }) as each card finishes,
+     *   including the computed health card
+     * @returns {Promise<Object>} - Analyze response body
+     */
+    async analyze(resolved, { refresh = false, profile = null, onProgress = () => {}, onRepository = () => {}, onToken = null, onCard = () => {} } = {}) {
+        const { forge = githubService, owner, repo, repoData, commitSha } = resolved;
+        
+        const cacheKey = this.buildCacheKey(resolved, profile);
+        if (cacheKey && !refresh) {
+            const cached = await analysisCache.get(cacheKey);
+            if (cached) {
+                console.log(`Serving cached analysis for ${owner}/${repo}@${commitSha}`);
+                const response = this.withCacheInfo(cached.response, { hit: true, storedAt: cached.storedAt }, forge);
+                
+                onRepository(response.repository);
+                if (response.health) {
+                    onCard('health', { status: 'done', content: response.health, html: response.rendered.health });
+                }
+                ANALYSES.forEach(({ key }) => {
+                    onCard(key, { status: 'done', content: response.analysis[key], html: response.rendered[key] });
+                });
+                return response;
+            }
+        }
+        
+        const context = await this.fetchRepositoryContext(resolved, onProgress, profile);
+        onRepository(this.buildRepositorySummary(repoData, forge));
+        
+        // Health metrics are computed, not generated, so they are ready before the AI cards
+        if (context.health) {
+            onCard('health', { status: 'done', content: context.health, html: cardRenderer.render('health', context.health) });
+        }
+        
+        // Generate AI insights with the configured LLM provider
+        console.log(`Generating AI insights using ${groqService.getProviderStatus().provider || 'the LLM provider'}...`);
+        const results = await Promise.allSettled(
+            ANALYSES.map(({ key, method, fallback }) => {
+                const forwardToken = onToken ? (text) => onToken(key, text) : null;
+                
+                return groqService[method](context, forwardToken).then(
+                    (content) => {
+                        onCard(key, { status: 'done', content, html: cardRenderer.render(key, content) });
+                        return content;
+                    },
+                    (error) => {
+                        const content = createFallbackAnalysis(key, fallback);
+                        onCard(key, { status: 'failed', content, html: cardRenderer.render(key, content) });
+                        throw error;
+                    }
+                );
+            })
+        );
+        
+        // Log any AI analysis failures
+        results.forEach((result, index) => {
+            if (result.status === 'rejected') {
+                console.error(`Failed to generate ${ANALYSES[index].key} analysis:`, result.reason);
+            }
+        });
+        
+        const response = this.buildAnalysisResponse(context, results, commitSha);
+        
+        // Only complete analyses are worth keeping
+        if (cacheKey && results.every(result => result.status === 'fulfilled')) {
+            await analysisCache.set(cacheKey, response);
+        }
+        
+        return this.withCacheInfo(response, { hit: false }, forge);
+    }
+}
+
+export { ANALYSES, FETCH_STAGES };
+
+// Create and export service instance
+const analysisService = new AnalysisService();
+export default analysisService;
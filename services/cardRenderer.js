@@ -0,0 +1,115 @@
+import fs from 'fs';
+import path from 'path';
+import hbs from 'hbs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const partialsDirectory = path.join(__dirname, '..', 'views', 'partials');
+
+/**
+ * Escapes text used inside Markdown link brackets
+ */
+function escapeLinkText(text) {
+    return text.replace(/[[\]<>]/g, '\\$&');
+}
+
+/**
+ * Formats a list of strings as Markdown bullets
+ */
+function bulletList(items, prefix = '-') {
+    return items.map(item => `${prefix} ${item}`).join('\n');
+}
+
+// Markdown formatters, keyed by analysis key
+const MARKDOWN_FORMATTERS = {
+    whereToStart: (data) => [
+        data.summary,
+        data.issues.length && `**Good first issues**\n\n${bulletList(data.issues.map(issue => `[${escapeLinkText(issue.title)}](${issue.url})${issue.reason ? ` - ${issue.reason}` : ''}`))}`,
+        data.steps.length && `**Next steps**\n\n${data.steps.map((step, index) => `${index + 1}. ${step}`).join('\n')}`,
+        data.plan && data.plan.length && `**Your first week**\n\n${data.plan.map((step, index) => `${index + 1}. **${step.day}:** ${step.task}${step.path ? ` \`${step.path}\`` : ''}${step.issue ? ` ([issue](${step.issue}))` : ''}`).join('\n')}`,
+        data.skills.length && `**Helpful skills:** ${data.skills.join(', ')}`,
+        data.tips.length && bulletList(data.tips.map(tip => `💡 ${tip}`))
+    ],
+    whatNeedsImproving: (data) => [
+        data.summary,
+        data.areas.length && bulletList(data.areas.map(area => `**${area.area}:** ${area.finding}${area.recommendation ? ` → ${area.recommendation}` : ''}`))
+    ],
+    contributionRules: (data) => [
+        data.summary,
+        ...data.sections.map(section => `**${section.title}**\n\n${bulletList(section.items)}`),
+        data.missing.length && `**Not documented, worth asking about**\n\n${bulletList(data.missing)}`,
+        data.files && data.files.length && `**Community files**\n\n${bulletList(data.files.map(file => file.url ? `[${escapeLinkText(file.label)}](${file.url}) (\`${file.path}\`)` : file.label))}`
+    ],
+    projectOverview: (data) => [
+        data.summary,
+        data.purpose && `**Purpose:** ${data.purpose}`,
+        data.audience && `**Audience:** ${data.audience}`,
+        data.techStack.length && `**Tech stack:** ${data.techStack.join(', ')}`,
+        data.maturity && `**Status:** ${data.maturity}`,
+        data.whyContribute && `**Why contribute:** ${data.whyContribute}`
+    ],
+    architecture: (data) => [
+        data.summary,
+        data.directories.length && `**Directories**\n\n${bulletList(data.directories.map(directory => `\`${directory.path}\` - ${directory.role}`))}`,
+        data.languages.length && `**Languages:** ${data.languages.join(', ')}`,
+        data.frameworks.length && `**Frameworks and tools:** ${data.frameworks.join(', ')}`,
+        data.commands.length && `**Commands**\n\n${bulletList(data.commands.map(command => `${command.purpose}: \`${command.command}\``))}`,
+        data.entryPoints.length && `**Entry points**\n\n${bulletList(data.entryPoints.map(entry => `\`${entry.path}\` - ${entry.description}`))}`
+    ],
+    health: (data) => [
+        data.grade && `**Grade ${data.grade}** (score ${data.score}/100)`,
+        bulletList(data.areas.map(row => `**${row.label}**${row.scored ? ` (${row.score}/100)` : ''}: ${row.value}`))
+    ]
+};
+
+class CardRenderer {
+    constructor() {
+        // Compiled partials, keyed by analysis key
+        this.templates = new Map();
+    }
+    
+    /**
+     * Gets the compiled partial for a card, compiling it on first use
+     */
+    getTemplate(card) {
+        if (!this.templates.has(card)) {
+            const source = fs.readFileSync(path.join(partialsDirectory, `${card}.hbs`), 'utf-8');
+            this.templates.set(card, hbs.handlebars.compile(source, { strict: false }));
+        }
+        
+        return this.templates.get(card);
+    }
+    
+    /**
+     * Renders a card's structured data to HTML.
+     * Every value goes through Handlebars escaping, so model output and
+     * repository content cannot inject markup.
+     * @param {string} card - Analysis key, names the partial in views/partials
+     * @param {Object} data - Card data, see ANALYSIS_SCHEMAS
+     * @returns {string} - HTML fragment
+     */
+    render(card, data) {
+        return this.getTemplate(card)(data).trim();
+    }
+    
+    /**
+     * Renders a card's structured data to Markdown
+     * @param {string} card - Analysis key
+     * @param {Object} data - Card data, see ANALYSIS_SCHEMAS
+     * @returns {string} - Markdown fragment
+     */
+    renderMarkdown(card, data) {
+        const formatter = MARKDOWN_FORMATTERS[card];
+        if (!formatter) {
+            throw new Error(`No Markdown formatter defined for analysis "${card}"`);
+        }
+        
+        return formatter(data).filter(Boolean).join('\n\n');
+    }
+}
+
+export { escapeLinkText };
+
+// Create and export renderer instance
+const cardRenderer = new CardRenderer();
+export default cardRenderer;
@@ -0,0 +1,390 @@
+import crypto from 'crypto';
+import analysisService from './analysisService.js';
+import groqService from './groqService.js';
+import { COMMUNITY_FILES } from './communityFiles.js';
+import { estimateTokens, fitToBudget } from './documentProcessor.js';
+import retrievalService from './retrievalService.js';
+
+// Earlier turns replayed to the model with each question
+const HISTORY_TURNS = 6;
+
+// Files fetched on demand for one question, chosen up front or asked for by the model
+const MAX_FILES_PER_QUESTION = 3;
+
+// Indexed chunks retrieved for one question
+const MAX_CHUNKS_PER_QUESTION = 4;
+
+// Token budgets for the grounding material of one question
+const BUDGETS = {
+    readme: 700,
+    contributing: 600,
+    file: 600,
+    chunk: 250,
+    history: 800
+};
+
+// Files that are never worth quoting: binaries, lockfiles, generated bundles
+const SKIPPED_FILES = /(\.(png|jpe?g|gif|ico|svg|webp|pdf|zip|gz|jar|woff2?|ttf|eot|mp[34]|min\.js|map|lock)|package-lock\.json|yarn\.lock|pnpm-lock\.yaml)$/i;
+
+// Words that say nothing about which file a question is about
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'how', 'what', 'where', 'which', 'who', 'why', 'when', 'does', 'this', 'that',
+    'with', 'from', 'are', 'can', 'should', 'would', 'could', 'there', 'their', 'about', 'into', 'project',
+    'repo', 'repository', 'code', 'file', 'files', 'folder', 'handle', 'handles', 'work', 'works', 'use', 'used'
+]);
+
+/**
+ * Splits a question into lowercase words worth matching against file paths
+ */
+function questionTerms(question) {
+    return [...new Set(question.toLowerCase().match(/[a-z0-9_]{3,}/g) || [])]
+        .filter(term => !STOP_WORDS.has(term));
+}
+
+/**
+ * Ranks the repository's files by how well their path matches the question
+ * @param {Array<Object>} tree - Git tree entries with path, type and size
+ * @param {Array<string>} terms - Question terms
+ * @returns {Array<string>} - Paths, best match first
+ */
+function rankFilePaths(tree, terms) {
+    if (terms.length === 0) {
+        return [];
+    }
+
+    return tree
+        .filter(entry => entry.type === 'blob' && !SKIPPED_FILES.test(entry.path) && (entry.size || 0) < 200000)
+        .map(entry => {
+            const segments = entry.path.toLowerCase().split('/');
+            const fileName = segments.pop();
+            let score = 0;
+            terms.forEach(term => {
+                // Prefix matching covers plurals and verb forms, e.g. test/tests/testing
+                const stem = term.replace(/(ing|es|s)$/, '');
+                if (fileName.includes(stem)) {
+                    score += 2;
+                }
+                if (segments.some(segment => segment.includes(stem))) {
+                    score += 1;
+                }
+            });
+            // Shallow files are usually the entry points of a feature
+            return { path: entry.path, score: score - segments.length * 0.1 };
+        })
+        .filter(candidate => candidate.score > 0.5)
+        .sort((a, b) => b.score - a.score)
+        .map(candidate => candidate.path);
+}
+
+/**
+ * Quotes a source file with line numbers, around the lines that mention the
+ * question's terms when the whole file does not fit the budget
+ * @param {string} content - File content
+ * @param {Array<string>} terms - Question terms
+ * @param {number} budget - Token budget
+ * @returns {string} - Numbered excerpt
+ */
+function excerptFile(content, terms, budget) {
+    const lines = content.split('\n');
+    const numbered = lines.map((line, index) => `${index + 1}: ${line}`);
+
+    if (estimateTokens(numbered.join('\n')) <= budget) {
+        return numbered.join('\n');
+    }
+
+    const matching = lines
+        .map((line, index) => terms.some(term => line.toLowerCase().includes(term)) ? index : -1)
+        .filter(index => index !== -1);
+    const centers = matching.length > 0 ? matching : [0];
+
+    // Grow windows of context around each match until the budget is used
+    const selected = new Set();
+    let used = 0;
+    for (const center of centers) {
+        for (let index = Math.max(0, center - 5); index < Math.min(lines.length, center + 15); index++) {
+            if (selected.has(index)) {
+                continue;
+            }
+            const cost = estimateTokens(numbered[index]) + 1;
+            if (used + cost > budget) {
+                break;
+            }
+            selected.add(index);
+            used += cost;
+        }
+        if (used >= budget * 0.9) {
+            break;
+        }
+    }
+
+    let previous = -1;
+    return [...selected].sort((a, b) => a - b).map(index => {
+        const gap = previous !== -1 && index > previous + 1 ? '...\n' : '';
+        previous = index;
+        return `${gap}${numbered[index]}`;
+    }).join('\n');
+}
+
+class ChatService {
+    constructor() {
+        // Conversations by session ID. Map keeps insertion order, so the
+        // first key is the least recently used.
+        this.sessions = new Map();
+        this.maxSessions = 200;
+        this.sessionTtlMs = 2 * 60 * 60 * 1000;
+
+        // Repository contexts shared by every session on the same commit
+        this.contexts = new Map();
+        this.maxContexts = 20;
+    }
+
+    /**
+     * Gets a live session, dropping it when it belongs to another repository or has expired
+     * @param {string} sessionId - Session ID sent by the client
+     * @param {string} fullName - Key of the repository the question is about, see ForgeService.repositoryKey
+     * @returns {Object|null} - Session
+     */
+    getSession(sessionId, fullName) {
+        const session = sessionId && this.sessions.get(sessionId);
+        if (!session) {
+            return null;
+        }
+
+        this.sessions.delete(sessionId);
+        if (session.fullName !== fullName || Date.now() - session.updatedAt > this.sessionTtlMs) {
+            return null;
+        }
+
+        // Re-inserted so it becomes the most recently used
+        this.sessions.set(sessionId, session);
+        return session;
+    }
+
+    /**
+     * Starts a new session, evicting the least recently used one when full
+     */
+    createSession(fullName) {
+        const session = { id: crypto.randomUUID(), fullName, history: [], files: new Map(), updatedAt: Date.now() };
+
+        this.sessions.set(session.id, session);
+        if (this.sessions.size > this.maxSessions) {
+            this.sessions.delete(this.sessions.keys().next().value);
+        }
+
+        return session;
+    }
+
+    /**
+     * Fetches the repository context the answers are grounded in, reusing it
+     * across sessions until the default branch moves
+     * @param {Object} resolved - Result of analysisService.resolveRepository
+     * @returns {Promise<Object>} - Context, see analysisService.fetchRepositoryContext
+     */
+    async getContext(resolved) {
+        const { forge, owner, repo, commitSha } = resolved;
+        const key = `${forge.repositoryKey(owner, repo)}@${commitSha}`;
+
+        if (commitSha && this.contexts.has(key)) {
+            return this.contexts.get(key);
+        }
+
+        const pending = analysisService.fetchRepositoryContext(resolved);
+        if (commitSha) {
+            this.contexts.set(key, pending);
+            pending.catch(() => this.contexts.delete(key));
+            if (this.contexts.size > this.maxContexts) {
+                this.contexts.delete(this.contexts.keys().next().value);
+            }
+        }
+
+        return await pending;
+    }
+
+    /**
+     * Builds the numbered sources an answer may cite: repository facts,
+     * community files, the file layout, ranked issues, retrieved chunks and
+     * fetched files
+     * @param {Object} context - Repository context
+     * @param {Object} session - Chat session with its fetched files
+     * @param {string} question - Current question
+     * @returns {Promise<Array<Object>>} - { id, type, label, url, text }
+     */
+    async buildSources(context, session, question) {
+        const { forge, repo, structure, rankedIssues } = context;
+        const blobUrl = (path) => forge.blobUrl(repo.html_url, repo.default_branch, path);
+        const sources = [];
+        const add = (source) => sources.push({ id: `S${sources.length + 1}`, ...source });
+
+        add({
+            type: 'repository',
+            label: repo.full_name,
+            url: repo.html_url,
+            text: `Description: ${repo.description || 'none'}
+Primary language: ${repo.language || 'not specified'}
+Default branch: ${repo.default_branch}
+Stars: ${repo.stargazers_count}, forks: ${repo.forks_count}, open issues: ${repo.open_issues_count}
+License: ${repo.license ? repo.license.name : 'not specified'}`
+        });
+
+        // Build and test questions are answered from the contributing docs, others from the README's overview
+        const focus = /\b(test|build|install|run|setup|set up|contribut|pull request|pr|lint|style|commit)/i.test(question)
+            ? 'contributing'
+            : 'overview';
+        for (const [key, budget] of [['readme', BUDGETS.readme], ['contributing', BUDGETS.contributing]]) {
+            const document = await groqService.prepareDocument(context, key, { budget, focus });
+            if (document) {
+                add({ type: 'file', label: document.path, path: document.path, url: blobUrl(document.path), text: document.text });
+            }
+        }
+
+        Object.entries(COMMUNITY_FILES)
+            .filter(([key]) => !['readme', 'contributing'].includes(key) && context.community.files[key])
+            .forEach(([key, { label }]) => {
+                const { path, name } = context.community.files[key];
+                add({ type: 'file', label: path || label, path, url: path ? blobUrl(path) : repo.html_url, text: `${label}${name ? ` (${name})` : ''} exists at ${path || 'an unknown path'}` });
+            });
+
+        if (structure) {
+            add({
+                type: 'structure',
+                label: 'File tree',
+                url: forge.treeUrl(repo.html_url, repo.default_branch),
+                text: `Top-level directories: ${structure.directories.slice(0, 15).map(directory => `${directory.path}/ (${directory.role || `${directory.fileCount} files`})`).join(', ')}
+Languages: ${structure.languages.map(language => language.name).join(', ') || 'none detected'}
+Frameworks: ${structure.frameworks.join(', ') || 'none detected'}
+Commands: ${structure.commands.map(command => `${command.purpose}: ${command.command}`).join('; ') || 'none detected'}
+Entry points: ${structure.entryPoints.map(entry => entry.path).join(', ') || 'none detected'}`
+            });
+        }
+
+        rankedIssues.slice(0, 8).forEach(issue => {
+            add({
+                type: 'issue',
+                label: `#${issue.number} ${issue.title}`,
+                url: issue.url,
+                text: `Open issue #${issue.number} "${issue.title}"${issue.labels.length > 0 ? `, labels: ${issue.labels.join(', ')}` : ''}${issue.reasons.length > 0 ? `. ${issue.reasons.join('; ')}` : ''}`
+            });
+        });
+
+        // Chunks of files already fetched whole would only repeat them
+        retrievalService.search(context.retrieval, question, {
+            limit: MAX_CHUNKS_PER_QUESTION,
+            filter: chunk => !session.files.has(chunk.path)
+        }).forEach(result => {
+            add({
+                type: 'chunk',
+                label: `${result.path}:${result.start}-${result.end}`,
+                path: result.path,
+                url: result.url,
+                text: fitToBudget(result.text, { budget: BUDGETS.chunk }).text
+            });
+        });
+
+        const terms = questionTerms(question);
+        session.files.forEach((content, path) => {
+            add({ type: 'file', label: path, path, url: blobUrl(path), text: excerptFile(content, terms, BUDGETS.file) });
+        });
+
+        return sources;
+    }
+
+    /**
+     * Fetches files into the session so later questions can cite them too
+     * @param {Object} resolved - Resolved repository
+     * @param {Object} session - Chat session
+     * @param {Array<string>} paths - Paths to fetch, in order of preference
+     * @param {Set<string>} known - Paths that exist in the tree
+     * @returns {Promise<number>} - Number of files added
+     */
+    async loadFiles(resolved, session, paths, known) {
+        const wanted = paths
+            .filter(path => known.has(path) && !session.files.has(path))
+            .slice(0, MAX_FILES_PER_QUESTION);
+
+        const contents = await Promise.all(wanted.map(path => resolved.forge.getFileContent(resolved.owner, resolved.repo, path)));
+        wanted.forEach((path, index) => {
+            if (contents[index] !== null) {
+                session.files.set(path, contents[index]);
+            }
+        });
+
+        return contents.filter(content => content !== null).length;
+    }
+
+    /**
+     * Formats the prompt for a question from its sources and the session history
+     */
+    buildPrompt(context, session, sources, question) {
+        const history = [];
+        let used = 0;
+        for (const turn of session.history.slice(-HISTORY_TURNS).reverse()) {
+            const text = `User: ${turn.question}\nAssistant: ${turn.answer}`;
+            used += estimateTokens(text);
+            if (used > BUDGETS.history) {
+                break;
+            }
+            history.unshift(text);
+        }
+
+        const fileList = (context.tree || [])
+            .filter(entry => entry.type === 'blob' && !SKIPPED_FILES.test(entry.path))
+            .map(entry => entry.path);
+
+        return `You answer questions from a newcomer about the GitHub repository "${context.repo.full_name}".
+Answer only from the numbered sources below. When they do not contain the answer, say so and suggest where to look.
+List the IDs of the sources you used in "sources", e.g. ["S2", "S5"].
+If reading specific files from the repository would answer the question, list up to ${MAX_FILES_PER_QUESTION} of their exact paths in "requestFiles" instead of guessing.
+
+${sources.map(source => `[${source.id}] ${source.label}\n${source.text}`).join('\n\n')}
+
+Some files in the repository:
+${fitToBudget(fileList.join('\n'), { budget: 400 }).text || '(file tree unavailable)'}
+${history.length > 0 ? `\nConversation so far:\n${history.join('\n\n')}\n` : ''}
+Question: ${question}`;
+    }
+
+    /**
+     * Answers a question about a repository, grounded in its analysis context
+     * and files fetched on demand
+     * @param {Object} resolved - Result of analysisService.resolveRepository
+     * @param {string} question - The user's question
+     * @param {string} [sessionId] - Session to continue; a new one is started when unknown
+     * @returns {Promise<Object>} - { sessionId, answer, citations: [{ id, type, label, url }] }
+     */
+    async ask(resolved, question, sessionId = null) {
+        const fullName = resolved.forge.repositoryKey(resolved.owner, resolved.repo);
+        const session = this.getSession(sessionId, fullName) || this.createSession(fullName);
+        const context = await this.getContext(resolved);
+        const known = new Set((context.tree || []).filter(entry => entry.type === 'blob').map(entry => entry.path));
+
+        await this.loadFiles(resolved, session, rankFilePaths(context.tree || [], questionTerms(question)), known);
+
+        let sources = await this.buildSources(context, session, question);
+        let result = await groqService.requestAnalysis('chatAnswer', this.buildPrompt(context, session, sources, question), 700, null, { keepProse: false });
+
+        // One more round when the model asks for files it has not seen yet
+        if (result.requestFiles.length > 0 && await this.loadFiles(resolved, session, result.requestFiles, known) > 0) {
+            sources = await this.buildSources(context, session, question);
+            result = await groqService.requestAnalysis('chatAnswer', this.buildPrompt(context, session, sources, question), 700, null, { keepProse: false });
+        }
+
+        // Only cite sources the model was actually given
+        const byId = new Map(sources.map(source => [source.id, source]));
+        const citations = [...new Set(result.sources.map(id => id.replace(/[[\]\s]/g, '').toUpperCase()))]
+            .filter(id => byId.has(id))
+            .map(id => {
+                const { type, label, url } = byId.get(id);
+                return { id, type, label, url };
+            });
+
+        // Empty when the model's output could not be read, see requestAnalysis
+        const answer = result.answer || 'Sorry, I could not come up with an answer to that question.';
+        session.history.push({ question, answer, citations });
+        session.updatedAt = Date.now();
+
+        return { sessionId: session.id, answer, citations };
+    }
+}
+
+const chatService = new ChatService();
+export default chatService;
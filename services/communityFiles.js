@@ -0,0 +1,130 @@
+/**
+ * Locates a repository's community health files (README, CONTRIBUTING, code
+ * of conduct, security policy, templates, CODEOWNERS, license, governance)
+ * the way GitHub itself does: in .github/, the root or docs/, under any
+ * common extension and in any letter case.
+ */
+
+// Folders GitHub searches for community files, in the order it prefers them
+const LOCATIONS = ['.github/', '', 'docs/'];
+
+// Maximum number of issue templates read for the prompts
+const MAX_ISSUE_TEMPLATES = 3;
+
+/**
+ * Community files, keyed as they appear in the analysis context.
+ * profileKey names the entry in GitHub's community profile, when it has one.
+ */
+const COMMUNITY_FILES = {
+    readme: { label: 'README', name: /^readme(\.(md|markdown|rst|txt|adoc|org))?$/i, profileKey: 'readme' },
+    contributing: { label: 'Contributing guide', name: /^contributing(\.(md|markdown|rst|txt|adoc))?$/i, profileKey: 'contributing' },
+    codeOfConduct: { label: 'Code of conduct', name: /^code[_-]of[_-]conduct(\.(md|markdown|rst|txt|adoc))?$/i, profileKey: 'code_of_conduct_file' },
+    security: { label: 'Security policy', name: /^security(\.(md|markdown|rst|txt|adoc))?$/i },
+    governance: { label: 'Governance', name: /^governance(\.(md|markdown|rst|txt|adoc))?$/i },
+    codeowners: { label: 'CODEOWNERS', name: /^codeowners$/i },
+    pullRequestTemplate: { label: 'Pull request template', name: /^pull_request_template(\.(md|markdown|txt))?$/i, profileKey: 'pull_request_template' },
+    license: { label: 'License', name: /^(licen[cs]e|copying)([.-][\w.-]+)?$/i, profileKey: 'license', skipContent: true }
+};
+
+// Probed one by one when the file tree is unavailable; the contents API is case-sensitive
+const FALLBACK_NAMES = {
+    readme: ['README.md', 'readme.md', 'README.rst', 'README'],
+    contributing: ['CONTRIBUTING.md', 'contributing.md', 'CONTRIBUTING.rst'],
+    codeOfConduct: ['CODE_OF_CONDUCT.md', 'code_of_conduct.md'],
+    security: ['SECURITY.md'],
+    pullRequestTemplate: ['PULL_REQUEST_TEMPLATE.md', 'pull_request_template.md']
+};
+
+// Issue templates live in a folder, or as a single legacy file
+const ISSUE_TEMPLATE = {
+    folder: /^(\.github\/|docs\/)?issue_template\/[^/]+\.(md|markdown|ya?ml)$/i,
+    file: /^(\.github\/|docs\/)?issue_template(\.(md|markdown|txt))?$/i
+};
+
+/**
+ * Gets the path a community profile entry points at, from its contents API URL
+ * @param {Object|null} entry - Entry from the community profile "files" object
+ * @returns {string|null} - Repository-relative path
+ */
+function profilePath(entry) {
+    const match = entry && entry.url && entry.url.match(/\/contents\/(.+?)(\?|$)/);
+    return match ? decodeURIComponent(match[1]) : null;
+}
+
+/**
+ * Finds the preferred path for a file name pattern among the tree's files
+ */
+function findInTree(files, pattern) {
+    for (const location of LOCATIONS) {
+        const found = files.find(path => path.startsWith(location)
+            && !path.slice(location.length).includes('/')
+            && pattern.test(path.slice(location.length)));
+        if (found) {
+            return found;
+        }
+    }
+    return null;
+}
+
+/**
+ * Picks the path of every community file from the community profile and, when
+ * available, the file tree. The profile only knows a few files, and misses
+ * non-Markdown variants, so the tree is the main source.
+ * @param {Object|null} profile - Response of the community profile endpoint
+ * @param {Array|null} tree - Git tree entries with path and type
+ * @returns {Object} - { paths: { key: path|null }, issueTemplates: [path] }
+ */
+function selectCommunityPaths(profile, tree) {
+    const files = (tree || []).filter(entry => entry.type === 'blob').map(entry => entry.path);
+    const profileFiles = (profile && profile.files) || {};
+    const paths = {};
+
+    Object.entries(COMMUNITY_FILES).forEach(([key, { name, profileKey }]) => {
+        paths[key] = (tree && findInTree(files, name))
+            || (profileKey ? profilePath(profileFiles[profileKey]) : null);
+    });
+
+    const folderTemplates = files.filter(path => ISSUE_TEMPLATE.folder.test(path) && !/config\.ya?ml$/i.test(path));
+    const legacyTemplate = files.find(path => ISSUE_TEMPLATE.file.test(path));
+    const issueTemplates = folderTemplates.length > 0 ? folderTemplates : legacyTemplate ? [legacyTemplate] : [];
+
+    if (!tree && profilePath(profileFiles.issue_template)) {
+        issueTemplates.push(profilePath(profileFiles.issue_template));
+    }
+
+    return { paths, issueTemplates: issueTemplates.slice(0, MAX_ISSUE_TEMPLATES) };
+}
+
+/**
+ * Lists the candidate paths to probe for a file when the tree is unavailable
+ * @param {string} key - Community file key
+ * @returns {Array<string>} - Paths in order of preference
+ */
+function fallbackPaths(key) {
+    const names = FALLBACK_NAMES[key] || [];
+    return LOCATIONS.flatMap(location => names.map(name => `${location}${name}`));
+}
+
+/**
+ * Lists the community files that were found, for display and metadata
+ * @param {Object} community - Result of githubService.getCommunityFiles
+ * @param {string} [baseUrl] - Blob URL prefix, e.g. https://github.com/owner/repo/blob/main
+ * @returns {Array<Object>} - { key, label, path, url }
+ */
+function describeCommunityFiles(community, baseUrl = null) {
+    const link = (path) => baseUrl && path ? `${baseUrl}/${path.split('/').map(encodeURIComponent).join('/')}` : null;
+    const found = Object.entries(COMMUNITY_FILES)
+        .filter(([key]) => community.files[key])
+        .map(([key, { label }]) => {
+            const { path, name } = community.files[key];
+            return { key, label: name ? `${label} (${name})` : label, path, url: link(path) };
+        });
+
+    community.issueTemplates.forEach(template => {
+        found.push({ key: 'issueTemplate', label: 'Issue template', path: template.path, url: link(template.path) });
+    });
+
+    return found;
+}
+
+export { COMMUNITY_FILES, selectCommunityPaths, fallbackPaths, describeCommunityFiles };
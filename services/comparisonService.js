@@ -0,0 +1,186 @@
+import analysisService from './analysisService.js';
+import analysisCache from './analysisCache.js';
+import groqService from './groqService.js';
+import cardRenderer from './cardRenderer.js';
+import { createFallbackAnalysis } from './analysisSchemas.js';
+import { profileKey } from './contributorProfile.js';
+
+// Repositories compared at once
+const MIN_REPOSITORIES = 2;
+const MAX_REPOSITORIES = 5;
+
+// Health areas shown as comparison rows, in order, with their row labels
+const HEALTH_ROWS = {
+    responsiveness: 'Responsiveness',
+    mergeRate: 'Merge rate',
+    activity: 'Commit activity',
+    releaseCadence: 'Releases',
+    busFactor: 'Bus factor'
+};
+
+const FALLBACK_RECOMMENDATION = 'Unable to recommend a repository at this time. The table above compares the measured facts.';
+
+/**
+ * Compares several repositories for a newcomer: each one goes through the
+ * regular analysis pipeline (and its cache), the results are lined up in a
+ * table and the model recommends the one that suits a first contribution best.
+ */
+class ComparisonService {
+    constructor() {
+        this.minRepositories = MIN_REPOSITORIES;
+        this.maxRepositories = MAX_REPOSITORIES;
+    }
+    
+    /**
+     * Extracts the comparable facts of one analyzed repository
+     * @param {Object} resolved - Result of analysisService.resolveRepository
+     * @param {Object} response - Analyze response body for the repository
+     * @returns {Object} - { fullName, url, description, facts: [{ key, label, value }], overview, whereToStart }
+     */
+    describeRepository(resolved, response) {
+        const { repoData } = resolved;
+        const { metadata, health, rankedIssues } = response;
+        const facts = [];
+        const add = (key, label, value) => facts.push({ key, label, value });
+        
+        add('language', 'Primary language', repoData.language || 'Not specified');
+        add('stars', 'Stars', String(repoData.stargazers_count));
+        
+        const unclaimed = rankedIssues.filter(issue => !issue.assigned && issue.linkedPullRequests.length === 0 && issue.score > 0);
+        add('beginnerIssues', 'Beginner issues', `${metadata.issuesFound} labeled, ${unclaimed.length} open and unclaimed`);
+        
+        const documents = [
+            metadata.hasReadme && 'README',
+            metadata.hasContributing && 'Contributing guide',
+            metadata.hasCodeOfConduct && 'Code of conduct',
+            metadata.hasIssueTemplates && 'Issue templates',
+            metadata.hasPullRequestTemplate && 'Pull request template'
+        ].filter(Boolean);
+        add('docs', 'Documentation', `${documents.join(', ') || 'None found'}${metadata.communityHealth !== null ? ` (community profile ${metadata.communityHealth}%)` : ''}`);
+        
+        const license = repoData.license;
+        add('license', 'License', license
+            ? (license.spdx_id && license.spdx_id !== 'NOASSERTION' ? license.spdx_id : license.name)
+            : 'None found');
+        
+        add('health', 'Health', health && health.grade ? `${health.grade} (${health.score}/100)` : 'Unknown');
+        Object.entries(HEALTH_ROWS).forEach(([area, label]) => {
+            const row = health ? health.areas.find(candidate => candidate.area === area) : null;
+            add(area, label, row ? row.value : 'Unknown');
+        });
+        
+        return {
+            fullName: repoData.full_name,
+            url: repoData.html_url,
+            description: repoData.description || '',
+            facts,
+            overview: response.analysis.projectOverview.summary,
+            whereToStart: response.analysis.whereToStart.summary
+        };
+    }
+    
+    /**
+     * Builds the cache key of a recommendation, or null when a commit is unknown
+     */
+    buildCacheKey(resolvedList, profile) {
+        if (resolvedList.some(resolved => !resolved.commitSha)) {
+            return null;
+        }
+        
+        const repositories = resolvedList
+            .map(({ forge, owner, repo, commitSha }) => `${forge.repositoryKey(owner, repo)}@${commitSha}`)
+            .sort();
+        return [
+            'compare',
+            ...repositories,
+            `v${groqService.promptVersion}`,
+            groqService.getProviderStatus().model || '',
+            profileKey(profile)
+        ].join(':');
+    }
+    
+    /**
+     * Lays out the repositories as table rows, one row per fact
+     * @param {Array<Object>} repositories - Results of describeRepository
+     * @returns {Array<Object>} - { label, values } with one value per repository
+     */
+    buildTable(repositories) {
+        return repositories[0].facts.map(({ key, label }) => ({
+            label,
+            values: repositories.map(repository => repository.facts.find(fact => fact.key === key).value)
+        }));
+    }
+    
+    /**
+     * Analyzes and compares repositories. Every repository is analyzed in
+     * parallel; a failed analysis rejects the whole comparison.
+     * @param {Array<Object>} resolvedList - Results of analysisService.resolveRepository, 2 to 5
+     * @param {Object} [options]
+     * @param {boolean} [options.refresh] - Ignore cached analyses and recommendations
+     * @param {Object|null} [options.profile] - Contributor profile to tailor the analyses and recommendation to
+     * @returns {Promise<Object>} - { repositories, table, recommendation, rendered, metadata }
+     */
+    async compare(resolvedList, { refresh = false, profile = null } = {}) {
+        const responses = await Promise.all(resolvedList.map(resolved => analysisService.analyze(resolved, { refresh, profile })));
+        const repositories = resolvedList.map((resolved, index) => this.describeRepository(resolved, responses[index]));
+        
+        const cacheKey = this.buildCacheKey(resolvedList, profile);
+        let recommendation = null;
+        let cached = false;
+        
+        if (cacheKey && !refresh) {
+            const entry = await analysisCache.get(cacheKey);
+            if (entry) {
+                recommendation = entry.response;
+                cached = true;
+            }
+        }
+        
+        if (!recommendation) {
+            try {
+                recommendation = await groqService.analyzeComparison(repositories, profile);
+                if (cacheKey) {
+                    await analysisCache.set(cacheKey, recommendation);
+                }
+            } catch (error) {
+                console.error('Failed to generate comparison recommendation:', error);
+                recommendation = createFallbackAnalysis('comparison', FALLBACK_RECOMMENDATION);
+            }
+        }
+        
+        const table = this.buildTable(repositories);
+        const notes = new Map(recommendation.repositories.map(note => [note.fullName, note]));
+        
+        return {
+            repositories: repositories.map(repository => ({
+                fullName: repository.fullName,
+                url: repository.url,
+                description: repository.description,
+                recommended: repository.fullName === recommendation.recommended,
+                facts: repository.facts
+            })),
+            table,
+            recommendation,
+            rendered: cardRenderer.render('comparison', {
+                repositories: repositories.map(repository => ({
+                    ...repository,
+                    recommended: repository.fullName === recommendation.recommended,
+                    note: notes.get(repository.fullName) || null
+                })),
+                table,
+                recommendation
+            }),
+            metadata: {
+                comparedAt: new Date().toISOString(),
+                commits: Object.fromEntries(resolvedList.map(resolved => [resolved.repoData.full_name, resolved.commitSha])),
+                profile,
+                cache: { hit: cached },
+                apiStatus: analysisService.buildApiStatus()
+            }
+        };
+    }
+}
+
+// Create and export service instance
+const comparisonService = new ComparisonService();
+export default comparisonService;
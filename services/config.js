@@ -0,0 +1,352 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { registerSecret } from './redaction.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const ROOT_DIRECTORY = path.join(__dirname, '..');
+
+// Read when present; CONFIG_FILE names another file, which must then exist
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIRECTORY, 'osguide.config.json');
+
+// Classic (ghp_, gho_, ...) and fine-grained personal access tokens
+const GITHUB_TOKEN_PATTERN = /^(?:gh[pousr]_[A-Za-z0-9_]{36,255}|github_pat_[A-Za-z0-9_]{22,255})$/;
+
+/**
+ * Settings by path in the configuration, with the environment variable that
+ * overrides the config file value. Secrets are redacted from logs and never
+ * described.
+ */
+const SETTINGS = [
+    { path: 'server.port', env: 'PORT', type: 'port', default: 3000 },
+    { path: 'server.environment', env: 'NODE_ENV', type: 'string', default: 'development' },
+    // Address the server is reached at, for links in comments posted on GitHub
+    { path: 'server.publicUrl', env: 'PUBLIC_URL', type: 'url' },
+    
+    { path: 'github.token', env: 'GITHUB_TOKEN', type: 'githubToken', secret: true },
+    { path: 'github.allowUserTokens', env: 'ALLOW_USER_GITHUB_TOKENS', type: 'boolean', default: true },
+    { path: 'githubEnterprise.url', env: 'GITHUB_ENTERPRISE_URL', type: 'url' },
+    { path: 'githubEnterprise.token', env: 'GITHUB_ENTERPRISE_TOKEN', type: 'githubToken', secret: true },
+    { path: 'gitlab.url', env: 'GITLAB_URL', type: 'url' },
+    { path: 'gitlab.token', env: 'GITLAB_TOKEN', type: 'string', secret: true },
+    { path: 'gitea.url', env: 'GITEA_URL', type: 'url' },
+    { path: 'gitea.token', env: 'GITEA_TOKEN', type: 'string', secret: true },
+    
+    { path: 'githubWebhook.secret', env: 'GITHUB_WEBHOOK_SECRET', type: 'string', secret: true },
+    // Token welcome comments are posted with, GITHUB_TOKEN when not set
+    { path: 'githubWebhook.token', env: 'GITHUB_WEBHOOK_TOKEN', type: 'githubToken', secret: true },
+    // Build welcome comments without posting them, e.g. when replaying deliveries
+    { path: 'githubWebhook.dryRun', env: 'GITHUB_WEBHOOK_DRY_RUN', type: 'boolean', default: false },
+    
+    { path: 'llm.provider', env: 'LLM_PROVIDER', type: 'choice', choices: ['groq', 'openai', 'fake'], default: 'groq' },
+    { path: 'llm.groq.apiKey', env: 'GROQ_API_KEY', type: 'string', secret: true },
+    { path: 'llm.groq.baseURL', env: 'GROQ_BASE_URL', type: 'url' },
+    { path: 'llm.groq.model', env: 'GROQ_MODEL', type: 'string' },
+    { path: 'llm.groq.temperature', env: 'GROQ_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.7 },
+    { path: 'llm.groq.maxTokens', env: 'GROQ_MAX_TOKENS', type: 'integer', min: 1, default: 1024 },
+    // Groq free tier limits
+    { path: 'llm.groq.requestsPerMinute', env: 'GROQ_REQUESTS_PER_MINUTE', type: 'number', min: 1, default: 30 },
+    { path: 'llm.groq.tokensPerMinute', env: 'GROQ_TOKENS_PER_MINUTE', type: 'number', min: 1, default: 6000 },
+    { path: 'llm.openai.baseURL', env: 'OPENAI_BASE_URL', type: 'url' },
+    { path: 'llm.openai.apiKey', env: 'OPENAI_API_KEY', type: 'string', secret: true },
+    { path: 'llm.openai.model', env: 'OPENAI_MODEL', type: 'string' },
+    { path: 'llm.openai.temperature', env: 'OPENAI_TEMPERATURE', type: 'number', min: 0, max: 2, default: 0.7 },
+    { path: 'llm.openai.maxTokens', env: 'OPENAI_MAX_TOKENS', type: 'integer', min: 1, default: 1024 },
+    { path: 'llm.openai.requestsPerMinute', env: 'OPENAI_REQUESTS_PER_MINUTE', type: 'number', min: 1, default: Infinity },
+    { path: 'llm.openai.tokensPerMinute', env: 'OPENAI_TOKENS_PER_MINUTE', type: 'number', min: 1, default: Infinity },
+    { path: 'llm.fake.model', env: 'FAKE_MODEL', type: 'string' },
+    { path: 'llm.fake.maxTokens', env: 'FAKE_MAX_TOKENS', type: 'integer', min: 1, default: 1024 },
+    
+    { path: 'analysisCache.directory', env: 'ANALYSIS_CACHE_DIR', type: 'path', default: path.join(ROOT_DIRECTORY, '.cache', 'analyses') },
+    { path: 'analysisCache.maxEntries', env: 'ANALYSIS_CACHE_MAX_ENTRIES', type: 'integer', min: 1, default: 200 },
+    { path: 'analysisCache.ttlHours', env: 'ANALYSIS_CACHE_TTL_HOURS', type: 'number', min: 0, default: 7 * 24 },
+    
+    { path: 'retrieval.directory', env: 'RETRIEVAL_INDEX_DIR', type: 'path', default: path.join(ROOT_DIRECTORY, '.cache', 'indexes') },
+    { path: 'retrieval.maxFiles', env: 'RETRIEVAL_MAX_FILES', type: 'integer', min: 1, default: 400 },
+    // Repository tarballs that unpack to more are indexed file by file instead
+    { path: 'retrieval.maxUnpackedMb', env: 'RETRIEVAL_MAX_UNPACKED_MB', type: 'number', min: 1, default: 200 },
+    { path: 'retrieval.maxFileKb', env: 'RETRIEVAL_MAX_FILE_KB', type: 'number', min: 1, default: 100 },
+    { path: 'retrieval.maxIndexes', env: 'RETRIEVAL_MAX_INDEXES', type: 'integer', min: 1, default: 50 },
+    
+    { path: 'jobs.directory', env: 'JOBS_DIR', type: 'path', default: path.join(ROOT_DIRECTORY, '.cache', 'jobs') },
+    { path: 'jobs.concurrency', env: 'JOB_CONCURRENCY', type: 'integer', min: 1, max: 16, default: 2 },
+    { path: 'jobs.maxJobs', env: 'JOB_MAX_ENTRIES', type: 'integer', min: 1, default: 200 },
+    // Queued and running jobs; further jobs are refused until some finish
+    { path: 'jobs.maxPending', env: 'JOB_MAX_PENDING', type: 'integer', min: 1, default: 50 },
+    { path: 'jobs.ttlHours', env: 'JOB_TTL_HOURS', type: 'number', min: 0, default: 24 },
+    
+    { path: 'history.directory', env: 'HISTORY_DIR', type: 'path', default: path.join(ROOT_DIRECTORY, '.cache', 'history') },
+    { path: 'history.maxRuns', env: 'HISTORY_MAX_RUNS', type: 'integer', min: 1, default: 100 },
+    { path: 'history.maxBookmarks', env: 'HISTORY_MAX_BOOKMARKS', type: 'integer', min: 1, default: 50 },
+    // Saved analyses of all users together; the oldest go first
+    { path: 'history.maxAnalyses', env: 'HISTORY_MAX_ANALYSES', type: 'integer', min: 1, default: 5000 },
+    // Users with runs or bookmarks; the least recently active go first
+    { path: 'history.maxUsers', env: 'HISTORY_MAX_USERS', type: 'integer', min: 1, default: 5000 },
+    { path: 'history.ttlDays', env: 'HISTORY_TTL_DAYS', type: 'number', min: 0, default: 90 },
+    
+    { path: 'watch.directory', env: 'WATCH_DIR', type: 'path', default: path.join(ROOT_DIRECTORY, '.cache', 'watch') },
+    { path: 'watch.intervalMinutes', env: 'WATCH_INTERVAL_MINUTES', type: 'number', min: 1, default: 60 },
+    // Shortest time between checks of a list requested by its user
+    { path: 'watch.minCheckMinutes', env: 'WATCH_MIN_CHECK_MINUTES', type: 'number', min: 0, default: 10 },
+    { path: 'watch.maxLists', env: 'WATCH_MAX_LISTS', type: 'integer', min: 1, default: 20 },
+    { path: 'watch.maxRepositories', env: 'WATCH_MAX_REPOSITORIES', type: 'integer', min: 1, max: 100, default: 25 },
+    // Lists and watched repositories of all users together, which share the forge rate limits
+    { path: 'watch.maxTotalLists', env: 'WATCH_MAX_TOTAL_LISTS', type: 'integer', min: 1, default: 500 },
+    { path: 'watch.maxTotalRepositories', env: 'WATCH_MAX_TOTAL_REPOSITORIES', type: 'integer', min: 1, default: 2000 },
+    { path: 'watch.maxWebhooks', env: 'WATCH_MAX_WEBHOOKS', type: 'integer', min: 0, max: 20, default: 5 },
+    { path: 'watch.feedEntries', env: 'WATCH_FEED_ENTRIES', type: 'integer', min: 1, default: 50 }
+];
+
+/**
+ * Parses a raw setting value, from the environment (always a string) or
+ * the config file (any JSON value)
+ * @param {Object} setting - Entry of SETTINGS
+ * @param {*} raw - Raw value
+ * @returns {Object} - Object with value, or problem describing what was expected
+ */
+function parseValue(setting, raw) {
+    const text = String(raw).trim();
+    
+    switch (setting.type) {
+        case 'integer':
+        case 'number':
+        case 'port': {
+            const number = Number(text);
+            const integer = setting.type !== 'number';
+            const min = setting.type === 'port' ? 1 : setting.min;
+            const max = setting.type === 'port' ? 65535 : setting.max;
+            
+            if (text === '' || Number.isNaN(number) || (integer && !Number.isInteger(number))) {
+                return { problem: `expected ${integer ? 'an integer' : 'a number'}` };
+            }
+            if ((min !== undefined && number < min) || (max !== undefined && number > max)) {
+                const range = max !== undefined ? `from ${min} to ${max}` : `of at least ${min}`;
+                return { problem: `expected ${integer ? 'an integer' : 'a number'} ${range}` };
+            }
+            return { value: number };
+        }
+        
+        case 'boolean':
+            if (/^(true|1|yes|on)$/i.test(text)) {
+                return { value: true };
+            }
+            if (/^(false|0|no|off)$/i.test(text)) {
+                return { value: false };
+            }
+            return { problem: 'expected true or false' };
+        
+        case 'choice':
+            return setting.choices.includes(text.toLowerCase())
+                ? { value: text.toLowerCase() }
+                : { problem: `expected one of: ${setting.choices.join(', ')}` };
+        
+        case 'url':
+            try {
+                const url = new URL(text);
+                if (!['http:', 'https:'].includes(url.protocol)) {
+                    return { problem: 'expected an http or https URL' };
+                }
+                return { value: text.replace(/\/+$/, '') };
+            } catch (error) {
+                return { problem: 'expected an http or https URL' };
+            }
+        
+        case 'githubToken':
+            return GITHUB_TOKEN_PATTERN.test(text)
+                ? { value: text }
+                : { problem: 'expected a GitHub personal access token (ghp_..., github_pat_...)' };
+        
+        case 'path':
+            return { value: path.resolve(ROOT_DIRECTORY, text) };
+        
+        default:
+            return { value: text };
+    }
+}
+
+/**
+ * Reads a value by its dotted path
+ */
+function getPath(object, dottedPath) {
+    return dottedPath.split('.').reduce((value, key) => (value && typeof value === 'object' ? value[key] : undefined), object);
+}
+
+/**
+ * Sets a value by its dotted path, creating the sections on the way
+ */
+function setPath(object, dottedPath, value) {
+    const keys = dottedPath.split('.');
+    const last = keys.pop();
+    const section = keys.reduce((parent, key) => (parent[key] = parent[key] || {}), object);
+    section[last] = value;
+}
+
+/**
+ * Lists the leaf paths of a config file object, to catch misspelled settings
+ */
+function leafPaths(object, prefix = '') {
+    return Object.entries(object).flatMap(([key, value]) => (
+        value && typeof value === 'object' && !Array.isArray(value)
+            ? leafPaths(value, `${prefix}${key}.`)
+            : [`${prefix}${key}`]
+    ));
+}
+
+/**
+ * Freezes a settings object and its sections
+ */
+function deepFreeze(object) {
+    Object.values(object).forEach(value => {
+        if (value && typeof value === 'object') {
+            deepFreeze(value);
+        }
+    });
+    return Object.freeze(object);
+}
+
+/**
+ * Central configuration: the environment (including .env) over an optional
+ * JSON config file over defaults. Every setting is validated when loaded, so
+ * a bad value stops startup with a message naming it instead of failing
+ * later in a request. Secret values are registered for log redaction.
+ */
+class Config {
+    constructor() {
+        // Loaded on first use so values loaded by dotenv after import are seen
+        this.values = null;
+        this.warnings = [];
+        this.source = null;
+    }
+    
+    /**
+     * Reads the config file, if any
+     * @param {Object} env - Environment
+     * @returns {Object} - Object with file (path or null), data and problems
+     */
+    readFile(env) {
+        const file = env.CONFIG_FILE ? path.resolve(ROOT_DIRECTORY, env.CONFIG_FILE) : DEFAULT_CONFIG_FILE;
+        
+        let text;
+        try {
+            text = fs.readFileSync(file, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT' && !env.CONFIG_FILE) {
+                return { file: null, data: {}, problems: [] };
+            }
+            return { file, data: {}, problems: [`CONFIG_FILE: could not read ${file}: ${error.message}`] };
+        }
+        
+        try {
+            const data = JSON.parse(text);
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                return { file, data: {}, problems: [`${file}: expected a JSON object`] };
+            }
+            
+            const known = new Set(SETTINGS.map(setting => setting.path));
+            const problems = leafPaths(data)
+                .filter(settingPath => !known.has(settingPath))
+                .map(settingPath => `${settingPath} (${path.basename(file)}): unknown setting`);
+            return { file, data, problems };
+        } catch (error) {
+            return { file, data: {}, problems: [`${file}: invalid JSON: ${error.message}`] };
+        }
+    }
+    
+    /**
+     * Loads and validates the configuration
+     * @param {Object} [env] - Environment to read settings from
+     * @returns {Object} - Frozen settings, by section
+     * @throws {Error} - When any setting is invalid; the message lists each problem
+     */
+    load(env = process.env) {
+        const { file, data, problems } = this.readFile(env);
+        const values = {};
+        
+        SETTINGS.forEach(setting => {
+            const fromEnv = env[setting.env] !== undefined && env[setting.env] !== '';
+            const raw = fromEnv ? env[setting.env] : getPath(data, setting.path);
+            
+            if (raw === undefined || raw === null || raw === '') {
+                setPath(values, setting.path, setting.default ?? null);
+                return;
+            }
+            
+            const { value, problem } = parseValue(setting, raw);
+            if (problem) {
+                const source = fromEnv ? setting.env : `${setting.path} (${path.basename(file)})`;
+                // Secret values are never echoed back
+                const shown = setting.secret ? '' : `, got "${raw}"`;
+                problems.push(`${source}: ${problem}${shown}`);
+                return;
+            }
+            
+            if (setting.secret) {
+                registerSecret(value);
+            }
+            setPath(values, setting.path, value);
+        });
+        
+        if (values.llm.provider === 'openai') {
+            ['baseURL', 'model'].forEach(key => {
+                if (!values.llm.openai[key]) {
+                    const setting = SETTINGS.find(entry => entry.path === `llm.openai.${key}`);
+                    problems.push(`${setting.env}: required when LLM_PROVIDER is openai`);
+                }
+            });
+        }
+        
+        if (problems.length > 0) {
+            const error = new Error(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+            error.problems = problems;
+            throw error;
+        }
+        
+        const warnings = [];
+        if (values.llm.provider === 'groq' && !values.llm.groq.apiKey) {
+            warnings.push('GROQ_API_KEY is not set; AI-generated sections will use fallback content');
+        }
+        if (!values.github.token) {
+            warnings.push('GITHUB_TOKEN is not set; GitHub requests are limited to 60 an hour');
+        }
+        if (values.githubWebhook.secret && !values.githubWebhook.dryRun && !values.githubWebhook.token && !values.github.token) {
+            warnings.push('GITHUB_WEBHOOK_SECRET is set without GITHUB_WEBHOOK_TOKEN or GITHUB_TOKEN; welcome comments cannot be posted');
+        }
+        
+        this.values = deepFreeze(values);
+        this.warnings = warnings;
+        this.source = file;
+        return this.values;
+    }
+    
+    /**
+     * Gets the settings, loading them on first use
+     * @returns {Object} - Frozen settings, see load
+     */
+    get() {
+        if (!this.values) {
+            this.load();
+        }
+        return this.values;
+    }
+    
+    /**
+     * Describes the settings for startup logs: secrets only report whether they are set
+     * @returns {Object} - Settings, by section
+     */
+    describe() {
+        const values = this.get();
+        const described = {};
+        
+        SETTINGS.forEach(setting => {
+            const value = getPath(values, setting.path);
+            setPath(described, setting.path, setting.secret ? (value ? 'set' : 'not set') : value);
+        });
+        return described;
+    }
+}
+
+export { GITHUB_TOKEN_PATTERN };
+
+// Create and export configuration instance
+const config = new Config();
+export default config;
@@ -0,0 +1,215 @@
+import crypto from 'crypto';
+import { LANGUAGE_EXTENSIONS } from './repositoryStructure.js';
+
+/**
+ * Contributor profiles tailor the "Where can I start?" card to one person:
+ * the languages they know, their experience, the hours they have each week
+ * and the kind of work they enjoy. Profiles arrive from a form or a JSON
+ * body, so everything here is validated and normalized before use.
+ */
+
+const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'experienced'];
+
+// Kinds of work a contributor can ask for, matched against issue labels and titles and against file paths
+const INTERESTS = {
+    docs: {
+        label: 'documentation',
+        issues: /\b(docs?|documentation|readme|typos?|guides?|tutorials?|examples?)\b/i,
+        paths: /(^|\/)(docs?|documentation|examples?|guides?)(\/|$)|\.(md|mdx|rst|adoc)$/i
+    },
+    tests: {
+        label: 'tests',
+        issues: /\b(tests?|testing|coverage|flaky|ci|e2e|unit)\b/i,
+        paths: /(^|\/)(tests?|__tests__|spec|specs|e2e|fixtures)(\/|$)|[._-](test|spec)\.[a-z]+$/i
+    },
+    frontend: {
+        label: 'frontend',
+        issues: /\b(ui|ux|frontend|front-end|css|styles?|layout|components?|accessibility|a11y|design|responsive)\b/i,
+        paths: /(^|\/)(components|pages|views|public|static|styles?|ui|web|frontend|client|assets)(\/|$)|\.(css|scss|less|vue|svelte|jsx|tsx|hbs|html)$/i
+    },
+    backend: {
+        label: 'backend',
+        issues: /\b(api|backend|back-end|server|database|db|endpoints?|performance|auth\w*)\b/i,
+        paths: /(^|\/)(server|api|controllers|routes|services|models|backend|handlers|internal|pkg|cmd|db|migrations)(\/|$)/i
+    },
+    tooling: {
+        label: 'tooling and CI',
+        issues: /\b(build|tooling|ci|workflows?|docker|release|packaging|lint\w*|scripts?)\b/i,
+        paths: /(^|\/)(scripts|tools|\.github|ci|bin|build)(\/|$)|(^|\/)(Dockerfile|Makefile)$/i
+    }
+};
+
+const MAX_LANGUAGES = 8;
+const MAX_HOURS = 40;
+
+/**
+ * Splits a list given as an array or as a comma-separated form value
+ */
+function readList(value) {
+    if (value === undefined || value === null || value === '') {
+        return [];
+    }
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    return items.map(item => String(item).trim()).filter(Boolean);
+}
+
+/**
+ * Validates and normalizes a contributor profile from a request body or query
+ * string. Every field is optional; an entirely empty profile means "none".
+ * @param {Object|null|undefined} input - { languages, experience, hoursPerWeek (or hours), interests }
+ * @returns {Object} - { profile, error }: profile is null when none was given,
+ *   error is a message for the client when a field is invalid
+ */
+function parseProfile(input) {
+    if (input === undefined || input === null) {
+        return { profile: null, error: null };
+    }
+    if (typeof input !== 'object' || Array.isArray(input)) {
+        return { profile: null, error: 'profile must be an object' };
+    }
+
+    const knownLanguages = new Map(Object.values(LANGUAGE_EXTENSIONS).map(name => [name.toLowerCase(), name]));
+    const languages = [...new Set(readList(input.languages)
+        .map(language => knownLanguages.get(language.toLowerCase()) || language))];
+    if (languages.length > MAX_LANGUAGES || languages.some(language => language.length > 30)) {
+        return { profile: null, error: `languages must list at most ${MAX_LANGUAGES} names of up to 30 characters` };
+    }
+
+    const experience = input.experience ? String(input.experience).toLowerCase() : null;
+    if (experience && !EXPERIENCE_LEVELS.includes(experience)) {
+        return { profile: null, error: `experience must be one of: ${EXPERIENCE_LEVELS.join(', ')}` };
+    }
+
+    const rawHours = input.hoursPerWeek !== undefined ? input.hoursPerWeek : input.hours;
+    let hoursPerWeek = null;
+    if (rawHours !== undefined && rawHours !== null && rawHours !== '') {
+        hoursPerWeek = Number(rawHours);
+        if (!Number.isInteger(hoursPerWeek) || hoursPerWeek < 1 || hoursPerWeek > MAX_HOURS) {
+            return { profile: null, error: `hoursPerWeek (or hours) must be a whole number from 1 to ${MAX_HOURS}` };
+        }
+    }
+
+    const interests = [...new Set(readList(input.interests).map(interest => interest.toLowerCase()))];
+    const unknown = interests.filter(interest => !INTERESTS[interest]);
+    if (unknown.length > 0) {
+        return { profile: null, error: `interests must be among: ${Object.keys(INTERESTS).join(', ')}` };
+    }
+
+    if (languages.length === 0 && !experience && !hoursPerWeek && interests.length === 0) {
+        return { profile: null, error: null };
+    }
+
+    return {
+        profile: { languages, experience, hoursPerWeek, interests: interests.sort() },
+        error: null
+    };
+}
+
+/**
+ * Builds a short stable digest of a profile, used to cache tailored analyses
+ * separately from the generic one
+ * @param {Object|null} profile - Result of parseProfile
+ * @returns {string} - Digest, or an empty string when there is no profile
+ */
+function profileKey(profile) {
+    if (!profile) {
+        return '';
+    }
+    const canonical = JSON.stringify({
+        languages: profile.languages.map(language => language.toLowerCase()).sort(),
+        experience: profile.experience,
+        hoursPerWeek: profile.hoursPerWeek,
+        interests: profile.interests
+    });
+    return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 12);
+}
+
+/**
+ * Checks whether text mentions a language by name, as a whole word
+ * @param {string} text - Label or title
+ * @param {string} language - Language name, e.g. "C++"
+ * @returns {boolean}
+ */
+function mentionsLanguage(text, language) {
+    const escaped = language.toLowerCase().replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^a-z0-9+#])${escaped}($|[^a-z0-9+#])`).test(text.toLowerCase());
+}
+
+/**
+ * Finds the directories that best fit a profile: those whose files are in
+ * the contributor's languages or match their interests. Directories are
+ * grouped two levels deep so "src/components" and "src/server" are told apart.
+ * @param {Array<Object>} tree - Git tree entries with path and type
+ * @param {Object|null} profile - Result of parseProfile
+ * @param {number} [limit] - Maximum directories returned
+ * @returns {Array<Object>} - { path, fileCount, reasons }, best first
+ */
+function suggestDirectories(tree, profile, limit = 5) {
+    if (!profile || !tree || tree.length === 0) {
+        return [];
+    }
+
+    const known = new Set(profile.languages.map(language => language.toLowerCase()));
+    const directories = new Map();
+
+    tree.forEach(entry => {
+        const segments = entry.path.split('/');
+        if (entry.type !== 'blob' || segments.length < 2) {
+            return;
+        }
+
+        const directory = segments.slice(0, Math.min(2, segments.length - 1)).join('/');
+        if (!directories.has(directory)) {
+            directories.set(directory, { path: directory, fileCount: 0, languageFiles: 0, interests: {} });
+        }
+        const summary = directories.get(directory);
+        summary.fileCount++;
+
+        const extension = entry.path.includes('.') ? entry.path.split('.').pop().toLowerCase() : null;
+        const language = LANGUAGE_EXTENSIONS[extension];
+        if (language && known.has(language.toLowerCase())) {
+            summary.languageFiles++;
+        }
+        profile.interests.forEach(interest => {
+            if (INTERESTS[interest].paths.test(entry.path)) {
+                summary.interests[interest] = (summary.interests[interest] || 0) + 1;
+            }
+        });
+    });
+
+    return [...directories.values()]
+        .map(summary => {
+            const reasons = [];
+            Object.entries(summary.interests).forEach(([interest, count]) => {
+                reasons.push(`${count} ${INTERESTS[interest].label} file${count === 1 ? '' : 's'}`);
+            });
+            if (summary.languageFiles > 0) {
+                reasons.push(`${summary.languageFiles} file${summary.languageFiles === 1 ? '' : 's'} in languages you know`);
+            }
+
+            // Interest matches weigh more: they say what the work is, not only how it is written
+            const interestFiles = Object.values(summary.interests).reduce((total, count) => total + count, 0);
+            const score = interestFiles * 2 + summary.languageFiles;
+            return { path: summary.path, fileCount: summary.fileCount, reasons, score };
+        })
+        .filter(summary => summary.score > 0)
+        .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+        .slice(0, limit)
+        .map(({ path, fileCount, reasons }) => ({ path, fileCount, reasons }));
+}
+
+/**
+ * Describes a profile in a sentence or two for prompts
+ * @param {Object} profile - Result of parseProfile
+ * @returns {string}
+ */
+function describeProfile(profile) {
+    const parts = [];
+    parts.push(profile.experience ? `Experience: ${profile.experience}` : 'Experience: not given');
+    parts.push(`Languages known: ${profile.languages.length > 0 ? profile.languages.join(', ') : 'not given'}`);
+    parts.push(`Time available: ${profile.hoursPerWeek ? `${profile.hoursPerWeek} hours per week` : 'not given'}`);
+    parts.push(`Interested in: ${profile.interests.length > 0 ? profile.interests.map(interest => INTERESTS[interest].label).join(', ') : 'anything'}`);
+    return parts.join('\n');
+}
+
+export { EXPERIENCE_LEVELS, INTERESTS, parseProfile, profileKey, mentionsLanguage, suggestDirectories, describeProfile };
@@ -0,0 +1,273 @@
+/**
+ * Turns long project documents (README, CONTRIBUTING...) into prompt-sized
+ * excerpts. Markdown and reStructuredText are split into sections, sections
+ * are ranked by how useful their heading is for the prompt at hand and as
+ * many as fit the token budget are kept, in their original order.
+ */
+
+// Headings that matter to each kind of prompt, with a weight per match
+const FOCUS_HEADINGS = {
+    overview: [
+        [/\b(about|overview|introduction|what is|why|motivation|features?|highlights)\b/i, 3],
+        [/\b(getting started|quick ?start|usage|examples?|demo)\b/i, 2],
+        [/\b(install(ation|ing)?|setup|requirements?|prerequisites)\b/i, 1]
+    ],
+    contributing: [
+        [/\b(contribut\w*|pull requests?|prs?|submitting|code review|workflow)\b/i, 3],
+        [/\b(develop\w*|local(ly)?|building|build|setup|getting started|install\w*)\b/i, 3],
+        [/\b(test(s|ing)?|ci|continuous integration)\b/i, 3],
+        [/\b(style|lint(ing)?|format(ting)?|conventions?|commits?( messages?)?|guidelines?)\b/i, 2],
+        [/\b(issues?|bugs?|reporting|communication|community|chat|discussions?|help)\b/i, 1]
+    ],
+    development: [
+        [/\b(develop\w*|architecture|project (structure|layout)|design|internals)\b/i, 3],
+        [/\b(build(ing)?|install\w*|setup|getting started|quick ?start)\b/i, 2],
+        [/\b(test(s|ing)?|usage|configuration)\b/i, 1]
+    ]
+};
+
+// Sections that rarely help a newcomer, kept only when there is room left
+const LOW_VALUE_HEADINGS = /\b(licen[cs]e|sponsors?|backers|acknowledg\w*|credits|changelog|badges?|authors?|table of contents|contents|toc)\b/i;
+
+// reStructuredText underlines: a line of one repeated punctuation character
+const RST_UNDERLINE = /^([=\-~^"'`#*+_])\1{2,}\s*$/;
+
+/**
+ * Estimates how many tokens a text costs. BPE tokenizers average about four
+ * characters per token on English prose, but split code, URLs and
+ * punctuation-heavy text much finer, so those characters count double.
+ * @param {string} text - Text to measure
+ * @returns {number} - Estimated token count
+ */
+function estimateTokens(text) {
+    if (!text) {
+        return 0;
+    }
+    const symbols = (text.match(/[^\w\s]/g) || []).length;
+    return Math.ceil((text.length + symbols) / 4);
+}
+
+/**
+ * Splits a Markdown or reStructuredText document into sections. Text before
+ * the first heading becomes an untitled introduction section. Headings inside
+ * fenced code blocks are ignored.
+ * @param {string} text - Document content
+ * @returns {Array<Object>} - { heading, level, content, index }
+ */
+function parseSections(text) {
+    const lines = text.replace(/\r\n?/g, '\n').split('\n');
+    const sections = [];
+    let current = { heading: null, level: 0, lines: [] };
+    let fence = null;
+
+    const startSection = (heading, level) => {
+        sections.push(current);
+        current = { heading: heading.trim(), level, lines: [] };
+    };
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+        const fenceMatch = line.match(/^\s*(```|~~~)/);
+
+        if (fenceMatch) {
+            fence = fence === fenceMatch[1] ? null : fence || fenceMatch[1];
+            current.lines.push(line);
+            continue;
+        }
+        if (fence) {
+            current.lines.push(line);
+            continue;
+        }
+
+        const atx = line.match(/^(#{1,6})\s+(.+?)\s*#*\s*$/);
+        const next = lines[i + 1];
+
+        if (atx) {
+            startSection(atx[2], atx[1].length);
+        } else if (line.trim() && next !== undefined && (/^=+\s*$/.test(next) || /^-+\s*$/.test(next) || RST_UNDERLINE.test(next))
+            && next.trim().length >= Math.min(line.trim().length, 3) && !/^[-*+]\s/.test(line)) {
+            // Setext and reStructuredText headings; "=" marks a top-level heading
+            startSection(line, next.trim()[0] === '=' ? 1 : 2);
+            i++;
+        } else if (RST_UNDERLINE.test(line) && next && lines[i + 2] !== undefined && RST_UNDERLINE.test(lines[i + 2])) {
+            // reStructuredText title with an overline
+            startSection(next, 1);
+            i += 2;
+        } else {
+            current.lines.push(line);
+        }
+    }
+    sections.push(current);
+
+    return sections
+        .map(({ heading, level, lines: sectionLines }) => ({ heading, level, content: sectionLines.join('\n').trim() }))
+        .filter(section => section.heading || section.content)
+        .map((section, index) => ({ ...section, index }));
+}
+
+/**
+ * Scores how useful a section is for a focus
+ */
+function scoreSection(section, focus) {
+    if (!section.heading || section.index === 0) {
+        // The introduction, often under the project title, says what the project is
+        return 4;
+    }
+    if (LOW_VALUE_HEADINGS.test(section.heading)) {
+        return -1;
+    }
+
+    const patterns = FOCUS_HEADINGS[focus] || [];
+    const score = patterns.reduce((total, [pattern, weight]) => total + (pattern.test(section.heading) ? weight : 0), 0);
+
+    // Deeply nested sections are usually details of a larger one
+    return score - Math.max(0, section.level - 2) * 0.5;
+}
+
+/**
+ * Formats a section back into Markdown
+ */
+function formatSection(section) {
+    const heading = section.heading ? `${'#'.repeat(Math.max(1, section.level))} ${section.heading}\n` : '';
+    return `${heading}${section.content}`.trim();
+}
+
+/**
+ * Cuts text to a token budget at the last paragraph, line or sentence break
+ */
+function truncateToTokens(text, budget) {
+    if (estimateTokens(text) <= budget) {
+        return text;
+    }
+
+    // Shrink proportionally, then back off to a natural break
+    let cut = text.slice(0, Math.floor(text.length * budget / estimateTokens(text)));
+    const breakAt = Math.max(cut.lastIndexOf('\n\n'), cut.lastIndexOf('\n'), cut.lastIndexOf('. ') + 1);
+    if (breakAt > cut.length * 0.6) {
+        cut = cut.slice(0, breakAt);
+    }
+    return `${cut.trim()} …`;
+}
+
+/**
+ * Selects the most useful sections of a document that fit a token budget
+ * @param {string} text - Document content
+ * @param {Object} options
+ * @param {number} options.budget - Token budget for the excerpt
+ * @param {string} [options.focus] - Key of FOCUS_HEADINGS used to rank sections
+ * @returns {Object} - { text, tokens, truncated, complete, omitted: [heading] }
+ *   complete is false when a relevant section had to be shortened or dropped
+ */
+function fitToBudget(text, { budget, focus = 'overview' }) {
+    if (!text) {
+        return { text: '', tokens: 0, truncated: false, complete: true, omitted: [] };
+    }
+    if (estimateTokens(text) <= budget) {
+        return { text: text.trim(), tokens: estimateTokens(text), truncated: false, complete: true, omitted: [] };
+    }
+
+    const sections = parseSections(text);
+    const ranked = [...sections].sort((a, b) => scoreSection(b, focus) - scoreSection(a, focus) || a.index - b.index);
+
+    const kept = new Map();
+    let remaining = budget;
+    let overflow = null;
+
+    for (const section of ranked) {
+        const formatted = formatSection(section);
+        const cost = estimateTokens(formatted) + 1;
+
+        if (cost <= remaining) {
+            kept.set(section.index, formatted);
+            remaining -= cost;
+        } else if (!overflow && scoreSection(section, focus) > 0) {
+            overflow = { section, formatted };
+        }
+    }
+
+    // The most relevant section that did not fit is shortened into what is left
+    if (overflow && remaining > 60) {
+        kept.set(overflow.section.index, truncateToTokens(overflow.formatted, remaining - 1));
+    }
+
+    const selected = sections.filter(section => kept.has(section.index));
+    const excerpt = selected.map(section => kept.get(section.index)).join('\n\n');
+
+    return {
+        text: excerpt,
+        tokens: estimateTokens(excerpt),
+        truncated: true,
+        complete: !overflow,
+        omitted: sections.filter(section => !kept.has(section.index) && section.heading).map(section => section.heading)
+    };
+}
+
+/**
+ * Splits a section larger than a chunk at paragraph breaks. The heading is
+ * repeated on every piece so each one still says what it is about.
+ */
+function splitSection(section, chunkTokens) {
+    const heading = section.heading ? `${'#'.repeat(Math.max(1, section.level))} ${section.heading} (continued)\n` : '';
+    const pieces = [];
+    let current = formatSection({ ...section, content: '' });
+
+    section.content.split(/\n{2,}/).forEach(paragraph => {
+        const candidate = current ? `${current}\n\n${paragraph}` : paragraph;
+        if (estimateTokens(candidate) <= chunkTokens || !current) {
+            current = candidate;
+            return;
+        }
+        pieces.push(current);
+        current = `${heading}${paragraph}`;
+    });
+    pieces.push(current);
+
+    // A single paragraph can still be too long, and is cut
+    return pieces.map(piece => truncateToTokens(piece, chunkTokens));
+}
+
+/**
+ * Groups consecutive sections into chunks of at most a token budget, for
+ * summarizing documents that are too long to send in one prompt
+ * @param {string} text - Document content
+ * @param {number} chunkTokens - Token budget per chunk
+ * @returns {Array<string>} - Chunks in document order
+ */
+function chunkDocument(text, chunkTokens) {
+    const chunks = [];
+    let current = [];
+    let size = 0;
+
+    parseSections(text).flatMap(section => splitSection(section, chunkTokens)).forEach(piece => {
+        const cost = estimateTokens(piece) + 1;
+
+        if (size + cost > chunkTokens && current.length > 0) {
+            chunks.push(current.join('\n\n'));
+            current = [];
+            size = 0;
+        }
+        current.push(piece);
+        size += cost;
+    });
+    if (current.length > 0) {
+        chunks.push(current.join('\n\n'));
+    }
+
+    return chunks;
+}
+
+/**
+ * Lists the headings of a document as an indented outline
+ * @param {string} text - Document content
+ * @param {number} [maxHeadings] - Maximum number of headings listed
+ * @returns {string} - One heading per line
+ */
+function outlineDocument(text, maxHeadings = 25) {
+    return parseSections(text)
+        .filter(section => section.heading)
+        .slice(0, maxHeadings)
+        .map(section => `${'  '.repeat(Math.max(0, section.level - 1))}- ${section.heading}`)
+        .join('\n');
+}
+
+export { FOCUS_HEADINGS, estimateTokens, parseSections, fitToBudget, chunkDocument, outlineDocument };
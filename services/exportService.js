@@ -0,0 +1,130 @@
+import fs from 'fs';
+import path from 'path';
+import hbs from 'hbs';
+import { fileURLToPath } from 'url';
+import analysisService from './analysisService.js';
+import cardRenderer, { escapeLinkText } from './cardRenderer.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const templatePath = path.join(__dirname, '..', 'views', 'export.hbs');
+
+const HEALTH_TITLE = 'How healthy is it?';
+
+// Supported export formats with their file name and content type
+const EXPORT_FORMATS = {
+    md: { fileName: 'ONBOARDING.md', contentType: 'text/markdown; charset=utf-8' },
+    html: { fileName: 'onboarding.html', contentType: 'text/html; charset=utf-8' },
+    json: { fileName: 'onboarding.json', contentType: 'application/json; charset=utf-8' }
+};
+
+class ExportService {
+    constructor() {
+        this.formats = EXPORT_FORMATS;
+        this.htmlTemplate = null;
+    }
+    
+    /**
+     * Formats an analysis response as an ONBOARDING.md document
+     * @param {Object} response - Analyze response body
+     * @param {string} [generatedAt] - Export timestamp, defaults to now
+     * @returns {string} - Markdown
+     */
+    toMarkdown(response, generatedAt = new Date().toISOString()) {
+        const { repository, analysis, metadata } = response;
+        const beginnerIssues = response.beginnerIssues || [];
+        
+        const sections = analysisService.analyses.map(({ key, title }) => (
+            `## ${title}\n\n${cardRenderer.renderMarkdown(key, analysis[key])}`
+        ));
+        if (response.health) {
+            sections.push(`## ${HEALTH_TITLE}\n\n${cardRenderer.renderMarkdown('health', response.health)}`);
+        }
+        
+        const issueList = beginnerIssues.length > 0
+            ? beginnerIssues.map(issue => {
+                const labels = issue.labels.length > 0 ? ` (${issue.labels.join(', ')})` : '';
+                return `- [#${issue.number} ${escapeLinkText(issue.title)}](${issue.url})${labels}`;
+            }).join('\n')
+            : '_No issues with beginner-friendly labels were found._';
+        
+        const details = [
+            `- Analyzed at: ${metadata.analyzedAt}`,
+            metadata.commitSha && `- Commit: ${metadata.commitSha}`,
+            `- Community files: ${metadata.communityFiles.map(file => file.path ? `${file.label} (${file.path})` : file.label).join(', ') || 'none found'}`,
+            metadata.communityHealth !== null && `- GitHub community profile: ${metadata.communityHealth}% complete`,
+            `- Generated at: ${generatedAt}`
+        ].filter(Boolean).join('\n');
+        
+        return [
+            `# Onboarding guide: ${repository.fullName}`,
+            repository.description && `> ${repository.description}`,
+            repository.url,
+            ...sections,
+            `## Beginner-friendly issues\n\n${issueList}`,
+            `## About this guide\n\n${details}`
+        ].filter(Boolean).join('\n\n') + '\n';
+    }
+    
+    /**
+     * Formats an analysis response as a self-contained HTML page
+     * @param {Object} response - Analyze response body
+     * @param {string} [generatedAt] - Export timestamp, defaults to now
+     * @returns {string} - HTML document
+     */
+    toHtml(response, generatedAt = new Date().toISOString()) {
+        if (!this.htmlTemplate) {
+            this.htmlTemplate = hbs.handlebars.compile(fs.readFileSync(templatePath, 'utf-8'));
+        }
+        
+        // Card HTML is rendered from the structured data again so exports of
+        // older cached responses use the current partials
+        const sections = analysisService.analyses.map(({ key, title }) => ({
+            title,
+            html: cardRenderer.render(key, response.analysis[key])
+        }));
+        if (response.health) {
+            sections.push({ title: HEALTH_TITLE, html: cardRenderer.render('health', response.health) });
+        }
+        
+        return this.htmlTemplate({
+            ...response,
+            beginnerIssues: response.beginnerIssues || [],
+            sections,
+            generatedAt
+        });
+    }
+    
+    /**
+     * Formats an analysis response as a JSON document
+     * @param {Object} response - Analyze response body
+     * @param {string} [generatedAt] - Export timestamp, defaults to now
+     * @returns {string} - JSON
+     */
+    toJson(response, generatedAt = new Date().toISOString()) {
+        const { rendered, ...data } = response;
+        return `${JSON.stringify({ ...data, generatedAt }, null, 2)}\n`;
+    }
+    
+    /**
+     * Formats an analysis response in one of the export formats
+     * @param {Object} response - Analyze response body
+     * @param {string} format - md, html or json
+     * @returns {string} - Document
+     */
+    format(response, format) {
+        switch (format) {
+            case 'md':
+                return this.toMarkdown(response);
+            case 'html':
+                return this.toHtml(response);
+            case 'json':
+                return this.toJson(response);
+            default:
+                throw new Error(`Unknown export format "${format}"`);
+        }
+    }
+}
+
+// Create and export service instance
+const exportService = new ExportService();
+export default exportService;
@@ -0,0 +1,180 @@
+import githubService, { GitHubService } from './githubService.js';
+import GitLabService from './gitlabService.js';
+import GiteaService from './giteaService.js';
+import { DEFAULT_HOST } from './forgeService.js';
+import config from './config.js';
+
+/**
+ * Knows the forges repositories can be analyzed on and routes repository
+ * URLs to their adapter by host:
+ * - github.com, always
+ * - a GitHub Enterprise Server instance (GITHUB_ENTERPRISE_URL, GITHUB_ENTERPRISE_TOKEN)
+ * - GitLab (GITLAB_URL, GITLAB_TOKEN), gitlab.com by default
+ * - Gitea or Forgejo (GITEA_URL, GITEA_TOKEN), codeberg.org by default
+ * gitlab.com and codeberg.org stay reachable anonymously when another
+ * instance is configured.
+ */
+class ForgeRegistry {
+    constructor() {
+        // Created on first use, once the configuration is loaded
+        this.forges = null;
+    }
+    
+    /**
+     * Creates the adapters of the configured forges
+     */
+    configure() {
+        if (this.forges) {
+            return;
+        }
+        
+        const { githubEnterprise, gitlab, gitea } = config.get();
+        this.forges = new Map();
+        this.register(githubService);
+        
+        if (githubEnterprise.url) {
+            this.register(new GitHubService({
+                host: new URL(githubEnterprise.url).host,
+                webURL: githubEnterprise.url,
+                baseURL: `${githubEnterprise.url}/api/v3`,
+                graphqlURL: `${githubEnterprise.url}/api/graphql`,
+                token: githubEnterprise.token
+            }));
+        }
+        
+        if (gitlab.url) {
+            this.register(new GitLabService({ webURL: gitlab.url, token: gitlab.token }));
+        } else {
+            this.register(new GitLabService({ token: gitlab.token }));
+        }
+        this.register(new GitLabService());
+        
+        if (gitea.url) {
+            this.register(new GiteaService({ webURL: gitea.url, token: gitea.token }));
+        } else {
+            this.register(new GiteaService({ token: gitea.token }));
+        }
+        this.register(new GiteaService());
+    }
+    
+    /**
+     * Adds an adapter under its host, unless the host already has one
+     * @param {ForgeService} forge - Forge adapter
+     */
+    register(forge) {
+        const host = forge.host.toLowerCase();
+        if (!this.forges.has(host)) {
+            this.forges.set(host, forge);
+        }
+    }
+    
+    /**
+     * Gets the adapter of a host
+     * @param {string} [host] - Forge host, github.com by default
+     * @returns {ForgeService|null} - Adapter, or null for an unknown host
+     */
+    getForge(host = DEFAULT_HOST) {
+        this.configure();
+        return this.forges.get(host.toLowerCase().replace(/^www\./, '')) || null;
+    }
+    
+    /**
+     * Lists the hosts repositories can be analyzed on
+     * @returns {Array<Object>} - { host, name, kind, authenticated }
+     */
+    listHosts() {
+        this.configure();
+        return [...this.forges.values()].map(forge => ({
+            host: forge.host,
+            name: forge.name,
+            kind: forge.kind,
+            authenticated: forge.isAuthenticated()
+        }));
+    }
+    
+    /**
+     * Splits a URL into the forge of its host and its path segments. Web URLs
+     * may leave out the scheme; git@ remotes are read too, and anything
+     * without a host is a github.com path.
+     * @param {string} url - Repository, user or organization URL
+     * @returns {Object|null} - Object with forge, segments and shorthand (no host was given), or null on an unknown host
+     */
+    locate(url) {
+        let cleanUrl = url.trim().replace(/[?#].*$/, '').replace(/\/+$/, '');
+        
+        // Remove trailing .git if present
+        if (cleanUrl.endsWith('.git')) {
+            cleanUrl = cleanUrl.slice(0, -4);
+        }
+        
+        const sshMatch = cleanUrl.match(/^(?:ssh:\/\/)?git@([^:/]+)[:/](.+)$/);
+        const webMatch = cleanUrl.match(/^(?:https?:\/\/)?([^/@]+\.[^/@]+)\/(.+)$/);
+        const [, host, path] = sshMatch || webMatch || [null, DEFAULT_HOST, cleanUrl];
+        
+        const forge = this.getForge(host);
+        const segments = path.split('/');
+        
+        // A dotted owner such as "my.org/repo" reads like a host
+        if (!forge && !sshMatch && !/^https?:/.test(cleanUrl) && segments.length === 1) {
+            return { forge: this.getForge(DEFAULT_HOST), segments: cleanUrl.split('/'), shorthand: true };
+        }
+        return forge ? { forge, segments, shorthand: !sshMatch && !webMatch } : null;
+    }
+    
+    /**
+     * Parses a repository URL into its forge, owner and name. Accepts web URLs
+     * with or without the scheme (https://gitlab.com/group/project), git@ remotes,
+     * and owner/repo, which names a github.com repository.
+     * @param {string} repoUrl - Repository URL
+     * @returns {Object|null} - Object with forge, owner and repo properties, or null if invalid or on an unknown host
+     */
+    parseRepositoryUrl(repoUrl) {
+        try {
+            const located = this.locate(repoUrl);
+            if (!located || (located.shorthand && located.segments.length !== 2)) {
+                return null;
+            }
+            
+            const parsed = located.forge.parsePath(located.segments);
+            return parsed ? { forge: located.forge, ...parsed } : null;
+            
+        } catch (error) {
+            console.warn('Error parsing repository URL:', error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Parses a user or organization URL into its forge and owner. Accepts
+     * profile URLs (https://github.com/owner), organization pages
+     * (https://github.com/orgs/owner) and a bare owner name, which names a
+     * github.com account. Repository URLs parse as by parseRepositoryUrl, so
+     * callers can tell them apart by their repo.
+     * @param {string} ownerUrl - User or organization URL
+     * @returns {Object|null} - Object with forge, owner and repo (null for an owner) properties, or null if invalid or on an unknown host
+     */
+    parseOwnerUrl(ownerUrl) {
+        try {
+            const repository = this.parseRepositoryUrl(ownerUrl);
+            if (repository) {
+                return repository;
+            }
+            
+            const located = this.locate(ownerUrl.trim().replace(/^@/, ''));
+            if (!located || (located.shorthand && located.segments.length !== 1)) {
+                return null;
+            }
+            
+            const parsed = located.forge.parseOwnerPath(located.segments);
+            return parsed ? { forge: located.forge, ...parsed, repo: null } : null;
+            
+        } catch (error) {
+            console.warn('Error parsing owner URL:', error.message);
+            return null;
+        }
+    }
+}
+
+// Create and export registry instance
+const forgeRegistry = new ForgeRegistry();
+export default forgeRegistry;
@@ -0,0 +1,548 @@
+import fetch from 'node-fetch';
+import crypto from 'crypto';
+import RequestScheduler, { parseRetryAfter, isTransientNetworkError } from './requestScheduler.js';
+import { selectManifestPaths } from './repositoryStructure.js';
+import { COMMUNITY_FILES, selectCommunityPaths, fallbackPaths } from './communityFiles.js';
+
+// Labels searched for beginner-friendly issues
+const BEGINNER_LABELS = ['good first issue', 'help wanted', 'beginner', 'easy', 'starter'];
+
+// Host whose repositories are analyzed when a URL names no other forge
+const DEFAULT_HOST = 'github.com';
+
+// Adapters kept for user-supplied tokens, see withToken
+const MAX_TOKEN_FORGES = 20;
+
+/**
+ * Common ground of the code forges repositories can be analyzed on (GitHub,
+ * GitHub Enterprise, GitLab, Gitea): conditional requests, retries, rate
+ * limits and errors, plus the fetches built on top of the adapter methods.
+ *
+ * Adapters answer in the shapes of the GitHub REST API, which the analysis
+ * pipeline reads, and implement getRepositoryMetadata, getBranchHeadSha,
+ * getBeginnerFriendlyIssues, getRecentOpenIssues, getOpenPullRequests,
+ * readFile, getRepositoryTree, getRepositoryArchive, getRepositoryStats and
+ * getRepositoryActivity.
+ */
+class ForgeService {
+    /**
+     * @param {Object} options - Forge settings
+     * @param {string} options.kind - Adapter kind: github, gitlab or gitea
+     * @param {string} options.name - Forge name used in logs and error messages
+     * @param {string} options.host - Host repository URLs are matched on
+     * @param {string} options.baseURL - API root
+     * @param {string} options.webURL - Web root repository pages live under
+     * @param {string|Function|null} [options.token] - Access token, or a function returning it on first use
+     * @param {Object} [options.settings] - Constructor options of the adapter, token aside, see withToken
+     */
+    constructor({ kind, name, host, baseURL, webURL, token = null, settings = {} }) {
+        this.kind = kind;
+        this.name = name;
+        this.host = host;
+        this.baseURL = baseURL;
+        this.webURL = webURL;
+        this.token = token;
+        this.settings = settings;
+        
+        // Built on first use so a configured token is read after dotenv, see headers
+        this.requestHeaders = null;
+        
+        // Adapters for user-supplied tokens by token digest, least recently used first
+        this.tokenForges = new Map();
+        this.tokenDigest = null;
+        
+        // Validators and bodies of previous responses, keyed by endpoint.
+        // Map keeps insertion order, so the first key is the least recently used.
+        this.responseCache = new Map();
+        this.maxCachedResponses = 500;
+        
+        // Latest rate limit header values, keyed by resource (core, search, ...)
+        this.rateLimits = {};
+        
+        // Forge budgets are reported by headers, so the scheduler
+        // only handles retries and Retry-After pauses
+        this.scheduler = new RequestScheduler({ name: `${name} API` });
+    }
+    
+    /**
+     * Builds the headers sent with every request; adapters add their credentials
+     * @param {string|null} token - Access token
+     * @returns {Object} - Request headers
+     */
+    buildHeaders(token) {
+        return { 'User-Agent': 'OpenSourceGuide-AI/1.0' };
+    }
+    
+    /**
+     * Headers sent with every request, credentials included
+     */
+    get headers() {
+        if (!this.requestHeaders) {
+            const token = typeof this.token === 'function' ? this.token() : this.token;
+            this.requestHeaders = Object.freeze(this.buildHeaders(token ? token.trim() : null));
+        }
+        return this.requestHeaders;
+    }
+    
+    /**
+     * Gets an adapter for the same forge that sends a user-supplied token.
+     * One adapter is kept per token, so its response cache and rate limits
+     * carry over between requests without being shared with other users.
+     * @param {string} token - Access token
+     * @returns {ForgeService} - Adapter of the same class and instance
+     */
+    withToken(token) {
+        const digest = crypto.createHash('sha256').update(token).digest('hex');
+        const forge = this.tokenForges.get(digest) || new this.constructor({ ...this.settings, token });
+        forge.tokenDigest = digest;
+        
+        // Re-inserted so it becomes the most recently used
+        this.tokenForges.delete(digest);
+        this.tokenForges.set(digest, forge);
+        if (this.tokenForges.size > MAX_TOKEN_FORGES) {
+            this.tokenForges.delete(this.tokenForges.keys().next().value);
+        }
+        return forge;
+    }
+    
+    /**
+     * Checks whether requests carry credentials
+     */
+    isAuthenticated() {
+        return Object.keys(this.headers).some(header => ['authorization', 'private-token'].includes(header.toLowerCase()));
+    }
+    
+    /**
+     * Records the rate limit headers of a response: X-RateLimit-* on GitHub
+     * and Gitea, RateLimit-* on GitLab
+     */
+    updateRateLimit(response) {
+        const header = (name) => response.headers.get(`x-ratelimit-${name}`) ?? response.headers.get(`ratelimit-${name}`);
+        const remaining = header('remaining');
+        if (remaining === null) {
+            return;
+        }
+        
+        const resource = response.headers.get('x-ratelimit-resource') || 'core';
+        const reset = parseInt(header('reset'), 10);
+        
+        this.rateLimits[resource] = {
+            limit: parseInt(header('limit'), 10) || null,
+            remaining: parseInt(remaining, 10),
+            used: parseInt(header('used'), 10) || 0,
+            resetAt: Number.isNaN(reset) ? null : new Date(reset * 1000).toISOString()
+        };
+    }
+    
+    /**
+     * Stores a response body with its validators, evicting the oldest entry when full
+     */
+    cacheResponse(endpoint, response, data) {
+        const etag = response.headers.get('etag');
+        const lastModified = response.headers.get('last-modified');
+        
+        if (!etag && !lastModified) {
+            return;
+        }
+        
+        this.responseCache.delete(endpoint);
+        this.responseCache.set(endpoint, { etag, lastModified, data });
+        
+        if (this.responseCache.size > this.maxCachedResponses) {
+            this.responseCache.delete(this.responseCache.keys().next().value);
+        }
+    }
+    
+    /**
+     * Makes a request to the forge API, retrying transient failures and rate limits
+     */
+    async makeRequest(endpoint) {
+        return await this.scheduler.schedule(() => this.fetchEndpoint(endpoint));
+    }
+    
+    /**
+     * Sends a request that changes something on the forge, such as a new
+     * comment. Rate limits are waited out as for reads, but other failures
+     * are not retried, since the change may already have been made.
+     * @param {string} method - HTTP method
+     * @param {string} endpoint - API endpoint
+     * @param {Object} body - JSON body
+     * @returns {Promise<Object>} - Response body
+     */
+    async sendRequest(method, endpoint, body) {
+        return await this.scheduler.schedule(async () => {
+            const response = await fetch(`${this.baseURL}${endpoint}`, {
+                method,
+                headers: { ...this.headers, 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            
+            this.updateRateLimit(response);
+            
+            if (!response.ok) {
+                const error = await this.createResponseError(response, endpoint);
+                error.retryable = Boolean(error.retryable && error.retryAfterMs !== undefined);
+                throw error;
+            }
+            
+            return await response.json();
+        });
+    }
+    
+    /**
+     * Builds the error for a failed response.
+     * GitHub answers both rate limits and permission problems with 403, so the
+     * rate limit headers and message decide which one it is.
+     */
+    async createResponseError(response, endpoint) {
+        const { status } = response;
+        let error;
+        
+        if (status === 403 || status === 429) {
+            const body = await response.text();
+            const retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+            const reset = parseInt(response.headers.get('x-ratelimit-reset') ?? response.headers.get('ratelimit-reset'), 10);
+            const remaining = response.headers.get('x-ratelimit-remaining') ?? response.headers.get('ratelimit-remaining');
+            
+            if (/secondary rate limit/i.test(body) || retryAfterMs !== null) {
+                error = new Error(`${this.name} API secondary rate limit exceeded`);
+                error.retryable = true;
+                // GitHub asks clients to wait at least a minute when no Retry-After is sent
+                error.retryAfterMs = retryAfterMs !== null ? retryAfterMs : 60000;
+            } else if (remaining === '0' || status === 429) {
+                error = new Error(`${this.name} API rate limit exceeded`);
+                error.retryable = true;
+                error.retryAfterMs = Number.isNaN(reset) ? 60000 : Math.max(0, reset * 1000 - Date.now());
+            } else {
+                error = new Error(`${this.name} API access forbidden: ${endpoint}`);
+            }
+        } else if (status === 404) {
+            error = new Error(`Resource not found: ${endpoint}`);
+        } else if (status === 401) {
+            error = new Error(`${this.name} API authentication failed`);
+        } else {
+            error = new Error(`${this.name} API error: ${status} ${response.statusText}`);
+            error.retryable = status >= 500;
+        }
+        
+        error.status = status;
+        error.forge = this.name;
+        return error;
+    }
+    
+    /**
+     * Wraps socket-level failures in a retryable error
+     */
+    toNetworkError(error) {
+        if (!isTransientNetworkError(error)) {
+            return error;
+        }
+        
+        const networkError = new Error(`Unable to connect to ${this.name} API`);
+        networkError.retryable = true;
+        networkError.forge = this.name;
+        return networkError;
+    }
+    
+    /**
+     * Makes a single conditional request to the forge API.
+     * A 304 Not Modified is answered from the local cache and does not
+     * count against the rate limit.
+     */
+    async fetchEndpoint(endpoint) {
+        const url = `${this.baseURL}${endpoint}`;
+        const cached = this.responseCache.get(endpoint);
+        
+        const headers = { ...this.headers };
+        if (cached && cached.etag) {
+            headers['If-None-Match'] = cached.etag;
+        } else if (cached && cached.lastModified) {
+            headers['If-Modified-Since'] = cached.lastModified;
+        }
+        
+        try {
+            const response = await fetch(url, { headers });
+            
+            this.updateRateLimit(response);
+            
+            if (response.status === 304 && cached) {
+                // Refresh the entry's position so it is evicted last
+                this.responseCache.delete(endpoint);
+                this.responseCache.set(endpoint, cached);
+                return cached.data;
+            }
+            
+            if (!response.ok) {
+                throw await this.createResponseError(response, endpoint);
+            }
+            
+            const data = await response.json();
+            this.cacheResponse(endpoint, response, data);
+            
+            return data;
+        } catch (error) {
+            throw this.toNetworkError(error);
+        }
+    }
+    
+    /**
+     * Downloads a binary response, such as a repository archive
+     * @param {string} endpoint - API endpoint
+     * @param {number} maxBytes - Largest body accepted
+     * @returns {Promise<Buffer>} - Response body
+     */
+    async downloadEndpoint(endpoint, maxBytes) {
+        return await this.scheduler.schedule(async () => {
+            try {
+                // Archives are often served from another host after a redirect
+                const response = await fetch(`${this.baseURL}${endpoint}`, { headers: this.headers, size: maxBytes });
+                
+                this.updateRateLimit(response);
+                
+                if (!response.ok) {
+                    throw await this.createResponseError(response, endpoint);
+                }
+                
+                return await response.buffer();
+            } catch (error) {
+                throw this.toNetworkError(error);
+            }
+        });
+    }
+    
+    /**
+     * Gets API rate limit status from the latest response headers
+     */
+    getRateLimitStatus() {
+        return {
+            forge: this.host,
+            authenticated: this.isAuthenticated(),
+            core: this.rateLimits.core || null,
+            search: this.rateLimits.search || null,
+            graphql: this.rateLimits.graphql || null,
+            cachedResponses: this.responseCache.size
+        };
+    }
+    
+    /**
+     * Checks whether getRepositorySnapshot can fetch everything in one query.
+     * Only GitHub offers it.
+     */
+    canUseGraphQL() {
+        return false;
+    }
+    
+    /**
+     * Builds the key a repository is cached and indexed under. Repositories
+     * on the default host keep the plain owner/repo they always used.
+     * @returns {string} - Lowercase key
+     */
+    repositoryKey(owner, repo) {
+        return (this.host === DEFAULT_HOST ? `${owner}/${repo}` : `${this.host}/${owner}/${repo}`).toLowerCase();
+    }
+    
+    /**
+     * Builds the web URL of a repository
+     */
+    repositoryUrl(owner, repo) {
+        return `${this.webURL}/${owner}/${repo}`;
+    }
+    
+    /**
+     * Builds the web URL of a file. Without a path, it is the prefix file
+     * paths are appended to.
+     * @param {string} repositoryUrl - Web URL of the repository
+     * @param {string} ref - Branch or commit SHA
+     * @param {string} [path] - Repository-relative path
+     * @returns {string} - URL
+     */
+    blobUrl(repositoryUrl, ref, path = '') {
+        const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+        return `${repositoryUrl}/blob/${ref}${path ? `/${encodedPath}` : ''}`;
+    }
+    
+    /**
+     * Builds the web URL of the file browser at a ref
+     */
+    treeUrl(repositoryUrl, ref) {
+        return `${repositoryUrl}/tree/${ref}`;
+    }
+    
+    /**
+     * Reads owner and repository from the path of a repository URL, e.g.
+     * "owner/repo/tree/main"
+     * @param {Array<string>} segments - Path segments after the host
+     * @returns {Object|null} - Object with owner and repo properties, or null if invalid
+     */
+    parsePath(segments) {
+        if (segments.length < 2) {
+            return null;
+        }
+        
+        const [owner, repo] = segments;
+        return isValidName(owner) && isValidName(repo) ? { owner, repo } : null;
+    }
+    
+    /**
+     * Reads the owner from the path of a user or organization URL, e.g. "owner"
+     * @param {Array<string>} segments - Path segments after the host
+     * @returns {Object|null} - Object with the owner property, or null if invalid
+     */
+    parseOwnerPath(segments) {
+        return segments.length === 1 && isValidName(segments[0]) ? { owner: segments[0] } : null;
+    }
+    
+    /**
+     * Fetches file content from repository, or null when it cannot be read
+     */
+    async getFileContent(owner, repo, path) {
+        try {
+            return await this.readFile(owner, repo, path);
+        } catch (error) {
+            console.warn(`Could not fetch ${path} for ${owner}/${repo}:`, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetches the file tree and the key manifests (package.json, go.mod, Dockerfile, CI workflows...)
+     */
+    async getRepositoryStructure(owner, repo, ref) {
+        try {
+            const { tree, truncated } = await this.getRepositoryTree(owner, repo, ref);
+            const paths = selectManifestPaths(tree);
+            
+            const contents = await Promise.all(paths.map(path => this.getFileContent(owner, repo, path)));
+            const manifests = {};
+            paths.forEach((path, index) => {
+                if (contents[index] !== null) {
+                    manifests[path] = contents[index];
+                }
+            });
+            
+            return { tree, truncated, manifests };
+        } catch (error) {
+            console.warn(`Could not fetch repository structure for ${owner}/${repo}:`, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Fetches the first of several candidate files that exists, without
+     * warning about the ones that do not
+     */
+    async findFirstFile(owner, repo, paths) {
+        for (const path of paths) {
+            try {
+                const content = await this.readFile(owner, repo, path);
+                if (content !== null) {
+                    return { path, content };
+                }
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+        }
+        return null;
+    }
+    
+    /**
+     * Fetches the forge's community profile, which locates some community
+     * files and scores their completeness. Only GitHub has one.
+     * @returns {Promise<Object|null>} - Profile in the shape of GitHub's community profile
+     */
+    async getCommunityProfile() {
+        return null;
+    }
+    
+    /**
+     * Fetches the README at its usual paths
+     */
+    async getReadme(owner, repo) {
+        return await this.findFirstFile(owner, repo, fallbackPaths('readme')).catch(() => null);
+    }
+    
+    /**
+     * Fetches the community health files (README, CONTRIBUTING, code of conduct,
+     * security policy, templates, CODEOWNERS, license, governance) wherever
+     * they live. The community profile and the file tree locate them;
+     * without a tree the usual paths are probed instead.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Array|null} tree - Git tree entries, when already fetched
+     * @param {Object|null} [prefetched] - File contents keyed by path, e.g. from getRepositorySnapshot
+     * @returns {Promise<Object>} - { healthPercentage, files: { key: { path, content }|null }, issueTemplates: [{ path, content }] }
+     */
+    async getCommunityFiles(owner, repo, tree = null, prefetched = null) {
+        let profile = null;
+        try {
+            profile = await this.getCommunityProfile(owner, repo);
+        } catch (error) {
+            console.warn(`Could not fetch community profile for ${owner}/${repo}:`, error.message);
+        }
+        
+        const { paths, issueTemplates } = selectCommunityPaths(profile, tree);
+        const isPrefetched = (path) => !!prefetched && Object.hasOwn(prefetched, path);
+        
+        const files = {};
+        await Promise.all(Object.entries(COMMUNITY_FILES).map(async ([key, { skipContent }]) => {
+            const path = paths[key];
+            
+            if (skipContent) {
+                files[key] = path ? { path, content: null } : null;
+            } else if (path && isPrefetched(path)) {
+                files[key] = { path, content: prefetched[path] };
+            } else if (path) {
+                const content = await this.getFileContent(owner, repo, path);
+                files[key] = content !== null ? { path, content } : null;
+            } else if (!tree && fallbackPaths(key).some(isPrefetched)) {
+                const found = fallbackPaths(key).find(isPrefetched);
+                files[key] = { path: found, content: prefetched[found] };
+            } else if (key === 'readme' && !tree) {
+                files[key] = await this.getReadme(owner, repo);
+            } else if (!tree) {
+                files[key] = await this.findFirstFile(owner, repo, fallbackPaths(key)).catch(() => null);
+            } else {
+                files[key] = null;
+            }
+        }));
+        
+        const license = profile && profile.files && profile.files.license;
+        if (license) {
+            files.license = { path: files.license ? files.license.path : null, content: null, name: license.spdx_id || license.name };
+        }
+        
+        const templates = await Promise.all(issueTemplates.map(async path => ({ path, content: await this.getFileContent(owner, repo, path) })));
+        
+        return {
+            healthPercentage: profile ? profile.health_percentage : null,
+            files,
+            issueTemplates: templates.filter(template => template.content !== null)
+        };
+    }
+}
+
+/**
+ * Checks forge naming conventions shared by owners and repositories:
+ * allowed characters, and no leading dot or hyphen
+ * @param {string} name - Owner, group or repository name
+ * @returns {boolean} - True when the name is valid
+ */
+function isValidName(name) {
+    return /^[a-zA-Z0-9._-]+$/.test(name) && !name.startsWith('.') && !name.startsWith('-');
+}
+
+/**
+ * Decodes a base64 file body, as returned by contents APIs
+ * @param {Object} response - Response with content and encoding properties
+ * @returns {string|null} - Text, or null when the response has no base64 content
+ */
+function decodeContent(response) {
+    return response && response.content && response.encoding === 'base64'
+        ? Buffer.from(response.content, 'base64').toString('utf-8')
+        : null;
+}
+
+export { BEGINNER_LABELS, DEFAULT_HOST, isValidName, decodeContent };
+export default ForgeService;
@@ -0,0 +1,277 @@
+import ForgeService, { BEGINNER_LABELS, decodeContent } from './forgeService.js';
+
+// Largest page Gitea returns by default (MAX_RESPONSE_ITEMS)
+const MAX_LIMIT = 50;
+
+// Tree pages fetched before the listing is reported as truncated
+const MAX_TREE_PAGES = 10;
+const TREE_PAGE_SIZE = 1000;
+
+/**
+ * Keeps the GitHub issue fields the analysis reads; Gitea already uses their names
+ */
+function toIssue(issue) {
+    return {
+        number: issue.number,
+        title: issue.title,
+        body: issue.body || '',
+        html_url: issue.html_url,
+        state: issue.state,
+        user: issue.user ? { login: issue.user.login } : null,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        comments: issue.comments || 0,
+        labels: (issue.labels || []).map(({ name }) => ({ name })),
+        assignees: (issue.assignees || []).map(({ login }) => ({ login })),
+        pull_request: issue.pull_request || undefined
+    };
+}
+
+/**
+ * Gitea adapter, for self-hosted Gitea and Forgejo instances such as Codeberg.
+ * Its API mirrors GitHub's closely, so most responses only need renamed fields.
+ */
+class GiteaService extends ForgeService {
+    /**
+     * @param {Object} [options] - Instance settings; codeberg.org by default
+     * @param {string} [options.webURL] - Web root of the instance
+     * @param {string|null} [options.token] - Access token
+     */
+    constructor({ webURL = 'https://codeberg.org', token = null } = {}) {
+        super({
+            kind: 'gitea',
+            name: 'Gitea',
+            host: new URL(webURL).host,
+            baseURL: `${webURL}/api/v1`,
+            webURL,
+            token,
+            settings: { webURL }
+        });
+    }
+    
+    /**
+     * Builds the request headers, with the token as Authorization
+     */
+    buildHeaders(token) {
+        const headers = {
+            'Accept': 'application/json',
+            'User-Agent': 'OpenSourceGuide-AI/1.0'
+        };
+        if (token) {
+            headers.Authorization = `token ${token}`;
+        }
+        return headers;
+    }
+    
+    /**
+     * Builds the web URL of a file; commits and branches have separate "src" pages
+     */
+    blobUrl(repositoryUrl, ref, path = '') {
+        const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+        const kind = /^[0-9a-f]{40}$/i.test(ref) ? 'commit' : 'branch';
+        return `${repositoryUrl}/src/${kind}/${ref}${path ? `/${encodedPath}` : ''}`;
+    }
+    
+    /**
+     * Builds the web URL of the file browser at a ref
+     */
+    treeUrl(repositoryUrl, ref) {
+        return this.blobUrl(repositoryUrl, ref);
+    }
+    
+    /**
+     * Fetches repository metadata, mapped to the GitHub repository fields in use
+     */
+    async getRepositoryMetadata(owner, repo) {
+        const repository = await this.makeRequest(`/repos/${owner}/${repo}`);
+        const [license] = repository.licenses || [];
+        
+        return {
+            name: repository.name,
+            full_name: repository.full_name,
+            owner: { login: repository.owner.login },
+            html_url: repository.html_url,
+            description: repository.description || null,
+            homepage: repository.website || null,
+            fork: repository.fork,
+            archived: repository.archived,
+            private: repository.private,
+            has_issues: repository.has_issues,
+            stargazers_count: repository.stars_count || 0,
+            forks_count: repository.forks_count || 0,
+            // Like GitHub, the open issue count includes pull requests
+            open_issues_count: (repository.open_issues_count || 0) + (repository.open_pr_counter || 0),
+            created_at: repository.created_at,
+            updated_at: repository.updated_at,
+            pushed_at: repository.updated_at,
+            language: repository.language || null,
+            license: license ? { key: license.toLowerCase(), name: license, spdx_id: license } : null,
+            topics: repository.topics || [],
+            // An empty repository has no default branch yet
+            default_branch: repository.empty ? 'HEAD' : repository.default_branch
+        };
+    }
+    
+    /**
+     * Resolves the head commit SHA of a branch
+     */
+    async getBranchHeadSha(owner, repo, branch) {
+        const branchData = await this.makeRequest(`/repos/${owner}/${repo}/branches/${encodeURIComponent(branch)}`);
+        return branchData.commit.id;
+    }
+    
+    /**
+     * Gets beginner-friendly issues, filtered from the recent open ones so
+     * any of the beginner labels matches
+     */
+    async getBeginnerFriendlyIssues(owner, repo) {
+        try {
+            const issues = await this.makeRequest(`/repos/${owner}/${repo}/issues?state=open&type=issues&limit=${MAX_LIMIT}`);
+            return issues
+                .filter(issue => (issue.labels || []).some(label => BEGINNER_LABELS.includes(label.name.toLowerCase())))
+                .slice(0, 20)
+                .map(toIssue);
+        } catch (error) {
+            console.warn(`Could not fetch issues for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Gets the most recent open issues, whatever their labels
+     */
+    async getRecentOpenIssues(owner, repo, count = 30) {
+        try {
+            const issues = await this.makeRequest(`/repos/${owner}/${repo}/issues?state=open&type=issues&limit=${Math.min(count, MAX_LIMIT)}`);
+            return issues.map(toIssue);
+        } catch (error) {
+            console.warn(`Could not fetch recent issues for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Gets open pull requests
+     */
+    async getOpenPullRequests(owner, repo) {
+        try {
+            return await this.makeRequest(`/repos/${owner}/${repo}/pulls?state=open&sort=recentupdate&limit=${MAX_LIMIT}`);
+        } catch (error) {
+            console.warn(`Could not fetch pull requests for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Reads a file at the default branch head, or null when it has no text content.
+     * Throws when the request fails, e.g. with status 404 for a missing file.
+     */
+    async readFile(owner, repo, path) {
+        return decodeContent(await this.makeRequest(`/repos/${owner}/${repo}/contents/${path.split('/').map(encodeURIComponent).join('/')}`));
+    }
+    
+    /**
+     * Fetches the recursive git tree of a commit, branch or tag, one page at a time
+     */
+    async getRepositoryTree(owner, repo, ref) {
+        const tree = [];
+        for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+            const treeData = await this.makeRequest(`/repos/${owner}/${repo}/git/trees/${encodeURIComponent(ref)}?recursive=true&per_page=${TREE_PAGE_SIZE}&page=${page}`);
+            tree.push(...(treeData.tree || []).map(({ path, type, size }) => ({ path, type, size })));
+            
+            if (!treeData.truncated) {
+                return { tree, truncated: false };
+            }
+        }
+        
+        return { tree, truncated: true };
+    }
+    
+    /**
+     * Downloads a gzipped tarball of the repository at a ref
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string} ref - Commit SHA, branch or tag
+     * @param {number} [maxBytes] - Largest archive accepted
+     * @returns {Promise<Buffer>} - .tar.gz archive
+     */
+    async getRepositoryArchive(owner, repo, ref, maxBytes = 50 * 1024 * 1024) {
+        return await this.downloadEndpoint(`/repos/${owner}/${repo}/archive/${encodeURIComponent(ref)}.tar.gz`, maxBytes);
+    }
+    
+    /**
+     * Gets repository statistics, with the contributor, branch and release lists they are counted from.
+     * Gitea has no contributor listing, so the authors of recent commits are counted instead.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     */
+    async getRepositoryStats(owner, repo) {
+        const [commits, branches, releases] = await Promise.allSettled([
+            this.makeRequest(`/repos/${owner}/${repo}/commits?limit=${MAX_LIMIT}&stat=false&files=false`),
+            this.makeRequest(`/repos/${owner}/${repo}/branches?limit=${MAX_LIMIT}`),
+            this.makeRequest(`/repos/${owner}/${repo}/releases?limit=10`)
+        ]);
+        
+        const list = (result) => (result.status === 'fulfilled' && Array.isArray(result.value) ? result.value : []);
+        
+        const contributions = new Map();
+        list(commits).forEach(commit => {
+            const login = (commit.author && commit.author.login) || commit.commit.author.email;
+            contributions.set(login, (contributions.get(login) || 0) + 1);
+        });
+        const contributorList = [...contributions].map(([login, count]) => ({ login, contributions: count }));
+        
+        const branchList = list(branches).map(branch => ({
+            name: branch.name,
+            commit: { sha: branch.commit.id, timestamp: branch.commit.timestamp }
+        }));
+        
+        return {
+            contributorCount: contributorList.length,
+            branchCount: branchList.length,
+            releaseCount: list(releases).length,
+            contributors: contributorList,
+            branches: branchList,
+            releases: list(releases)
+        };
+    }
+    
+    /**
+     * Fetches what the health metrics are computed from, in GitHub shapes
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {Object} [options]
+     * @param {number} [options.days] - Window of recent activity
+     * @param {number} [options.maxBranches] - Branches whose last commit date is reported
+     */
+    async getRepositoryActivity(owner, repo, { days = 90, maxBranches = 10 } = {}) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const optional = (promise) => promise.catch(error => {
+            console.warn(`Could not fetch repository activity for ${owner}/${repo}:`, error.message);
+            return [];
+        });
+        
+        const [stats, issues, pulls, comments, commits] = await Promise.all([
+            this.getRepositoryStats(owner, repo),
+            optional(this.makeRequest(`/repos/${owner}/${repo}/issues?state=all&since=${since}&limit=${MAX_LIMIT}`)),
+            optional(this.makeRequest(`/repos/${owner}/${repo}/pulls?state=closed&sort=recentupdate&limit=${MAX_LIMIT}`)),
+            optional(this.makeRequest(`/repos/${owner}/${repo}/issues/comments?since=${since}&limit=${MAX_LIMIT}`)),
+            optional(this.makeRequest(`/repos/${owner}/${repo}/commits?since=${since}&limit=${MAX_LIMIT}&stat=false&files=false`))
+        ]);
+        
+        return {
+            since,
+            days,
+            stats,
+            issues: issues.map(toIssue),
+            pulls,
+            // Comments on pull requests link them through pull_request_url
+            comments: comments.map(comment => ({ ...comment, issue_url: comment.issue_url || comment.pull_request_url || '' })),
+            commits,
+            // Branch listings carry their head commit date
+            branchDates: stats.branches.slice(0, maxBranches).map(branch => ({ name: branch.name, committedAt: branch.commit.timestamp || null }))
+        };
+    }
+}
+
+export default GiteaService;
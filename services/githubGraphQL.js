@@ -0,0 +1,167 @@
+import { fallbackPaths } from './communityFiles.js';
+
+/**
+ * Builds the GraphQL query that fetches a repository snapshot in one round
+ * trip, and maps its result to the REST API shapes the rest of the code
+ * reads, so callers do not care which API answered.
+ */
+
+// Community files read in the snapshot, probed at their usual paths
+const SNAPSHOT_FILES = ['readme', 'contributing', 'codeOfConduct'];
+
+// Labeled issues and releases fetched, matching the REST requests
+const ISSUE_COUNT = 20;
+const RELEASE_COUNT = 10;
+
+/**
+ * Lists the file paths probed by the snapshot query
+ * @returns {Array<string>} - Repository-relative paths
+ */
+function snapshotPaths() {
+    return [...new Set(SNAPSHOT_FILES.flatMap(key => fallbackPaths(key)))];
+}
+
+/**
+ * Builds the repository snapshot query. File paths are passed as variables
+ * ($file0, $file1, ...) so no repository content ends up in the query text.
+ * @param {Array<string>} paths - File paths to read, see snapshotPaths
+ * @returns {string} - GraphQL query
+ */
+function buildSnapshotQuery(paths) {
+    const fileVariables = paths.map((path, index) => `, $file${index}: String!`).join('');
+    const fileFields = paths.map((path, index) => `
+    file${index}: object(expression: $file${index}) { ... on Blob { text isBinary } }`).join('');
+    
+    return `query RepositorySnapshot($owner: String!, $name: String!, $labels: [String!]${fileVariables}) {
+  repository(owner: $owner, name: $name) {
+    name nameWithOwner url description homepageUrl
+    owner { login }
+    isFork isArchived isPrivate hasIssuesEnabled
+    stargazerCount forkCount
+    createdAt updatedAt pushedAt
+    primaryLanguage { name }
+    licenseInfo { key name spdxId }
+    repositoryTopics(first: 20) { nodes { topic { name } } }
+    openIssues: issues(states: OPEN) { totalCount }
+    openPullRequests: pullRequests(states: OPEN) { totalCount }
+    defaultBranchRef { name target { oid } }
+    languages(first: 20, orderBy: { field: SIZE, direction: DESC }) { edges { size node { name } } }
+    releases(first: ${RELEASE_COUNT}, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes { tagName name url isDraft isPrerelease createdAt publishedAt }
+    }
+    beginnerIssues: issues(first: ${ISSUE_COUNT}, states: OPEN, labels: $labels, orderBy: { field: CREATED_AT, direction: DESC }) {
+      nodes {
+        number title url body createdAt updatedAt
+        comments { totalCount }
+        labels(first: 20) { nodes { name } }
+        assignees(first: 5) { nodes { login } }
+      }
+    }${fileFields}
+  }
+}`;
+}
+
+/**
+ * Builds the query variables, with one expression per file path at HEAD
+ * @returns {Object} - Variables of buildSnapshotQuery
+ */
+function buildSnapshotVariables(owner, repo, labels, paths) {
+    const variables = { owner, name: repo, labels };
+    paths.forEach((path, index) => {
+        variables[`file${index}`] = `HEAD:${path}`;
+    });
+    return variables;
+}
+
+/**
+ * Maps the repository node to the fields of GET /repos/{owner}/{repo} in use
+ */
+function toRestRepository(node) {
+    const license = node.licenseInfo;
+    
+    return {
+        name: node.name,
+        full_name: node.nameWithOwner,
+        owner: { login: node.owner.login },
+        html_url: node.url,
+        description: node.description,
+        homepage: node.homepageUrl,
+        fork: node.isFork,
+        archived: node.isArchived,
+        private: node.isPrivate,
+        has_issues: node.hasIssuesEnabled,
+        stargazers_count: node.stargazerCount,
+        forks_count: node.forkCount,
+        // Like REST, the open issue count includes pull requests
+        open_issues_count: node.openIssues.totalCount + node.openPullRequests.totalCount,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        pushed_at: node.pushedAt,
+        language: node.primaryLanguage ? node.primaryLanguage.name : null,
+        license: license ? { key: license.key, name: license.name, spdx_id: license.spdxId } : null,
+        topics: node.repositoryTopics.nodes.map(({ topic }) => topic.name),
+        // An empty repository has no default branch yet
+        default_branch: node.defaultBranchRef ? node.defaultBranchRef.name : 'HEAD'
+    };
+}
+
+/**
+ * Maps an issue node to the REST issue fields used by issue ranking
+ */
+function toRestIssue(node) {
+    return {
+        number: node.number,
+        title: node.title,
+        html_url: node.url,
+        body: node.body,
+        created_at: node.createdAt,
+        updated_at: node.updatedAt,
+        comments: node.comments.totalCount,
+        labels: node.labels.nodes.map(({ name }) => ({ name })),
+        assignees: node.assignees.nodes.map(({ login }) => ({ login }))
+    };
+}
+
+/**
+ * Maps a release node to the REST release fields used by the health metrics
+ */
+function toRestRelease(node) {
+    return {
+        tag_name: node.tagName,
+        name: node.name,
+        html_url: node.url,
+        draft: node.isDraft,
+        prerelease: node.isPrerelease,
+        created_at: node.createdAt,
+        published_at: node.publishedAt
+    };
+}
+
+/**
+ * Maps a snapshot query result to REST shapes
+ * @param {Object} node - data.repository of the query result
+ * @param {Array<string>} paths - File paths the query probed
+ * @returns {Object} - { repository, commitSha, files: { path: content }, issues, languages: { name: bytes }, releases }
+ */
+function parseSnapshot(node, paths) {
+    const files = {};
+    paths.forEach((path, index) => {
+        const blob = node[`file${index}`];
+        if (blob && !blob.isBinary && typeof blob.text === 'string') {
+            files[path] = blob.text;
+        }
+    });
+    
+    const target = node.defaultBranchRef && node.defaultBranchRef.target;
+    
+    return {
+        repository: toRestRepository(node),
+        commitSha: target ? target.oid : null,
+        files,
+        issues: node.beginnerIssues.nodes.map(toRestIssue),
+        languages: Object.fromEntries(node.languages.edges.map(({ size, node: language }) => [language.name, size])),
+        releases: node.releases.nodes.map(toRestRelease)
+    };
+}
+
+export { snapshotPaths, buildSnapshotQuery, buildSnapshotVariables, parseSnapshot };
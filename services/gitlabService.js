@@ -0,0 +1,336 @@
+import ForgeService, { BEGINNER_LABELS, isValidName, decodeContent } from './forgeService.js';
+
+// Largest page the list endpoints return
+const MAX_PER_PAGE = 100;
+
+// Tree pages fetched before the listing is reported as truncated
+const MAX_TREE_PAGES = 50;
+
+// Recent issues whose notes are read to measure response times
+const MAX_NOTED_ISSUES = 20;
+
+/**
+ * Maps a GitLab issue to the GitHub issue fields the analysis reads
+ */
+function toIssue(issue) {
+    return {
+        number: issue.iid,
+        title: issue.title,
+        body: issue.description || '',
+        html_url: issue.web_url,
+        state: issue.state === 'opened' ? 'open' : 'closed',
+        user: issue.author ? { login: issue.author.username } : null,
+        created_at: issue.created_at,
+        updated_at: issue.updated_at,
+        comments: issue.user_notes_count || 0,
+        labels: (issue.labels || []).map(name => ({ name })),
+        assignees: (issue.assignees || []).map(assignee => ({ login: assignee.username }))
+    };
+}
+
+/**
+ * Maps a GitLab merge request to the GitHub pull request fields the analysis reads
+ */
+function toPullRequest(mergeRequest) {
+    return {
+        number: mergeRequest.iid,
+        title: mergeRequest.title,
+        body: mergeRequest.description || '',
+        html_url: mergeRequest.web_url,
+        state: mergeRequest.state === 'opened' ? 'open' : 'closed',
+        user: mergeRequest.author ? { login: mergeRequest.author.username } : null,
+        created_at: mergeRequest.created_at,
+        updated_at: mergeRequest.updated_at,
+        merged_at: mergeRequest.merged_at || null
+    };
+}
+
+/**
+ * GitLab adapter, for gitlab.com and self-managed instances. Projects live
+ * in nested groups, so the owner can be a path such as "group/subgroup".
+ */
+class GitLabService extends ForgeService {
+    /**
+     * @param {Object} [options] - Instance settings; gitlab.com by default
+     * @param {string} [options.webURL] - Web root of the instance
+     * @param {string|null} [options.token] - Personal access token
+     */
+    constructor({ webURL = 'https://gitlab.com', token = null } = {}) {
+        super({
+            kind: 'gitlab',
+            name: 'GitLab',
+            host: new URL(webURL).host,
+            baseURL: `${webURL}/api/v4`,
+            webURL,
+            token,
+            settings: { webURL }
+        });
+    }
+    
+    /**
+     * Builds the request headers, with the token as PRIVATE-TOKEN
+     */
+    buildHeaders(token) {
+        const headers = { 'User-Agent': 'OpenSourceGuide-AI/1.0' };
+        if (token) {
+            headers['PRIVATE-TOKEN'] = token;
+        }
+        return headers;
+    }
+    
+    /**
+     * Builds the API path of a project, addressed by its URL-encoded full path
+     */
+    projectPath(owner, repo) {
+        return `/projects/${encodeURIComponent(`${owner}/${repo}`)}`;
+    }
+    
+    /**
+     * Reads the project path from a URL path, e.g. "group/subgroup/project/-/tree/main".
+     * Project pages put their sections after a "-" segment.
+     */
+    parsePath(segments) {
+        const end = segments.indexOf('-');
+        const path = end === -1 ? segments : segments.slice(0, end);
+        if (path.length < 2 || !path.every(isValidName)) {
+            return null;
+        }
+        
+        return { owner: path.slice(0, -1).join('/'), repo: path[path.length - 1] };
+    }
+    
+    /**
+     * Builds the web URL of a file, under the project's "-/blob" pages
+     */
+    blobUrl(repositoryUrl, ref, path = '') {
+        const encodedPath = path.split('/').map(encodeURIComponent).join('/');
+        return `${repositoryUrl}/-/blob/${ref}${path ? `/${encodedPath}` : ''}`;
+    }
+    
+    /**
+     * Builds the web URL of the file browser at a ref
+     */
+    treeUrl(repositoryUrl, ref) {
+        return `${repositoryUrl}/-/tree/${ref}`;
+    }
+    
+    /**
+     * Fetches project metadata, mapped to the GitHub repository fields in use
+     */
+    async getRepositoryMetadata(owner, repo) {
+        const [project, languages] = await Promise.all([
+            this.makeRequest(`${this.projectPath(owner, repo)}?license=true`),
+            this.makeRequest(`${this.projectPath(owner, repo)}/languages`).catch(() => ({}))
+        ]);
+        
+        // Languages come as percentages, largest first
+        const [language] = Object.keys(languages);
+        
+        return {
+            name: project.path,
+            full_name: project.path_with_namespace,
+            owner: { login: project.namespace ? project.namespace.full_path : owner },
+            html_url: project.web_url,
+            description: project.description || null,
+            homepage: null,
+            fork: !!project.forked_from_project,
+            archived: !!project.archived,
+            private: project.visibility !== 'public',
+            has_issues: project.issues_enabled !== false,
+            stargazers_count: project.star_count || 0,
+            forks_count: project.forks_count || 0,
+            open_issues_count: project.open_issues_count || 0,
+            created_at: project.created_at,
+            updated_at: project.last_activity_at,
+            pushed_at: project.last_activity_at,
+            language: language || null,
+            license: project.license ? { key: project.license.key, name: project.license.name, spdx_id: null } : null,
+            topics: project.topics || project.tag_list || [],
+            // An empty project has no default branch yet
+            default_branch: project.default_branch || 'HEAD'
+        };
+    }
+    
+    /**
+     * Resolves the head commit SHA of a branch
+     */
+    async getBranchHeadSha(owner, repo, branch) {
+        const branchData = await this.makeRequest(`${this.projectPath(owner, repo)}/repository/branches/${encodeURIComponent(branch)}`);
+        return branchData.commit.id;
+    }
+    
+    /**
+     * Gets beginner-friendly issues. The issues API matches only issues
+     * carrying every label asked for, so recent open issues are filtered here.
+     */
+    async getBeginnerFriendlyIssues(owner, repo) {
+        try {
+            const issues = await this.makeRequest(`${this.projectPath(owner, repo)}/issues?state=opened&order_by=created_at&sort=desc&per_page=${MAX_PER_PAGE}`);
+            return issues
+                .filter(issue => (issue.labels || []).some(label => BEGINNER_LABELS.includes(label.toLowerCase())))
+                .slice(0, 20)
+                .map(toIssue);
+        } catch (error) {
+            console.warn(`Could not fetch issues for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Gets the most recently updated open issues, whatever their labels
+     */
+    async getRecentOpenIssues(owner, repo, count = 30) {
+        try {
+            const issues = await this.makeRequest(`${this.projectPath(owner, repo)}/issues?state=opened&order_by=updated_at&sort=desc&per_page=${count}`);
+            return issues.map(toIssue);
+        } catch (error) {
+            console.warn(`Could not fetch recent issues for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Gets open merge requests, mapped to pull requests
+     */
+    async getOpenPullRequests(owner, repo) {
+        try {
+            const mergeRequests = await this.makeRequest(`${this.projectPath(owner, repo)}/merge_requests?state=opened&order_by=updated_at&sort=desc&per_page=${MAX_PER_PAGE}`);
+            return mergeRequests.map(toPullRequest);
+        } catch (error) {
+            console.warn(`Could not fetch merge requests for ${owner}/${repo}:`, error.message);
+            return [];
+        }
+    }
+    
+    /**
+     * Reads a file at the default branch head, or null when it has no text content.
+     * Throws when the request fails, e.g. with status 404 for a missing file.
+     */
+    async readFile(owner, repo, path) {
+        return decodeContent(await this.makeRequest(`${this.projectPath(owner, repo)}/repository/files/${encodeURIComponent(path)}?ref=HEAD`));
+    }
+    
+    /**
+     * Fetches the recursive file tree of a commit, branch or tag, one page at a time
+     */
+    async getRepositoryTree(owner, repo, ref) {
+        const tree = [];
+        for (let page = 1; page <= MAX_TREE_PAGES; page++) {
+            const entries = await this.makeRequest(`${this.projectPath(owner, repo)}/repository/tree?recursive=true&ref=${encodeURIComponent(ref)}&per_page=${MAX_PER_PAGE}&page=${page}`);
+            tree.push(...entries.map(({ path, type }) => ({ path, type })));
+            
+            if (entries.length < MAX_PER_PAGE) {
+                return { tree, truncated: false };
+            }
+        }
+        
+        return { tree, truncated: true };
+    }
+    
+    /**
+     * Downloads a gzipped tarball of the project at a ref
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project path
+     * @param {string} ref - Commit SHA, branch or tag
+     * @param {number} [maxBytes] - Largest archive accepted
+     * @returns {Promise<Buffer>} - .tar.gz archive
+     */
+    async getRepositoryArchive(owner, repo, ref, maxBytes = 50 * 1024 * 1024) {
+        return await this.downloadEndpoint(`${this.projectPath(owner, repo)}/repository/archive.tar.gz?sha=${encodeURIComponent(ref)}`, maxBytes);
+    }
+    
+    /**
+     * Gets repository statistics, with the contributor, branch and release lists they are counted from
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project path
+     */
+    async getRepositoryStats(owner, repo) {
+        const project = this.projectPath(owner, repo);
+        const [contributors, branches, releases] = await Promise.allSettled([
+            this.makeRequest(`${project}/repository/contributors?per_page=${MAX_PER_PAGE}`),
+            this.makeRequest(`${project}/repository/branches?per_page=${MAX_PER_PAGE}`),
+            this.makeRequest(`${project}/releases?per_page=10`)
+        ]);
+        
+        const list = (result) => (result.status === 'fulfilled' && Array.isArray(result.value) ? result.value : []);
+        
+        // Contributors are identified by commit author name, not account
+        const contributorList = list(contributors).map(contributor => ({ login: contributor.name, contributions: contributor.commits }));
+        const branchList = list(branches).map(branch => ({
+            name: branch.name,
+            commit: { sha: branch.commit.id, committed_date: branch.commit.committed_date }
+        }));
+        const releaseList = list(releases).map(release => ({
+            tag_name: release.tag_name,
+            name: release.name,
+            html_url: release._links ? release._links.self : null,
+            created_at: release.created_at,
+            published_at: release.released_at
+        }));
+        
+        return {
+            contributorCount: contributorList.length,
+            branchCount: branchList.length,
+            releaseCount: releaseList.length,
+            contributors: contributorList,
+            branches: branchList,
+            releases: releaseList
+        };
+    }
+    
+    /**
+     * Fetches what the health metrics are computed from, in GitHub shapes.
+     * GitLab has no project-wide comment listing, so the notes of the most
+     * recently updated issues stand in for it.
+     * @param {string} owner - Project namespace
+     * @param {string} repo - Project path
+     * @param {Object} [options]
+     * @param {number} [options.days] - Window of recent activity
+     * @param {number} [options.maxBranches] - Branches whose last commit date is reported
+     */
+    async getRepositoryActivity(owner, repo, { days = 90, maxBranches = 10 } = {}) {
+        const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+        const project = this.projectPath(owner, repo);
+        const optional = (promise) => promise.catch(error => {
+            console.warn(`Could not fetch repository activity for ${owner}/${repo}:`, error.message);
+            return [];
+        });
+        
+        const [stats, issues, mergeRequests, commits] = await Promise.all([
+            this.getRepositoryStats(owner, repo),
+            optional(this.makeRequest(`${project}/issues?updated_after=${since}&order_by=updated_at&sort=desc&per_page=${MAX_PER_PAGE}`)),
+            optional(this.makeRequest(`${project}/merge_requests?order_by=updated_at&sort=desc&per_page=${MAX_PER_PAGE}`)),
+            optional(this.makeRequest(`${project}/repository/commits?since=${since}&per_page=${MAX_PER_PAGE}`))
+        ]);
+        
+        const notes = await Promise.all(issues.slice(0, MAX_NOTED_ISSUES).map(issue => optional(
+            this.makeRequest(`${project}/issues/${issue.iid}/notes?sort=asc&per_page=20`)
+                .then(list => list.filter(note => !note.system).map(note => ({
+                    issue_url: issue.web_url,
+                    user: note.author ? { login: note.author.username } : null,
+                    created_at: note.created_at
+                })))
+        )));
+        
+        return {
+            since,
+            days,
+            stats,
+            issues: issues.map(toIssue),
+            pulls: mergeRequests.filter(mergeRequest => ['merged', 'closed'].includes(mergeRequest.state)).slice(0, 50).map(toPullRequest),
+            comments: notes.flat(),
+            commits: commits.map(commit => ({
+                sha: commit.id,
+                author: null,
+                commit: {
+                    author: { email: commit.author_email, date: commit.authored_date },
+                    committer: { date: commit.committed_date }
+                }
+            })),
+            // Branch listings carry their head commit date
+            branchDates: stats.branches.slice(0, maxBranches).map(branch => ({ name: branch.name, committedAt: branch.commit.committed_date || null }))
+        };
+    }
+}
+
+export default GitLabService;
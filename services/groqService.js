@@ -1,24 +1,43 @@
-import fetch from 'node-fetch';
-console.log('Groq API Key from env:', process.env.GROQ_API_KEY ? 'Exists' : 'Missing');
-console.log('Current environment:', process.env.NODE_ENV);
+import { createProvider } from './providers/index.js';
+import RequestScheduler from './requestScheduler.js';
+import { validateAnalysis, createFallbackAnalysis, extractJson, describeSchema } from './analysisSchemas.js';
+import { COMMUNITY_FILES } from './communityFiles.js';
+import { estimateTokens, fitToBudget, chunkDocument, outlineDocument } from './documentProcessor.js';
+import retrievalService from './retrievalService.js';
+import { describeProfile } from './contributorProfile.js';
+
+// Map-reduce summarization of documents too long for a prompt's budget
+const SUMMARY = {
+    chunkTokens: 1500,
+    maxChunks: 4,
+    chunkSummaryTokens: 300,
+    targetTokens: 900
+};
+
+// What each card retrieves from the repository's indexed files
+const RETRIEVAL_QUERIES = {
+    whereToStart: 'getting started setup install development build run test example beginner',
+    whatNeedsImproving: 'TODO FIXME XXX HACK deprecated workaround known issues limitations not implemented',
+    contributionRules: 'contributing pull request review test lint style format commit message branch sign-off',
+    projectOverview: 'overview features usage example purpose introduction',
+    architecture: 'main entry server app router handler module config initialize'
+};
+
+// How each kind of document excerpt is introduced in a prompt
+const EXCERPT_LABELS = {
+    full: 'content',
+    excerpt: 'most relevant sections',
+    summary: 'summary'
+};
 class GroqService {
     constructor() {
-        this.baseURL = 'https://api.groq.com/openai/v1';
-        this.model = 'llama3-70b-8192';
-        // Hardcoded API key 
-        this.apiKey = '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';
+        // Created on first use so settings loaded by dotenv after import are seen
+        this.provider = null;
         
-        if (!process.env.GROQ_API_KEY) {
-            console.warn('GROQ_API_KEY not found in environment variables');
-        }
-        
-        this.headers = {
-            'Content-Type': 'application/json',
-            'Accept': 'application/json',
-            'Authorization': `Bearer ${this.apiKey}`
-        };
+        // Bump whenever a prompt changes so cached analyses are regenerated
+        this.promptVersion = 10;
         
-        // Rate limit tracking for Groq free tier
+        // Rate limit tracking, limits are replaced by the provider's own
         this.rateLimit = {
             requestsPerMinute: 30,
             tokensPerMinute: 6000,
@@ -27,94 +46,78 @@ class GroqService {
             windowStart: Date.now()
         };
         
-        console.log(`Using Groq API with model: ${this.model}`);
+        // Queues requests against the budget above and retries transient failures
+        this.scheduler = new RequestScheduler({ name: 'LLM API', budget: this.rateLimit });
+        
+        // Pending document summaries per analysis context, shared by its prompts
+        this.documentSummaries = new WeakMap();
     }
     
     /**
-     * Checks and updates rate limit tracking
+     * Returns the configured LLM provider, creating it on first use
+     * @returns {Object} - Provider instance
      */
-    checkRateLimit() {
-        const now = Date.now();
-        const windowDuration = 60000; // 1 minute
-        
-        // Reset counters if window has passed
-        if (now - this.rateLimit.windowStart > windowDuration) {
-            this.rateLimit.requestCount = 0;
-            this.rateLimit.tokenCount = 0;
-            this.rateLimit.windowStart = now;
+    getProvider() {
+        if (!this.provider) {
+            const { provider, rateLimit } = createProvider();
+            this.provider = provider;
+            Object.assign(this.rateLimit, rateLimit);
+            console.log(`Using ${provider.name} with model: ${provider.model}`);
         }
         
-        // Warn if approaching limits
-        if (this.rateLimit.requestCount >= 25) {
-            console.warn(`Groq rate limit warning: ${this.rateLimit.requestCount}/30 requests used this minute`);
-        }
+        return this.provider;
     }
     
     /**
-     * Makes a request to Groq API
+     * Sends a prompt to the configured LLM provider
      * @param {string} prompt - The prompt to send
      * @param {number} maxTokens - Maximum tokens in response
+     * @param {Function} [onToken] - Called with each content delta; enables streaming when provided
+     * @param {boolean} [json] - Ask the provider for a JSON object response
      * @returns {Promise<string>} - AI response
      */
-    async makeRequest(prompt, maxTokens = 500) {
-        if (!process.env.GROQ_API_KEY) {
-            throw new Error('Groq API key is not configured. Please set GROQ_API_KEY environment variable.');
-        }
+    async makeRequest(prompt, maxTokens = 500, onToken = null, json = false) {
+        const provider = this.getProvider();
         
-        this.checkRateLimit();
+        // A stream that already emitted tokens cannot be retried without duplicating output
+        let streamed = false;
+        const forwardToken = typeof onToken === 'function'
+            ? (text) => {
+                streamed = true;
+                onToken(text);
+            }
+            : null;
         
-        const payload = {
-            model: this.model,
-            messages: [
-                {
-                    role: 'user',
-                    content: prompt
-                }
-            ],
-            max_tokens: maxTokens,
-            temperature: 0.7,
-            top_p: 0.9,
-            stream: false
-        };
+        // Prompt estimate plus the completion budget
+        const estimatedTokens = estimateTokens(prompt) + maxTokens;
         
-        try {
-            const response = await fetch(`${this.baseURL}/chat/completions`, {
-                method: 'POST',
-                headers: this.headers,
-                body: JSON.stringify(payload)
-            });
-            
-            if (!response.ok) {
-                const errorData = await response.text();
-                
-                if (response.status === 429) {
-                    throw new Error('Groq API rate limit exceeded. Please wait a moment and try again.');
-                } else if (response.status === 401) {
-                    throw new Error('Groq API authentication failed. Please check your API key.');
-                } else {
-                    throw new Error(`Groq API error: ${response.status} ${response.statusText} - ${errorData}`);
+        const { content } = await this.scheduler.schedule(async () => {
+            try {
+                return await provider.complete(prompt, { maxTokens, onToken: forwardToken, json });
+            } catch (error) {
+                if (streamed) {
+                    error.retryable = false;
                 }
+                throw error;
             }
-            
-            const data = await response.json();
-            
-            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
-                throw new Error('Unexpected response format from Groq API');
-            }
-            
-            // Update rate limit tracking
-            this.rateLimit.requestCount++;
-            if (data.usage) {
-                this.rateLimit.tokenCount += (data.usage.prompt_tokens || 0) + (data.usage.completion_tokens || 0);
-            }
-            
-            return data.choices[0].message.content.trim();
-            
+        }, {
+            tokens: estimatedTokens,
+            // Replaces the estimate in the rate limit tracking
+            usage: (result) => result.usage ? (result.usage.prompt_tokens || 0) + (result.usage.completion_tokens || 0) : null
+        });
+        
+        return content;
+    }
+    
+    /**
+     * Describes the configured provider for status output
+     * @returns {Object} - Provider name, model and whether it is usable
+     */
+    getProviderStatus() {
+        try {
+            return { ...this.getProvider().describe(), active: true };
         } catch (error) {
-            if (error.code === 'ENOTFOUND' || error.code === 'ECONNREFUSED') {
-                throw new Error('Unable to connect to Groq API. Check your internet connection.');
-            }
-            throw error;
+            return { provider: null, model: null, active: false, error: error.message };
         }
     }
     
@@ -133,17 +136,192 @@ class GroqService {
             requestsLimit: this.rateLimit.requestsPerMinute,
             tokensUsed: this.rateLimit.tokenCount,
             tokensLimit: this.rateLimit.tokensPerMinute,
+            queued: this.scheduler.queue.length,
             windowResetIn: Math.ceil(timeUntilReset / 1000) // seconds
         };
     }
 
     /**
-     * Analyzes where beginners can start contributing
+     * Parses and validates model output for a card
+     * @param {string} card - Analysis key
+     * @param {string} raw - Model output
+     * @returns {Object} - Validation result, see validateAnalysis
+     */
+    parseAnalysis(card, raw) {
+        try {
+            return validateAnalysis(card, extractJson(raw));
+        } catch (error) {
+            return { data: null, errors: [`output is not valid JSON (${error.message})`], valid: false };
+        }
+    }
+    
+    /**
+     * Requests a card as JSON, asking the model once to repair unusable output
+     * @param {string} card - Analysis key, selects the schema
+     * @param {string} prompt - Task description without output format instructions
+     * @param {number} maxTokens - Maximum tokens in response
+     * @param {Function} [onToken] - Receives streamed tokens of the first attempt
+     * @param {Object} [options]
+     * @param {boolean} [options.keepProse] - Fall back to the raw output as the first text field; otherwise every field is left empty
+     * @returns {Promise<Object>} - Card data matching the schema
+     */
+    async requestAnalysis(card, prompt, maxTokens, onToken = null, { keepProse = true } = {}) {
+        const schema = describeSchema(card);
+        const raw = await this.makeRequest(`${prompt}
+
+Respond with only a JSON object in exactly this shape. Use plain text in every string: no HTML, no Markdown.
+${schema}`, maxTokens, onToken, true);
+        
+        const result = this.parseAnalysis(card, raw);
+        if (result.errors.length > 0) {
+            console.warn(`Model output for ${card} needed repair:`, result.errors.join('; '));
+        }
+        if (result.valid) {
+            return result.data;
+        }
+        
+        try {
+            const repaired = this.parseAnalysis(card, await this.makeRequest(`The following output was supposed to be a JSON object in this shape:
+${schema}
+
+Problems: ${result.errors.join('; ')}
+
+Output:
+${raw.substring(0, 3000)}
+
+Return only the corrected JSON object.`, maxTokens, null, true));
+            
+            if (repaired.valid) {
+                return repaired.data;
+            }
+        } catch (error) {
+            console.warn(`Could not repair model output for ${card}:`, error.message);
+        }
+        
+        // Keep the model's prose as the summary rather than losing it, unless
+        // the caller shows the field as is and would show broken JSON
+        return createFallbackAnalysis(card, keepProse ? raw.replace(/<[^>]*>/g, ' ').replace(/\s+/g, ' ') : '');
+    }
+    
+    /**
+     * Condenses a document too long for any prompt: each chunk is summarized
+     * on its own (map) and the summaries are merged into one (reduce)
+     * @param {string} path - Document path, for the prompts
+     * @param {string} text - Document content
+     * @param {string} focus - Key of FOCUS_HEADINGS, decides what to keep
+     * @returns {Promise<string>} - Markdown summary
+     */
+    async summarizeDocument(path, text, focus) {
+        // Very long documents are first cut down to their most relevant sections
+        const source = fitToBudget(text, { budget: SUMMARY.chunkTokens * SUMMARY.maxChunks, focus }).text;
+        const chunks = chunkDocument(source, SUMMARY.chunkTokens);
+        
+        const summaries = await Promise.all(chunks.map((chunk, index) => this.makeRequest(`Summarize part ${index + 1} of ${chunks.length} of ${path} for someone about to contribute to the project.
+Keep the Markdown headings. Keep setup, build, test and pull request instructions, and copy commands exactly.
+Leave out badges, links lists and marketing text. Answer with the summary only.
+
+${chunk}`, SUMMARY.chunkSummaryTokens)));
+        
+        const merged = summaries.map(summary => summary.trim()).join('\n\n');
+        if (estimateTokens(merged) <= SUMMARY.targetTokens) {
+            return merged;
+        }
+        
+        return await this.makeRequest(`Merge these partial summaries of ${path} into one summary of at most ${Math.floor(SUMMARY.targetTokens * 0.75)} words.
+Keep the Markdown headings and copy commands exactly. Answer with the summary only.
+
+${merged}`, SUMMARY.targetTokens);
+    }
+    
+    /**
+     * Prepares a community file for a prompt within a token budget: whole when
+     * it fits, otherwise its most relevant sections, or a map-reduce summary
+     * when relevant sections would have to be cut
      * @param {Object} context - Repository context data
-     * @returns {Promise<string>} - Analysis result
+     * @param {string} key - Community file key, e.g. readme or contributing
+     * @param {Object} options
+     * @param {number} options.budget - Token budget for the excerpt
+     * @param {string} options.focus - Key of FOCUS_HEADINGS used to rank sections
+     * @param {boolean} [options.summarize] - Allow a summary when sections would be cut
+     * @returns {Promise<Object|null>} - { path, text, kind } where kind is full, excerpt or summary
      */
-    async analyzeWhereToStart(context) {
-        const { repo, issues } = context;
+    async prepareDocument(context, key, { budget, focus, summarize = true }) {
+        const file = context.community.files[key];
+        if (!file || !file.content) {
+            return null;
+        }
+        
+        const excerpt = fitToBudget(file.content, { budget, focus });
+        if (!excerpt.truncated) {
+            return { path: file.path, text: excerpt.text, kind: 'full' };
+        }
+        if (excerpt.complete || !summarize) {
+            return { path: file.path, text: excerpt.text, kind: 'excerpt' };
+        }
+        
+        if (!this.documentSummaries.has(context)) {
+            this.documentSummaries.set(context, new Map());
+        }
+        const summaries = this.documentSummaries.get(context);
+        const summaryKey = `${key}:${focus}`;
+        
+        if (!summaries.has(summaryKey)) {
+            summaries.set(summaryKey, this.summarizeDocument(file.path, file.content, focus).catch(error => {
+                console.warn(`Could not summarize ${file.path}:`, error.message);
+                return null;
+            }));
+        }
+        
+        const summary = await summaries.get(summaryKey);
+        if (!summary) {
+            return { path: file.path, text: excerpt.text, kind: 'excerpt' };
+        }
+        
+        return { path: file.path, text: fitToBudget(summary, { budget, focus }).text, kind: 'summary' };
+    }
+    
+    /**
+     * Retrieves the indexed chunks most relevant to a card, formatted with
+     * their file and line range so the model can refer to them
+     * @param {Object} context - Repository context data
+     * @param {string} card - Analysis key, selects the query
+     * @param {number} budget - Token budget for all excerpts
+     * @param {Array<string>} [exclude] - Paths already quoted in the prompt
+     * @returns {string} - Prompt section, empty when nothing was found
+     */
+    retrieveExcerpts(context, card, budget, exclude = []) {
+        const skipped = new Set(exclude.filter(Boolean));
+        const results = retrievalService.search(context.retrieval, RETRIEVAL_QUERIES[card], {
+            limit: 8,
+            filter: chunk => !skipped.has(chunk.path)
+        });
+        
+        const excerpts = [];
+        let used = 0;
+        for (const result of results) {
+            const excerpt = `[${result.path}:${result.start}-${result.end}]\n${fitToBudget(result.text, { budget: 200 }).text}`;
+            used += estimateTokens(excerpt);
+            if (used > budget) {
+                break;
+            }
+            excerpts.push(excerpt);
+        }
+        
+        return excerpts.length > 0
+            ? `Relevant excerpts from the repository (file:lines):\n${excerpts.join('\n\n')}\n\n`
+            : '';
+    }
+    
+    /**
+     * Analyzes where beginners can start contributing. With a contributor
+     * profile in the context the advice is tailored to it and a first-week
+     * plan is added.
+     * @param {Object} context - Repository context data
+     * @param {Function} [onToken] - Receives streamed tokens as they arrive
+     * @returns {Promise<Object>} - Card data, see ANALYSIS_SCHEMAS
+     */
+    async analyzeWhereToStart(context, onToken = null) {
+        const { repo, issues, rankedIssues = [], profile = null, suggestedDirectories = [], tree = [] } = context;
         
         let prompt = `You are analyzing the GitHub repository "${repo.full_name}" to help beginners find good starting points for contribution.
 
@@ -154,37 +332,86 @@ Open Issues: ${repo.open_issues_count}
 
 `;
         
-        if (issues.length > 0) {
-            prompt += `Beginner-friendly issues found (${issues.length}):\n`;
-            issues.slice(0, 5).forEach((issue, index) => {
-                prompt += `${index + 1}. "${issue.title}" - ${issue.html_url}\n`;
-                if (issue.labels && issue.labels.length > 0) {
-                    prompt += `   Labels: ${issue.labels.map(l => l.name).join(', ')}\n`;
+        if (rankedIssues.length > 0) {
+            prompt += `Open issues ranked by beginner suitability (${issues.length} carry beginner-friendly labels):\n`;
+            rankedIssues.slice(0, 8).forEach((issue, index) => {
+                prompt += `${index + 1}. "${issue.title}" - ${issue.url} (score ${issue.score})\n`;
+                if (issue.labels.length > 0) {
+                    prompt += `   Labels: ${issue.labels.join(', ')}\n`;
+                }
+                if (issue.reasons.length > 0) {
+                    prompt += `   Why: ${issue.reasons.join('; ')}\n`;
                 }
             });
-            prompt += '\n';
+            prompt += '\nDo not recommend issues that are already assigned or have an open pull request.\n\n';
         } else {
-            prompt += 'No beginner-friendly issues found with typical labels (good first issue, help wanted, etc.)\n\n';
+            prompt += 'No open issues found, with or without beginner-friendly labels (good first issue, help wanted, etc.)\n\n';
+        }
+        
+        if (profile) {
+            prompt += `The advice is for one contributor with this profile:\n${describeProfile(profile)}\n\n`;
+            if (suggestedDirectories.length > 0) {
+                prompt += 'Directories that fit their languages and interests:\n';
+                suggestedDirectories.forEach(directory => {
+                    prompt += `- ${directory.path}/ (${directory.reasons.join(', ')})\n`;
+                });
+                prompt += '\n';
+            }
         }
         
+        prompt += this.retrieveExcerpts(context, 'whereToStart', 500);
+        
         prompt += `Please provide specific, actionable advice for beginners wanting to contribute to this repository. Include:
 1. Concrete next steps they should take
 2. What skills or knowledge would be helpful
 3. How to get started even without labeled issues
 4. Any patterns you notice from the repository structure
 
-Keep the response practical and encouraging. Format as HTML with appropriate tags for better presentation.`;
+Keep the response practical and encouraging. Put next steps in "steps", helpful skills in "skills",
+specific issues from the list above in "issues" with their exact URLs, and other advice in "tips".`;
+        
+        if (profile) {
+            const hours = profile.hoursPerWeek ? ` that fits in ${profile.hoursPerWeek} hours in total` : '';
+            prompt += `
+
+Tailor all of it to the contributor above: prefer issues and directories that match their languages and interests,
+and pitch the steps at their experience level. Also write a step-by-step first-week plan in "plan"${hours}:
+one entry per working session, with "day" such as "Day 1", a concrete "task", the exact URL of the issue it
+works on from the list above in "issue" (or empty) and the file or directory to look at in "path" (or empty).
+Start with setting up the project and end with opening a pull request.`;
+        } else {
+            prompt += '\n\nLeave "plan" empty.';
+        }
         
-        return await this.makeRequest(prompt, 600);
+        const analysis = await this.requestAnalysis('whereToStart', prompt, profile ? 1000 : 600, onToken);
+        
+        // Only link issues that were actually fetched, never model-invented URLs
+        const knownUrls = new Set([...issues.map(issue => issue.html_url), ...rankedIssues.map(issue => issue.url)]);
+        analysis.issues = analysis.issues.filter(issue => knownUrls.has(issue.url));
+        
+        // Plans are personal; paths the tree does not contain are dropped like unknown issues
+        const knownPaths = new Set(tree.flatMap(entry => [entry.path, `${entry.path}/`]));
+        analysis.plan = profile
+            ? analysis.plan
+                .filter(step => step.task)
+                .map(step => ({
+                    ...step,
+                    issue: knownUrls.has(step.issue) ? step.issue : '',
+                    path: knownPaths.has(step.path) ? step.path.replace(/\/$/, '') : ''
+                }))
+            : [];
+        
+        return analysis;
     }
     
     /**
      * Analyzes what needs improving in the repository
      * @param {Object} context - Repository context data
-     * @returns {Promise<string>} - Analysis result
+     * @param {Function} [onToken] - Receives streamed tokens as they arrive
+     * @returns {Promise<Object>} - Card data, see ANALYSIS_SCHEMAS
      */
-    async analyzeWhatNeedsImproving(context) {
-        const { repo, readme, contributing, codeOfConduct } = context;
+    async analyzeWhatNeedsImproving(context, onToken = null) {
+        const { repo, readme, community, health } = context;
         
         let prompt = `You are analyzing the GitHub repository "${repo.full_name}" to identify areas that need improvement.
 
@@ -192,24 +419,38 @@ Repository Info:
 - Description: ${repo.description || 'No description'}
 - Language: ${repo.language || 'Not specified'}
 - Last updated: ${repo.updated_at}
-- Has README: ${readme ? 'Yes' : 'No'}
-- Has CONTRIBUTING.md: ${contributing ? 'Yes' : 'No'}
-- Has CODE_OF_CONDUCT.md: ${codeOfConduct ? 'Yes' : 'No'}
 - Open issues: ${repo.open_issues_count}
 - Forks: ${repo.forks_count}
 
+Community files${community.healthPercentage !== null ? ` (GitHub community profile ${community.healthPercentage}% complete)` : ''}:
+${describeCommunityStatus(community)}
+
 `;
         
         if (readme) {
-            const readmeLength = readme.length;
-            prompt += `README.md analysis:
-- Length: ${readmeLength} characters
-- ${readmeLength < 500 ? 'Quite short' : readmeLength > 2000 ? 'Comprehensive' : 'Moderate length'}
-- First 200 chars: "${readme.substring(0, 200).replace(/\n/g, ' ')}..."
+            const readmeTokens = estimateTokens(readme);
+            const opening = await this.prepareDocument(context, 'readme', { budget: 250, focus: 'overview', summarize: false });
+            prompt += `${community.files.readme.path} analysis:
+- Length: ${readme.length} characters (about ${readmeTokens} tokens)
+- ${readmeTokens < 150 ? 'Quite short' : readmeTokens > 600 ? 'Comprehensive' : 'Moderate length'}
+- Sections:
+${outlineDocument(readme) || '  (no headings)'}
+- Opening:
+${formatExcerpt(opening)}
 
 `;
         }
         
+        if (health) {
+            prompt += `Measured health metrics (overall score ${health.score}/100, grade ${health.grade}):\n`;
+            health.areas.forEach(area => {
+                prompt += `- ${area.label}${area.scored ? ` (${area.score}/100)` : ''}: ${area.value}\n`;
+            });
+            prompt += 'Base maintenance and activity observations on these measurements rather than guessing.\n\n';
+        }
+        
+        prompt += this.retrieveExcerpts(context, 'whatNeedsImproving', 400);
+        
         prompt += `Based on this information, identify specific areas that need improvement. Consider:
 1. Documentation quality and completeness
 2. Project structure and organization
@@ -217,43 +458,71 @@ Repository Info:
 4. Code quality indicators
 5. Maintenance and activity levels
 
-Provide specific, actionable recommendations. Format as HTML with appropriate tags.`;
+Provide specific, actionable recommendations, one entry in "areas" per area with what you found and what to do about it.`;
         
-        return await this.makeRequest(prompt, 600);
+        return await this.requestAnalysis('whatNeedsImproving', prompt, 600, onToken);
     }
     
     /**
      * Analyzes contribution rules and guidelines
      * @param {Object} context - Repository context data
-     * @returns {Promise<string>} - Analysis result
+     * @param {Function} [onToken] - Receives streamed tokens as they arrive
+     * @returns {Promise<Object>} - Card data, see ANALYSIS_SCHEMAS
      */
-    async analyzeContributionRules(context) {
-        const { repo, contributing, codeOfConduct, readme } = context;
+    async analyzeContributionRules(context, onToken = null) {
+        const { repo, contributing, codeOfConduct, readme, community } = context;
+        const { files, issueTemplates } = community;
         
         let prompt = `You are summarizing the contribution guidelines for the GitHub repository "${repo.full_name}".
 
+Community files:
+${describeCommunityStatus(community)}
+
 `;
         
         if (contributing) {
-            prompt += `CONTRIBUTING.md content (first 1000 characters):
-"${contributing.substring(0, 1000).replace(/\n/g, ' ')}..."
+            const guide = await this.prepareDocument(context, 'contributing', { budget: 900, focus: 'contributing' });
+            prompt += `${describeExcerpt(guide)}:
+${formatExcerpt(guide)}
 
 `;
         }
         
         if (codeOfConduct) {
-            prompt += `CODE_OF_CONDUCT.md exists (length: ${codeOfConduct.length} characters)
+            prompt += `${files.codeOfConduct.path} exists (length: ${codeOfConduct.length} characters)
 
 `;
         }
         
         if (readme && !contributing) {
-            prompt += `No CONTRIBUTING.md found. README.md content (first 800 characters):
-"${readme.substring(0, 800).replace(/\n/g, ' ')}..."
+            const fallback = await this.prepareDocument(context, 'readme', { budget: 700, focus: 'contributing' });
+            prompt += `No contributing guide found. ${describeExcerpt(fallback)}:
+${formatExcerpt(fallback)}
 
 `;
         }
         
+        // Shorter excerpts of the files that shape how a change gets reviewed and accepted
+        for (const [key, budget] of [['pullRequestTemplate', 150], ['security', 120], ['governance', 120], ['codeowners', 80]]) {
+            const excerpt = await this.prepareDocument(context, key, { budget, focus: 'contributing', summarize: false });
+            if (excerpt) {
+                prompt += `${describeExcerpt(excerpt)}:
+${formatExcerpt(excerpt)}
+
+`;
+            }
+        }
+        
+        issueTemplates.forEach(template => {
+            const excerpt = { path: template.path, ...fitToBudget(template.content, { budget: 80, focus: 'contributing' }) };
+            prompt += `Issue template ${template.path}:
+${formatExcerpt(excerpt)}
+
+`;
+        });
+        
+        prompt += this.retrieveExcerpts(context, 'contributionRules', 400, Object.values(files).map(file => file && file.path));
+        
         prompt += `Please provide a clear summary of:
 1. How to contribute to this project (workflow, process)
 2. Code style and standards requirements
@@ -261,17 +530,23 @@ Provide specific, actionable recommendations. Format as HTML with appropriate ta
 4. Communication guidelines and code of conduct
 5. Any specific tools or setup needed
 
-If information is missing, mention what contributors should look for or ask about. Format as HTML with appropriate tags.`;
+Group the guidelines into "sections" with a short title each. If information is missing, list what contributors should look for or ask about in "missing".`;
+        
+        const analysis = await this.requestAnalysis('contributionRules', prompt, 600, onToken);
+        
+        // Detected files are attached after validation, so the model never writes them
+        analysis.files = context.communityFiles;
         
-        return await this.makeRequest(prompt, 600);
+        return analysis;
     }
     
     /**
      * Analyzes and provides project overview
      * @param {Object} context - Repository context data
-     * @returns {Promise<string>} - Analysis result
+     * @param {Function} [onToken] - Receives streamed tokens as they arrive
+     * @returns {Promise<Object>} - Card data, see ANALYSIS_SCHEMAS
      */
-    async analyzeProjectOverview(context) {
+    async analyzeProjectOverview(context, onToken = null) {
         const { repo, readme } = context;
         
         let prompt = `You are providing an overview of the GitHub repository "${repo.full_name}" for potential contributors.
@@ -290,12 +565,15 @@ Repository Details:
 `;
         
         if (readme) {
-            prompt += `README.md content (first 1500 characters):
-"${readme.substring(0, 1500).replace(/\n/g, ' ')}..."
+            const overview = await this.prepareDocument(context, 'readme', { budget: 1000, focus: 'overview' });
+            prompt += `${describeExcerpt(overview)}:
+${formatExcerpt(overview)}
 
 `;
         }
         
+        prompt += this.retrieveExcerpts(context, 'projectOverview', 400, [context.community.files.readme && context.community.files.readme.path]);
+        
         prompt += `Please provide a comprehensive but concise overview including:
 1. What this project does (purpose and main features)
 2. Target audience and use cases
@@ -303,10 +581,184 @@ Repository Details:
 4. Project maturity and activity level
 5. Why someone might want to contribute
 
-Make it engaging and informative for potential contributors. Format as HTML with appropriate tags.`;
+Make it engaging and informative for potential contributors.`;
+        
+        return await this.requestAnalysis('projectOverview', prompt, 700, onToken);
+    }
+    
+    /**
+     * Maps the repository architecture from its file tree and manifests
+     * @param {Object} context - Repository context data
+     * @param {Function} [onToken] - Receives streamed tokens as they arrive
+     * @returns {Promise<Object>} - Card data, see ANALYSIS_SCHEMAS
+     */
+    async analyzeArchitecture(context, onToken = null) {
+        const { repo, readme, structure, languages } = context;
+        
+        let prompt = `You are mapping the architecture of the GitHub repository "${repo.full_name}" for new contributors.
+
+Repository Description: ${repo.description || 'No description available'}
+Primary language: ${repo.language || 'Not specified'}
+
+`;
+        
+        if (languages && Object.keys(languages).length > 0) {
+            const totalBytes = Object.values(languages).reduce((sum, bytes) => sum + bytes, 0);
+            prompt += `Languages by code size: ${Object.entries(languages)
+                .slice(0, 8)
+                .map(([name, bytes]) => `${name} ${Math.round(bytes / totalBytes * 100)}%`)
+                .join(', ')}\n\n`;
+        }
+        
+        if (structure) {
+            prompt += `Files: ${structure.fileCount}${structure.truncated ? ' (tree truncated, very large repository)' : ''}
+Languages by file count: ${structure.languages.map(l => `${l.name} (${l.files})`).join(', ') || 'none detected'}
+Detected frameworks and tools: ${structure.frameworks.join(', ') || 'none detected'}
+Detected commands: ${structure.commands.map(c => `${c.purpose}: ${c.command}`).join('; ') || 'none detected'}
+Detected entry points: ${structure.entryPoints.map(e => `${e.path} (${e.description})`).join('; ') || 'none detected'}
+
+Top-level directories:
+`;
+            structure.directories.slice(0, 15).forEach(directory => {
+                prompt += `- ${directory.path}/ (${directory.fileCount} files) e.g. ${directory.samples.join(', ')}\n`;
+            });
+            
+            Object.entries(context.manifests || {}).forEach(([file, content]) => {
+                prompt += `\n${file} (first 600 characters):\n${content.substring(0, 600)}\n`;
+            });
+        } else if (readme) {
+            const layout = await this.prepareDocument(context, 'readme', { budget: 1000, focus: 'development' });
+            prompt += `The file tree could not be fetched. ${describeExcerpt(layout)}:
+${formatExcerpt(layout)}
+`;
+        }
+        
+        prompt += `\n${this.retrieveExcerpts(context, 'architecture', 500)}`;
+        
+        prompt += `Describe the architecture for someone about to make their first change:
+1. The role of each important top-level directory
+2. Languages and frameworks in use
+3. Commands to install, build and test the project
+4. Entry points where execution starts
+
+Only mention directories and files listed above.`;
         
-        return await this.makeRequest(prompt, 700);
+        const analysis = await this.requestAnalysis('architecture', prompt, 700, onToken);
+        
+        if (!structure) {
+            return analysis;
+        }
+        
+        // Detected facts take precedence over the model's reading of them
+        const topLevel = new Set(structure.directories.map(directory => directory.path));
+        analysis.directories = analysis.directories.filter(directory => topLevel.has(directory.path.replace(/\/+$/, '').split('/')[0]));
+        if (analysis.directories.length === 0) {
+            analysis.directories = structure.directories
+                .filter(directory => directory.role)
+                .slice(0, 12)
+                .map(directory => ({ path: directory.path, role: directory.role }));
+        }
+        if (structure.languages.length > 0) {
+            analysis.languages = structure.languages.slice(0, 8).map(language => language.name);
+        }
+        analysis.frameworks = [...new Set([...structure.frameworks, ...analysis.frameworks])].slice(0, 12);
+        analysis.commands = uniqueBy([...structure.commands, ...analysis.commands], item => item.command).slice(0, 8);
+        analysis.entryPoints = uniqueBy([...structure.entryPoints, ...analysis.entryPoints], item => item.path).slice(0, 6);
+        
+        return analysis;
     }
+    
+    /**
+     * Recommends which of several analyzed repositories suits a newcomer best
+     * @param {Array<Object>} repositories - { fullName, facts: [{ label, value }], overview, whereToStart }
+     * @param {Object|null} [profile] - Contributor profile the recommendation is for
+     * @param {Function} [onToken] - Receives streamed tokens as they arrive
+     * @returns {Promise<Object>} - Comparison data, see ANALYSIS_SCHEMAS
+     */
+    async analyzeComparison(repositories, profile = null, onToken = null) {
+        let prompt = `You are helping a newcomer choose which of ${repositories.length} open source projects to contribute to first.
+
+`;
+        
+        repositories.forEach(repository => {
+            prompt += `Repository "${repository.fullName}":\n`;
+            repository.facts.forEach(({ label, value }) => {
+                prompt += `- ${label}: ${value}\n`;
+            });
+            if (repository.overview) {
+                prompt += `- About: ${repository.overview}\n`;
+            }
+            if (repository.whereToStart) {
+                prompt += `- Where to start: ${repository.whereToStart}\n`;
+            }
+            prompt += '\n';
+        });
+        
+        if (profile) {
+            prompt += `The newcomer has this profile:\n${describeProfile(profile)}\n\n`;
+        }
+        
+        prompt += `Compare the projects for a first contribution: available beginner issues, documentation, how quickly
+maintainers respond and merge, and how active the project is${profile ? ', and how well each fits the profile' : ''}.
+Put the full name of the best project for a newcomer, exactly as written above, in "recommended", why in "reasons",
+and one entry per project in "repositories" with who it is best for and what to watch out for.
+Only use the facts listed above.`;
+        
+        const comparison = await this.requestAnalysis('comparison', prompt, 700, onToken);
+        
+        // The recommendation must name one of the compared repositories
+        const names = new Map(repositories.map(repository => [repository.fullName.toLowerCase(), repository.fullName]));
+        comparison.recommended = names.get(comparison.recommended.toLowerCase()) || '';
+        comparison.repositories = comparison.repositories
+            .filter(repository => names.has(repository.fullName.toLowerCase()))
+            .map(repository => ({ ...repository, fullName: names.get(repository.fullName.toLowerCase()) }));
+        
+        return comparison;
+    }
+}
+
+/**
+ * Names a prepared document and how much of it a prompt sees
+ */
+function describeExcerpt(excerpt) {
+    return `${excerpt.path} (${EXCERPT_LABELS[excerpt.kind]})`;
+}
+
+/**
+ * Quotes a prepared document so its Markdown structure survives in the prompt
+ */
+function formatExcerpt(excerpt) {
+    return `"""\n${excerpt.text}\n"""`;
+}
+
+/**
+ * Lists every community file as found at its path or missing, one per line
+ */
+function describeCommunityStatus(community) {
+    const lines = Object.entries(COMMUNITY_FILES).map(([key, { label }]) => {
+        const file = community.files[key];
+        if (!file) {
+            return `- ${label}: missing`;
+        }
+        return `- ${label}: ${file.path || 'present'}${file.name ? ` (${file.name})` : ''}`;
+    });
+    lines.push(`- Issue templates: ${community.issueTemplates.map(template => template.path).join(', ') || 'missing'}`);
+    return lines.join('\n');
+}
+
+/**
+ * Removes items whose key was already seen, keeping the first
+ */
+function uniqueBy(items, getKey) {
+    const seen = new Set();
+    return items.filter(item => {
+        const key = getKey(item);
+        if (seen.has(key)) {
+            return false;
+        }
+        seen.add(key);
+        return true;
+    });
 }
 
 const groqService = new GroqService();
@@ -0,0 +1,352 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+import { DEFAULT_HOST } from './forgeService.js';
+
+// Analysis and user IDs are random UUIDs, which also keeps them safe as file names
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Builds the key a repository is stored under, like ForgeService.repositoryKey
+ * @param {Object} repository - Repository summary with host, owner and name
+ * @returns {string} - Lowercase key, host left out for github.com
+ */
+function repositoryKey({ host = DEFAULT_HOST, owner, name }) {
+    return (host === DEFAULT_HOST ? `${owner}/${name}` : `${host}/${owner}/${name}`).toLowerCase();
+}
+
+/**
+ * Builds the shareable page URL of a stored analysis
+ * @param {Object} entry - Stored analysis with id and repository
+ * @returns {string} - /r/:owner/:repo/:analysisId, with the host for other forges
+ */
+function permalink({ id, repository }) {
+    const host = repository.host && repository.host !== DEFAULT_HOST ? `?host=${encodeURIComponent(repository.host)}` : '';
+    return `/r/${encodeURIComponent(repository.owner)}/${encodeURIComponent(repository.name)}/${id}${host}`;
+}
+
+/**
+ * Checks whether a string is a valid analysis or user ID
+ */
+function isValidId(id) {
+    return typeof id === 'string' && ID_PATTERN.test(id);
+}
+
+/**
+ * Keeps every analysis a user runs, and the repositories they bookmark.
+ * Each run is stored whole under its own ID, so its permalink shows it as it
+ * was; a per-user file lists the runs, newest first, and the bookmarks.
+ * Users are anonymous browsers identified by a cookie, see historyController.
+ */
+class HistoryService {
+    constructor() {
+        // Settings are read on first use so values loaded by dotenv after import are seen
+        this.directory = null;
+        this.maxRuns = null;
+        this.maxBookmarks = null;
+        this.maxAnalyses = null;
+        this.maxUsers = null;
+        this.maxAgeMs = null;
+        
+        // Latest update by user ID, so a user's file is rewritten in order
+        this.updates = new Map();
+    }
+    
+    /**
+     * Loads history settings from the configuration
+     */
+    configure() {
+        if (this.directory) {
+            return;
+        }
+        
+        const { directory, maxRuns, maxBookmarks, maxAnalyses, maxUsers, ttlDays } = config.get().history;
+        this.directory = directory;
+        this.maxRuns = maxRuns;
+        this.maxBookmarks = maxBookmarks;
+        this.maxAnalyses = maxAnalyses;
+        this.maxUsers = maxUsers;
+        this.maxAgeMs = ttlDays * 24 * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Gets the file that stores an analysis
+     */
+    analysisPath(id) {
+        return path.join(this.directory, 'analyses', `${id}.json`);
+    }
+    
+    /**
+     * Gets the file that lists a user's runs and bookmarks
+     */
+    userPath(userId) {
+        return path.join(this.directory, 'users', `${userId}.json`);
+    }
+    
+    /**
+     * Writes JSON to a file, creating its directory
+     */
+    async writeJson(file, data) {
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        
+        // Write then rename so readers never see a partial file
+        const tempFile = `${file}.${process.pid}.tmp`;
+        await fs.writeFile(tempFile, JSON.stringify(data));
+        await fs.rename(tempFile, file);
+    }
+    
+    /**
+     * Reads a user's runs and bookmarks
+     * @param {string} userId - User ID
+     * @returns {Promise<Object>} - { runs, bookmarks }, empty for a new user
+     */
+    async readUser(userId) {
+        this.configure();
+        
+        try {
+            return JSON.parse(await fs.readFile(this.userPath(userId), 'utf-8'));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read history of user ${userId}:`, error.message);
+            }
+            return { runs: [], bookmarks: [] };
+        }
+    }
+    
+    /**
+     * Changes a user's file after the updates already queued for it
+     * @param {string} userId - User ID
+     * @param {Function} change - Called with the user's data; may mutate it and return a value
+     * @returns {Promise<*>} - Value returned by change
+     */
+    updateUser(userId, change) {
+        const update = (this.updates.get(userId) || Promise.resolve()).then(async () => {
+            const user = await this.readUser(userId);
+            const value = await change(user);
+            await this.writeJson(this.userPath(userId), user);
+            return value;
+        });
+        
+        const settled = update.catch(() => {});
+        this.updates.set(userId, settled);
+        settled.then(() => {
+            if (this.updates.get(userId) === settled) {
+                this.updates.delete(userId);
+            }
+        });
+        return update;
+    }
+    
+    /**
+     * Saves a run of the analysis to a user's history. The oldest runs beyond
+     * maxRuns are removed, permalinks included, and so are the oldest
+     * analyses and users beyond maxAnalyses, maxUsers or the TTL.
+     * @param {string} userId - User ID
+     * @param {Object} response - Analysis response body
+     * @param {Object} [options]
+     * @param {boolean} [options.restricted] - Only the user can read it, e.g. when it ran with their GitHub token
+     * @returns {Promise<Object|null>} - { id, createdAt, permalink }, or null when it could not be saved
+     */
+    async record(userId, response, { restricted = false } = {}) {
+        this.configure();
+        
+        const entry = {
+            id: crypto.randomUUID(),
+            userId,
+            restricted,
+            createdAt: new Date().toISOString(),
+            repository: response.repository,
+            commitSha: response.metadata.commitSha,
+            profile: response.profile || null,
+            response
+        };
+        
+        try {
+            await this.writeJson(this.analysisPath(entry.id), entry);
+            
+            const removed = await this.updateUser(userId, (user) => {
+                user.runs.unshift(this.summarize(entry));
+                return user.runs.splice(this.maxRuns);
+            });
+            await Promise.all(removed.map(run => fs.rm(this.analysisPath(run.id), { force: true })));
+            await this.evict();
+            
+            return { id: entry.id, createdAt: entry.createdAt, permalink: permalink(entry) };
+        } catch (error) {
+            console.warn(`Could not save analysis of ${response.repository.fullName} to history:`, error.message);
+            return null;
+        }
+    }
+    
+    /**
+     * Removes the stored analyses and users unchanged for longer than the TTL,
+     * then the oldest beyond maxAnalyses and maxUsers. Users' listings keep
+     * the runs, which then read as removed.
+     * @returns {Promise<number>} - Number of files removed
+     */
+    async evict() {
+        this.configure();
+        
+        const counts = await Promise.all([
+            this.evictFiles(path.join(this.directory, 'analyses'), this.maxAnalyses),
+            this.evictFiles(path.join(this.directory, 'users'), this.maxUsers)
+        ]);
+        return counts[0] + counts[1];
+    }
+    
+    /**
+     * Removes the JSON files of a directory not modified within the TTL, then
+     * the least recently modified ones beyond maxEntries
+     */
+    async evictFiles(directory, maxEntries) {
+        let names;
+        try {
+            names = (await fs.readdir(directory)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            return 0;
+        }
+        
+        const entries = await Promise.all(names.map(async (name) => {
+            const file = path.join(directory, name);
+            try {
+                const stats = await fs.stat(file);
+                return { file, modifiedAt: stats.mtimeMs };
+            } catch (error) {
+                return null;
+            }
+        }));
+        
+        const now = Date.now();
+        const live = [];
+        const stale = [];
+        entries.filter(Boolean).forEach(entry => {
+            (now - entry.modifiedAt > this.maxAgeMs ? stale : live).push(entry);
+        });
+        
+        live.sort((a, b) => b.modifiedAt - a.modifiedAt);
+        stale.push(...live.slice(maxEntries));
+        
+        await Promise.all(stale.map(({ file }) => fs.rm(file, { force: true })));
+        return stale.length;
+    }
+    
+    /**
+     * Builds the listing of a stored analysis, without its response
+     */
+    summarize(entry) {
+        return {
+            id: entry.id,
+            createdAt: entry.createdAt,
+            repository: entry.repository,
+            key: repositoryKey(entry.repository),
+            commitSha: entry.commitSha,
+            tailored: Boolean(entry.profile),
+            permalink: permalink(entry)
+        };
+    }
+    
+    /**
+     * Reads a stored analysis. Restricted analyses are only found for the
+     * user who ran them.
+     * @param {string} id - Analysis ID
+     * @param {Object} [options]
+     * @param {string|null} [options.userId] - User asking for it
+     * @returns {Promise<Object|null>} - { id, createdAt, repository, commitSha, profile, permalink, response }, or null when unknown
+     */
+    async get(id, { userId = null } = {}) {
+        this.configure();
+        if (!isValidId(id)) {
+            return null;
+        }
+        
+        try {
+            const { userId: owner, restricted, ...entry } = JSON.parse(await fs.readFile(this.analysisPath(id), 'utf-8'));
+            if (restricted && owner !== userId) {
+                return null;
+            }
+            return { ...entry, permalink: permalink(entry) };
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read analysis ${id}:`, error.message);
+            }
+            return null;
+        }
+    }
+    
+    /**
+     * Lists a user's runs, newest first
+     * @param {string} userId - User ID
+     * @param {Object} [options]
+     * @param {string} [options.key] - Only runs of this repository, see repositoryKey
+     * @returns {Promise<Array<Object>>} - Run listings, see summarize
+     */
+    async listRuns(userId, { key = null } = {}) {
+        const { runs } = await this.readUser(userId);
+        return key ? runs.filter(run => run.key === key) : runs;
+    }
+    
+    /**
+     * Finds the run of the same repository before a given one in a user's history
+     * @param {string} userId - User ID
+     * @param {Object} entry - Stored analysis, see get
+     * @returns {Promise<Object|null>} - Run listing, or null when it is the first
+     */
+    async findPreviousRun(userId, entry) {
+        const runs = await this.listRuns(userId, { key: repositoryKey(entry.repository) });
+        const index = runs.findIndex(run => run.id === entry.id);
+        const earlier = index === -1 ? runs.filter(run => run.createdAt < entry.createdAt) : runs.slice(index + 1);
+        return earlier[0] || null;
+    }
+    
+    /**
+     * Lists a user's bookmarks, newest first
+     * @param {string} userId - User ID
+     * @returns {Promise<Array<Object>>} - { key, repository, url, createdAt }
+     */
+    async listBookmarks(userId) {
+        return (await this.readUser(userId)).bookmarks;
+    }
+    
+    /**
+     * Bookmarks a repository; bookmarking it again moves it to the top
+     * @param {string} userId - User ID
+     * @param {Object} repository - { host, owner, name, fullName, url }
+     * @returns {Promise<Object>} - Bookmark
+     */
+    async addBookmark(userId, repository) {
+        this.configure();
+        
+        const bookmark = {
+            key: repositoryKey(repository),
+            repository,
+            createdAt: new Date().toISOString()
+        };
+        
+        await this.updateUser(userId, (user) => {
+            user.bookmarks = [bookmark, ...user.bookmarks.filter(entry => entry.key !== bookmark.key)].slice(0, this.maxBookmarks);
+        });
+        await this.evict();
+        return bookmark;
+    }
+    
+    /**
+     * Removes a bookmark
+     * @param {string} userId - User ID
+     * @param {string} key - Repository key, see repositoryKey
+     * @returns {Promise<boolean>} - True when the repository was bookmarked
+     */
+    async removeBookmark(userId, key) {
+        return await this.updateUser(userId, (user) => {
+            const count = user.bookmarks.length;
+            user.bookmarks = user.bookmarks.filter(entry => entry.key !== key);
+            return user.bookmarks.length < count;
+        });
+    }
+}
+
+export { repositoryKey, isValidId };
+
+// Create and export service instance
+const historyService = new HistoryService();
+export default historyService;
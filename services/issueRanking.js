@@ -0,0 +1,213 @@
+import { INTERESTS, mentionsLanguage } from './contributorProfile.js';
+
+/**
+ * Scores open issues for beginner suitability.
+ * 
+ * Every factor adds or removes points and records a human-readable reason,
+ * so the ranking can be explained in the response and fed to the prompt.
+ * When a contributor profile is given, how well each issue fits it is scored too.
+ */
+
+const BEGINNER_LABELS = {
+    'good first issue': 30,
+    'good-first-issue': 30,
+    'first-timers-only': 30,
+    'beginner': 20,
+    'easy': 20,
+    'starter': 20,
+    'help wanted': 15,
+    'documentation': 10,
+    'docs': 10
+};
+
+const BLOCKING_LABELS = ['needs triage', 'triage', 'question', 'wontfix', "won't fix", 'blocked', 'discussion', 'on hold', 'duplicate', 'invalid'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Labels of work too large for a first contribution
+const LARGE_WORK_LABELS = ['epic', 'refactor', 'refactoring', 'breaking change', 'architecture', 'complex', 'large'];
+
+// Below this many hours a week, sprawling issues are hard to finish
+const SMALL_TIME_BUDGET = 4;
+
+// Closing keywords and plain mentions both count as a PR working on the issue
+const ISSUE_REFERENCE = /(?:^|[^\w/])#(\d+)\b/g;
+
+/**
+ * Maps issue numbers to the open pull requests that reference them
+ * @param {Array<Object>} pulls - Open pull requests from the GitHub API
+ * @returns {Map<number, Array<number>>} - PR numbers keyed by issue number
+ */
+function indexLinkedPullRequests(pulls) {
+    const linked = new Map();
+    
+    pulls.forEach(pull => {
+        const text = `${pull.title || ''}\n${pull.body || ''}`;
+        for (const match of text.matchAll(ISSUE_REFERENCE)) {
+            const number = parseInt(match[1], 10);
+            if (!linked.has(number)) {
+                linked.set(number, []);
+            }
+            if (!linked.get(number).includes(pull.number)) {
+                linked.get(number).push(pull.number);
+            }
+        }
+    });
+    
+    return linked;
+}
+
+/**
+ * Scores one issue
+ * @param {Object} issue - Issue from the GitHub API
+ * @param {Array<number>} linkedPullRequests - Open PRs referencing the issue
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - Object with score and reasons properties
+ */
+function scoreIssue(issue, linkedPullRequests, now) {
+    let score = 0;
+    const reasons = [];
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+    
+    const labelBonus = Math.max(0, ...labels.map(label => BEGINNER_LABELS[label] || 0));
+    if (labelBonus > 0) {
+        score += labelBonus;
+        reasons.push(`Labeled ${labels.filter(label => BEGINNER_LABELS[label]).join(', ')}`);
+    }
+    
+    const blocking = labels.filter(label => BLOCKING_LABELS.includes(label));
+    if (blocking.length > 0) {
+        score -= 20;
+        reasons.push(`Not ready to work on (${blocking.join(', ')})`);
+    }
+    
+    if ((issue.assignees && issue.assignees.length > 0) || issue.assignee) {
+        score -= 40;
+        reasons.push('Someone is already assigned');
+    }
+    
+    if (linkedPullRequests.length > 0) {
+        score -= 35;
+        reasons.push(`Open pull request ${linkedPullRequests.map(number => `#${number}`).join(', ')} references it`);
+    }
+    
+    const body = issue.body || '';
+    if (body.length > 200) {
+        score += 10;
+        reasons.push('Clearly described');
+    } else if (body.trim().length === 0) {
+        score -= 10;
+        reasons.push('No description');
+    }
+    if (/```|^\s*\d+\.\s/m.test(body)) {
+        score += 5;
+        reasons.push('Includes steps or code');
+    }
+    
+    const comments = issue.comments || 0;
+    if (comments > 15) {
+        score -= 10;
+        reasons.push(`Long discussion (${comments} comments)`);
+    } else if (comments > 0 && comments <= 5) {
+        score += 5;
+        reasons.push(`Some maintainer context (${comments} comments)`);
+    }
+    
+    const updatedDaysAgo = (now - Date.parse(issue.updated_at || issue.created_at)) / DAY_MS;
+    if (updatedDaysAgo <= 30) {
+        score += 10;
+        reasons.push('Recently active');
+    } else if (updatedDaysAgo > 365) {
+        score -= 10;
+        reasons.push('No activity for over a year');
+    }
+    
+    return { score, reasons };
+}
+
+/**
+ * Scores how well one issue fits a contributor profile
+ * @param {Object} issue - Issue from the GitHub API
+ * @param {Object} profile - Contributor profile, see parseProfile
+ * @returns {Object} - Object with score and reasons properties
+ */
+function scoreProfileFit(issue, profile) {
+    let score = 0;
+    const reasons = [];
+    const labels = (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name).toLowerCase());
+    const text = `${issue.title || ''} ${labels.join(' ')}`;
+    
+    const interests = profile.interests.filter(interest => INTERESTS[interest].issues.test(text));
+    if (interests.length > 0) {
+        score += 15;
+        reasons.push(`Matches your interest in ${interests.map(interest => INTERESTS[interest].label).join(' and ')}`);
+    }
+    
+    const languages = profile.languages.filter(language => mentionsLanguage(text, language));
+    if (languages.length > 0) {
+        score += 10;
+        reasons.push(`Involves ${languages.join(', ')}, which you know`);
+    }
+    
+    const large = (issue.body || '').length > 2500 || (issue.comments || 0) > 10
+        || labels.some(label => LARGE_WORK_LABELS.includes(label));
+    if (large && profile.experience === 'beginner') {
+        score -= 15;
+        reasons.push('Probably too large for a first contribution');
+    } else if (large && profile.hoursPerWeek && profile.hoursPerWeek < SMALL_TIME_BUDGET) {
+        score -= 10;
+        reasons.push(`Probably more than ${profile.hoursPerWeek} hours of work`);
+    }
+    
+    if (profile.experience === 'experienced' && labels.includes('first-timers-only')) {
+        score -= 25;
+        reasons.push('Reserved for first-time contributors');
+    }
+    
+    return { score, reasons };
+}
+
+/**
+ * Merges, scores and sorts candidate issues, best first
+ * @param {Array<Array<Object>>} issueLists - Issue lists from the GitHub API, possibly overlapping
+ * @param {Array<Object>} pulls - Open pull requests
+ * @param {number} [limit] - Maximum issues returned
+ * @param {Object|null} [profile] - Contributor profile the ranking is tailored to
+ * @returns {Array<Object>} - Ranked issues with score and reasons
+ */
+function rankIssues(issueLists, pulls, limit = 15, profile = null) {
+    const now = Date.now();
+    const linked = indexLinkedPullRequests(pulls);
+    const byNumber = new Map();
+    
+    issueLists.flat().forEach(issue => {
+        // The issues endpoint also lists pull requests
+        if (!issue.pull_request && !byNumber.has(issue.number)) {
+            byNumber.set(issue.number, issue);
+        }
+    });
+    
+    return [...byNumber.values()]
+        .map(issue => {
+            const linkedPullRequests = linked.get(issue.number) || [];
+            const suitability = scoreIssue(issue, linkedPullRequests, now);
+            const fit = profile ? scoreProfileFit(issue, profile) : { score: 0, reasons: [] };
+            
+            return {
+                number: issue.number,
+                title: issue.title,
+                url: issue.html_url,
+                labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+                comments: issue.comments || 0,
+                assigned: !!((issue.assignees && issue.assignees.length > 0) || issue.assignee),
+                linkedPullRequests,
+                updatedAt: issue.updated_at,
+                score: suitability.score + fit.score,
+                reasons: [...suitability.reasons, ...fit.reasons]
+            };
+        })
+        .sort((a, b) => b.score - a.score || Date.parse(b.updatedAt) - Date.parse(a.updatedAt))
+        .slice(0, limit);
+}
+
+export { rankIssues };
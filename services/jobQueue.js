@@ -0,0 +1,370 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import config from './config.js';
+
+// States of a job that will not change again
+const FINISHED_STATES = ['completed', 'failed'];
+
+// Seconds clients are asked to wait when the queue is full
+const QUEUE_FULL_RETRY_AFTER_SECONDS = 60;
+
+/**
+ * In-process queue for work too long for one HTTP request, such as the
+ * analysis of a large repository. Jobs run on a pool of workers capped by
+ * the jobs.concurrency setting and report the status of each of their
+ * stages. Every job is stored on disk, so results outlive a restart and
+ * interrupted jobs run again; secrets a job needs, such as a user's GitHub
+ * token, are only kept in memory.
+ */
+class JobQueue {
+    constructor() {
+        // Settings are read on first use so values loaded by dotenv after import are seen
+        this.directory = null;
+        this.concurrency = null;
+        this.maxJobs = null;
+        this.maxPending = null;
+        this.maxAgeMs = null;
+        
+        // Handlers by job type, see register
+        this.handlers = new Map();
+        
+        // Jobs by ID, and the IDs waiting for a worker in arrival order
+        this.jobs = new Map();
+        this.pending = [];
+        this.running = 0;
+        
+        // Secrets by job ID, never written to disk
+        this.secrets = new Map();
+        
+        // Latest write by job ID, so the writes of a job happen in order
+        this.writes = new Map();
+        this.restored = null;
+    }
+    
+    /**
+     * Loads queue settings from the configuration
+     */
+    configure() {
+        if (this.directory) {
+            return;
+        }
+        
+        const { directory, concurrency, maxJobs, maxPending, ttlHours } = config.get().jobs;
+        this.directory = directory;
+        this.concurrency = concurrency;
+        this.maxJobs = maxJobs;
+        this.maxPending = maxPending;
+        this.maxAgeMs = ttlHours * 60 * 60 * 1000;
+    }
+    
+    /**
+     * Registers the handler of a job type
+     * @param {string} type - Job type
+     * @param {Object} handler - Job handler
+     * @param {Function} handler.stages - Called with the job input; returns the names of the stages reported
+     * @param {Function} handler.run - Called with (input, { secret, userId, setStage }); resolves to the job result.
+     * Errors with status and body properties are reported with them, like an HTTP error response.
+     */
+    register(type, handler) {
+        this.handlers.set(type, handler);
+    }
+    
+    /**
+     * Gets the file that stores a job
+     */
+    filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+    
+    /**
+     * Loads the stored jobs and queues again the ones a restart interrupted.
+     * Safe to call more than once.
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.restored) {
+            this.restored = this.restore();
+        }
+        return this.restored;
+    }
+    
+    /**
+     * Reads every stored job, see start
+     */
+    async restore() {
+        this.configure();
+        
+        let names;
+        try {
+            names = (await fs.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            return;
+        }
+        
+        const stored = await Promise.all(names.map(async (name) => {
+            try {
+                return JSON.parse(await fs.readFile(path.join(this.directory, name), 'utf-8'));
+            } catch (error) {
+                console.warn(`Could not read job ${name}:`, error.message);
+                return null;
+            }
+        }));
+        
+        stored
+            .filter(job => job && !this.jobs.has(job.id))
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt))
+            .forEach(job => {
+                this.jobs.set(job.id, job);
+                if (FINISHED_STATES.includes(job.status)) {
+                    return;
+                }
+                
+                if (job.usesSecret || !this.handlers.has(job.type)) {
+                    this.finish(job, 'failed', {
+                        error: {
+                            status: 500,
+                            error: 'Job interrupted',
+                            message: job.usesSecret
+                                ? 'The server restarted before this job finished. Tokens are not stored, so please submit it again.'
+                                : 'The server restarted before this job finished and can no longer run it.'
+                        }
+                    });
+                    return;
+                }
+                
+                // Interrupted jobs run again from the start
+                job.status = 'queued';
+                job.startedAt = null;
+                job.stages.forEach(stage => Object.assign(stage, { status: 'pending', updatedAt: null }));
+                this.pending.push(job.id);
+                this.save(job);
+            });
+        
+        const resumed = this.pending.length;
+        if (resumed > 0) {
+            console.log(`Resuming ${resumed} queued job${resumed === 1 ? '' : 's'}`);
+        }
+        
+        await this.prune();
+        this.pump();
+    }
+    
+    /**
+     * Queues a job. A job of the same type, input, user and secret that has
+     * not finished yet is returned instead of queueing it twice. When
+     * jobs.maxPending jobs are queued or running, the error thrown carries
+     * status 503, a client-facing body and retryAfterSeconds.
+     * @param {string} type - Job type, see register
+     * @param {Object} input - Job input; it is stored, so it must not carry secrets
+     * @param {Object} [options]
+     * @param {string|null} [options.secret] - Secret handed to the handler, kept in memory only
+     * @param {string|null} [options.userId] - User the job runs for; stored, but left out of describe
+     * @returns {Object} - Job, see describe
+     */
+    enqueue(type, input, { secret = null, userId = null } = {}) {
+        this.configure();
+        
+        const handler = this.handlers.get(type);
+        if (!handler) {
+            throw new Error(`Unknown job type "${type}"`);
+        }
+        
+        const unfinished = [...this.jobs.values()].filter(job => !FINISHED_STATES.includes(job.status));
+        const inputKey = JSON.stringify(input);
+        const existing = unfinished.find(job => job.type === type
+            && job.userId === userId
+            && (this.secrets.get(job.id) || null) === secret
+            && JSON.stringify(job.input) === inputKey);
+        if (existing) {
+            return this.describe(existing);
+        }
+        
+        if (unfinished.length >= this.maxPending) {
+            const message = `${unfinished.length} jobs are already queued or running. Try again in a minute.`;
+            throw Object.assign(new Error(message), {
+                status: 503,
+                body: { error: 'Job queue full', message },
+                retryAfterSeconds: QUEUE_FULL_RETRY_AFTER_SECONDS
+            });
+        }
+        
+        const job = {
+            id: crypto.randomUUID(),
+            type,
+            status: 'queued',
+            input,
+            userId,
+            usesSecret: Boolean(secret),
+            stages: handler.stages(input).map(name => ({ name, status: 'pending', updatedAt: null })),
+            result: null,
+            error: null,
+            createdAt: new Date().toISOString(),
+            startedAt: null,
+            finishedAt: null
+        };
+        
+        this.jobs.set(job.id, job);
+        if (secret) {
+            this.secrets.set(job.id, secret);
+        }
+        this.pending.push(job.id);
+        this.save(job);
+        this.pump();
+        
+        return this.describe(job);
+    }
+    
+    /**
+     * Gets a job by ID
+     * @param {string} id - Job ID
+     * @returns {Object|null} - Job, see describe, or null when unknown or expired
+     */
+    get(id) {
+        const job = this.jobs.get(id);
+        return job ? this.describe(job) : null;
+    }
+    
+    /**
+     * Builds the client-facing view of a job
+     * @returns {Object} - { id, type, status, position, input, stages, result, error, createdAt, startedAt, finishedAt }
+     */
+    describe(job) {
+        const position = this.pending.indexOf(job.id);
+        
+        return {
+            id: job.id,
+            type: job.type,
+            status: job.status,
+            // 1 for the next job to start, null once started
+            position: position === -1 ? null : position + 1,
+            input: job.input,
+            stages: job.stages.map(stage => ({ ...stage })),
+            result: job.result,
+            error: job.error,
+            createdAt: job.createdAt,
+            startedAt: job.startedAt,
+            finishedAt: job.finishedAt
+        };
+    }
+    
+    /**
+     * Starts queued jobs while workers are free
+     */
+    pump() {
+        this.configure();
+        
+        while (this.running < this.concurrency && this.pending.length > 0) {
+            const job = this.jobs.get(this.pending.shift());
+            this.running++;
+            this.runJob(job).finally(() => {
+                this.running--;
+                this.pump();
+            });
+        }
+    }
+    
+    /**
+     * Runs one job with its handler, recording stage updates and the outcome
+     */
+    async runJob(job) {
+        const { run } = this.handlers.get(job.type);
+        job.status = 'running';
+        job.startedAt = new Date().toISOString();
+        this.save(job);
+        
+        const setStage = (name, status) => {
+            const stage = job.stages.find(entry => entry.name === name);
+            if (stage && stage.status !== status) {
+                stage.status = status;
+                stage.updatedAt = new Date().toISOString();
+                this.save(job);
+            }
+        };
+        
+        try {
+            const result = await run(job.input, { secret: this.secrets.get(job.id) || null, userId: job.userId || null, setStage });
+            this.finish(job, 'completed', { result });
+        } catch (error) {
+            if (!error.body) {
+                console.error(`Job ${job.id} failed:`, error);
+            }
+            const body = error.body || {
+                error: 'Internal server error',
+                message: error.message || 'An unexpected error occurred while running the job.'
+            };
+            this.finish(job, 'failed', { error: { status: error.status || 500, ...body } });
+        }
+    }
+    
+    /**
+     * Records the outcome of a job and drops its secret
+     */
+    finish(job, status, { result = null, error = null }) {
+        // Stages never reported were not needed, e.g. the fetches of a cached analysis
+        job.stages.forEach(stage => {
+            if (stage.status === 'pending') {
+                stage.status = 'skipped';
+            } else if (stage.status === 'running') {
+                stage.status = status === 'completed' ? 'done' : 'failed';
+            }
+        });
+        
+        Object.assign(job, { status, result, error, finishedAt: new Date().toISOString() });
+        this.secrets.delete(job.id);
+        this.save(job).then(() => this.prune());
+    }
+    
+    /**
+     * Stores a job after the writes already queued for it
+     * @returns {Promise<void>} - Settles once written; failures are logged
+     */
+    save(job) {
+        const write = (this.writes.get(job.id) || Promise.resolve()).then(() => this.writeJob(job));
+        this.writes.set(job.id, write);
+        write.then(() => {
+            if (this.writes.get(job.id) === write) {
+                this.writes.delete(job.id);
+            }
+        });
+        return write;
+    }
+    
+    /**
+     * Writes the current state of a job to disk
+     */
+    async writeJob(job) {
+        const file = this.filePath(job.id);
+        
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+            
+            // Write then rename so readers never see a partial file
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(job));
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            console.warn(`Could not store job ${job.id}:`, error.message);
+        }
+    }
+    
+    /**
+     * Removes finished jobs older than the TTL, then the oldest ones beyond maxJobs
+     * @returns {Promise<number>} - Number of jobs removed
+     */
+    async prune() {
+        const now = Date.now();
+        const stale = [...this.jobs.values()]
+            .filter(job => FINISHED_STATES.includes(job.status))
+            .sort((a, b) => Date.parse(b.finishedAt) - Date.parse(a.finishedAt))
+            .filter((job, index) => index >= this.maxJobs || now - Date.parse(job.finishedAt) > this.maxAgeMs);
+        
+        stale.forEach(job => this.jobs.delete(job.id));
+        await Promise.all(stale.map(job => fs.rm(this.filePath(job.id), { force: true })));
+        return stale.length;
+    }
+}
+
+// Create and export queue instance
+const jobQueue = new JobQueue();
+export default jobQueue;
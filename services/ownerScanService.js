@@ -0,0 +1,147 @@
+import githubService from './githubService.js';
+import analysisService from './analysisService.js';
+import cardRenderer from './cardRenderer.js';
+import { rankRepositories } from './repositoryRanking.js';
+import { DEFAULT_HOST } from './forgeService.js';
+
+// Repositories listed per owner, most recently pushed first
+const MAX_REPOSITORIES = 300;
+
+// Beginner issues searched per owner
+const MAX_ISSUES = 200;
+
+/**
+ * Scans every public repository of a user or organization for contribution
+ * opportunities. A scan lists the repositories, searches their beginner
+ * issues in one owner-wide query and ranks the repositories; it is kept for
+ * a while so paging through the results does not hit GitHub again.
+ */
+class OwnerScanService {
+    constructor() {
+        // Scans by lowercase owner, prefixed with the token digest for user
+        // tokens. Map keeps insertion order, so the first key is the least
+        // recently used.
+        this.scans = new Map();
+        this.maxScans = 20;
+        this.scanTtlMs = 10 * 60 * 1000;
+    }
+    
+    /**
+     * Lists, searches and ranks an owner's repositories
+     * @param {string} owner - Login of the user or organization
+     * @param {GitHubService} forge - GitHub adapter the scan is fetched with
+     * @returns {Promise<Object>} - Scan with owner, repositories, skipped, beginnerIssues, truncated and scannedAt
+     */
+    async runScan(owner, forge) {
+        const account = await forge.getOwner(owner);
+        const [{ repositories, truncated }, issues] = await Promise.all([
+            forge.getOwnerRepositories(account.login, account.type, { maxRepositories: MAX_REPOSITORIES }),
+            forge.getOwnerBeginnerIssues(account.login, account.type, { maxIssues: MAX_ISSUES })
+        ]);
+        const ranked = rankRepositories(repositories, issues);
+        
+        return {
+            owner: {
+                login: account.login,
+                type: account.type,
+                isOrganization: account.type === 'Organization',
+                name: account.name || account.login,
+                url: account.html_url,
+                avatarUrl: account.avatar_url
+            },
+            repositories: ranked.repositories,
+            skipped: ranked.skipped,
+            beginnerIssues: issues.length,
+            truncated,
+            scannedAt: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Gets the scan of an owner, reusing a recent one unless refresh is set
+     * @param {string} owner - Login of the user or organization
+     * @param {boolean} [refresh] - Scan again even when a recent scan exists
+     * @param {GitHubService} [forge] - GitHub adapter, one with a user-supplied token included
+     * @returns {Promise<Object>} - Scan, see runScan
+     */
+    async getScan(owner, refresh = false, forge = githubService) {
+        // Scans made with a user's token are only reused for that token; other
+        // GitHub instances are keyed by host
+        const account = (forge.host === DEFAULT_HOST ? owner : `${forge.host}/${owner}`).toLowerCase();
+        const key = forge.tokenDigest ? `${forge.tokenDigest}:${account}` : account;
+        const existing = this.scans.get(key);
+        this.scans.delete(key);
+        
+        if (existing && !refresh && Date.now() - existing.startedAt <= this.scanTtlMs) {
+            // Re-inserted so it becomes the most recently used
+            this.scans.set(key, existing);
+            return existing.pending;
+        }
+        
+        const entry = { startedAt: Date.now(), pending: this.runScan(owner, forge) };
+        this.scans.set(key, entry);
+        entry.pending.catch(() => {
+            if (this.scans.get(key) === entry) {
+                this.scans.delete(key);
+            }
+        });
+        if (this.scans.size > this.maxScans) {
+            this.scans.delete(this.scans.keys().next().value);
+        }
+        
+        return entry.pending;
+    }
+    
+    /**
+     * Scans an owner and returns one page of its ranked repositories
+     * @param {string} owner - Login of the user or organization
+     * @param {Object} [options]
+     * @param {number} [options.page] - 1-based page number
+     * @param {number} [options.perPage] - Repositories per page
+     * @param {boolean} [options.refresh] - Scan again even when a recent scan exists
+     * @param {GitHubService} [options.forge] - GitHub adapter, github.com with the configured token by default
+     * @returns {Promise<Object>} - { owner, summary, repositories, pagination, rendered, metadata }
+     */
+    async scan(owner, { page = 1, perPage = 10, refresh = false, forge = githubService } = {}) {
+        const scan = await this.getScan(owner, refresh, forge);
+        const total = scan.repositories.length;
+        const totalPages = Math.max(1, Math.ceil(total / perPage));
+        const current = Math.min(page, totalPages);
+        const offset = (current - 1) * perPage;
+        const repositories = scan.repositories.slice(offset, offset + perPage)
+            .map((repository, index) => ({ rank: offset + index + 1, ...repository }));
+        
+        const summary = {
+            repositoriesRanked: total,
+            repositoriesWithBeginnerIssues: scan.repositories.filter(repository => repository.beginnerIssueCount > 0).length,
+            beginnerIssues: scan.beginnerIssues,
+            skipped: { ...scan.skipped, total: scan.skipped.forks + scan.skipped.archived },
+            truncated: scan.truncated
+        };
+        const pagination = {
+            page: current,
+            perPage,
+            total,
+            totalPages,
+            paged: totalPages > 1,
+            previousPage: current > 1 ? current - 1 : null,
+            nextPage: current < totalPages ? current + 1 : null
+        };
+        
+        return {
+            owner: scan.owner,
+            summary,
+            repositories,
+            pagination,
+            rendered: cardRenderer.render('ownerScan', { owner: scan.owner, summary, repositories, pagination }),
+            metadata: {
+                scannedAt: scan.scannedAt,
+                apiStatus: analysisService.buildApiStatus(forge)
+            }
+        };
+    }
+}
+
+// Create and export service instance
+const ownerScanService = new OwnerScanService();
+export default ownerScanService;
@@ -0,0 +1,65 @@
+import crypto from 'crypto';
+
+/**
+ * Deterministic offline provider for tests and local development.
+ * The same prompt always produces the same response, and no network is used.
+ */
+class FakeProvider {
+    /**
+     * @param {Object} [options] - Provider settings
+     * @param {string} [options.model] - Model name echoed in responses
+     * @param {number} [options.maxTokens] - Upper bound for words per response
+     */
+    constructor({ model = 'fake-model', maxTokens = 1024 } = {}) {
+        this.name = 'Fake provider';
+        this.model = model;
+        this.maxTokens = maxTokens;
+    }
+    
+    /**
+     * Builds a canned response from the prompt
+     * @param {string} prompt - The prompt to send
+     * @param {Object} [options] - Request options
+     * @param {number} [options.maxTokens] - Maximum words in response
+     * @param {Function} [options.onToken] - Called with each word when provided
+     * @param {boolean} [options.json] - Wrap the text in a JSON object with a summary field
+     * @returns {Promise<Object>} - Object with content and usage properties
+     */
+    async complete(prompt, { maxTokens = this.maxTokens, onToken = null, json = false } = {}) {
+        const digest = crypto.createHash('sha1').update(prompt).digest('hex').slice(0, 8);
+        const subject = prompt.match(/"([^"]+)"/);
+        
+        const text = [
+            `Fake analysis ${digest} from ${this.model}`,
+            `for ${subject ? subject[1] : 'this repository'}.`
+        ].join(' ').split(' ').slice(0, Math.min(maxTokens, this.maxTokens)).join(' ');
+        
+        const content = json ? JSON.stringify({ summary: text }) : text;
+        const words = content.split(' ');
+        
+        if (typeof onToken === 'function') {
+            words.forEach((word, index) => onToken(index === 0 ? word : ` ${word}`));
+        }
+        
+        return {
+            content,
+            usage: {
+                prompt_tokens: prompt.split(/\s+/).length,
+                completion_tokens: words.length
+            }
+        };
+    }
+    
+    /**
+     * Describes the provider for status output
+     * @returns {Object} - Provider name and model
+     */
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model
+        };
+    }
+}
+
+export default FakeProvider;
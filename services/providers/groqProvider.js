@@ -0,0 +1,19 @@
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+
+/**
+ * Groq cloud provider: the OpenAI-compatible protocol with Groq defaults
+ */
+class GroqProvider extends OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - Provider settings, see OpenAICompatibleProvider
+     */
+    constructor({ apiKey, baseURL = 'https://api.groq.com/openai/v1', model = 'llama3-70b-8192', ...options }) {
+        if (!apiKey) {
+            throw new Error('Groq API key is not configured. Please set GROQ_API_KEY environment variable.');
+        }
+        
+        super({ ...options, apiKey, baseURL, model, name: 'Groq API' });
+    }
+}
+
+export default GroqProvider;
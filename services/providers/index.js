@@ -0,0 +1,53 @@
+import GroqProvider from './groqProvider.js';
+import OpenAICompatibleProvider from './openAICompatibleProvider.js';
+import FakeProvider from './fakeProvider.js';
+import config from '../config.js';
+
+/**
+ * Creates the LLM provider selected by llm.provider (groq, openai or fake),
+ * with the model, temperature, token and rate limit settings of that provider
+ * @param {Object} [settings] - llm section of the configuration
+ * @returns {Object} - Object with provider and rateLimit properties
+ */
+function createProvider(settings = config.get().llm) {
+    switch (settings.provider) {
+        case 'groq': {
+            const { apiKey, baseURL, model, temperature, maxTokens, requestsPerMinute, tokensPerMinute } = settings.groq;
+            return {
+                provider: new GroqProvider({
+                    apiKey,
+                    baseURL: baseURL || undefined,
+                    model: model || undefined,
+                    temperature,
+                    maxTokens
+                }),
+                rateLimit: { requestsPerMinute, tokensPerMinute }
+            };
+        }
+            
+        case 'openai': {
+            const { apiKey, baseURL, model, temperature, maxTokens, requestsPerMinute, tokensPerMinute } = settings.openai;
+            return {
+                provider: new OpenAICompatibleProvider({ baseURL, apiKey, model, temperature, maxTokens }),
+                rateLimit: { requestsPerMinute, tokensPerMinute }
+            };
+        }
+            
+        case 'fake':
+            return {
+                provider: new FakeProvider({
+                    model: settings.fake.model || undefined,
+                    maxTokens: settings.fake.maxTokens
+                }),
+                rateLimit: {
+                    requestsPerMinute: Infinity,
+                    tokensPerMinute: Infinity
+                }
+            };
+            
+        default:
+            throw new Error(`Unknown LLM provider "${settings.provider}". Expected one of: groq, openai, fake`);
+    }
+}
+
+export { createProvider };
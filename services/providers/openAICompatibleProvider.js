@@ -0,0 +1,188 @@
+import fetch from 'node-fetch';
+import { StringDecoder } from 'string_decoder';
+import { parseRetryAfter, isTransientNetworkError } from '../requestScheduler.js';
+
+/**
+ * Chat completion provider for any server speaking the OpenAI
+ * /chat/completions protocol (OpenAI, Ollama, llama.cpp, vLLM, LM Studio...)
+ */
+class OpenAICompatibleProvider {
+    /**
+     * @param {Object} options - Provider settings
+     * @param {string} options.baseURL - API base URL, e.g. http://localhost:11434/v1
+     * @param {string} options.model - Model name sent with every request
+     * @param {string} [options.apiKey] - Bearer token, omitted when empty
+     * @param {number} [options.temperature] - Sampling temperature
+     * @param {number} [options.topP] - Nucleus sampling value
+     * @param {number} [options.maxTokens] - Upper bound for completion tokens per request
+     * @param {string} [options.name] - Provider name used in logs and errors
+     */
+    constructor({ baseURL, model, apiKey = null, temperature = 0.7, topP = 0.9, maxTokens = 1024, name = 'OpenAI-compatible API' }) {
+        if (!baseURL) {
+            throw new Error(`${name} base URL is not configured`);
+        }
+        if (!model) {
+            throw new Error(`${name} model is not configured`);
+        }
+        
+        this.name = name;
+        this.baseURL = baseURL.replace(/\/+$/, '');
+        this.model = model;
+        this.apiKey = apiKey;
+        this.temperature = temperature;
+        this.topP = topP;
+        this.maxTokens = maxTokens;
+        
+        const headers = {
+            'Content-Type': 'application/json',
+            'Accept': 'application/json'
+        };
+        
+        if (this.apiKey) {
+            headers.Authorization = `Bearer ${this.apiKey}`;
+        }
+        
+        this.headers = Object.freeze(headers);
+    }
+    
+    /**
+     * Runs a single-prompt chat completion
+     * @param {string} prompt - The prompt to send
+     * @param {Object} [options] - Request options
+     * @param {number} [options.maxTokens] - Maximum tokens in response, capped at the provider limit
+     * @param {Function} [options.onToken] - Called with each content delta; enables streaming when provided
+     * @param {boolean} [options.json] - Request a JSON object response
+     * @returns {Promise<Object>} - Object with content and usage properties
+     */
+    async complete(prompt, { maxTokens = this.maxTokens, onToken = null, json = false } = {}) {
+        const payload = {
+            model: this.model,
+            messages: [
+                {
+                    role: 'user',
+                    content: prompt
+                }
+            ],
+            max_tokens: Math.min(maxTokens, this.maxTokens),
+            temperature: this.temperature,
+            top_p: this.topP,
+            stream: typeof onToken === 'function'
+        };
+        
+        // JSON mode is not available together with streaming on every server,
+        // so streamed requests rely on the prompt alone
+        if (json && !payload.stream) {
+            payload.response_format = { type: 'json_object' };
+        }
+        
+        try {
+            const response = await fetch(`${this.baseURL}/chat/completions`, {
+                method: 'POST',
+                headers: this.headers,
+                body: JSON.stringify(payload)
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.text();
+                let error;
+                
+                if (response.status === 429) {
+                    error = new Error(`${this.name} rate limit exceeded. Please wait a moment and try again.`);
+                } else if (response.status === 401) {
+                    error = new Error(`${this.name} authentication failed. Please check your API key.`);
+                } else {
+                    error = new Error(`${this.name} error: ${response.status} ${response.statusText} - ${errorData}`);
+                }
+                
+                error.status = response.status;
+                error.retryable = response.status === 429 || response.status === 408 || response.status >= 500;
+                error.retryAfterMs = parseRetryAfter(response.headers.get('retry-after'));
+                throw error;
+            }
+            
+            if (payload.stream) {
+                return await this.readStream(response, onToken);
+            }
+            
+            const data = await response.json();
+            
+            if (!data.choices || !data.choices[0] || !data.choices[0].message) {
+                throw new Error(`Unexpected response format from ${this.name}`);
+            }
+            
+            return {
+                content: data.choices[0].message.content.trim(),
+                usage: data.usage || null
+            };
+            
+        } catch (error) {
+            if (isTransientNetworkError(error)) {
+                const networkError = new Error(`Unable to connect to ${this.name} at ${this.baseURL}.`);
+                networkError.retryable = true;
+                throw networkError;
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Reads a streamed chat completion, forwarding each content delta as it arrives
+     * @param {Object} response - Streaming fetch response
+     * @param {Function} onToken - Called with each content delta
+     * @returns {Promise<Object>} - Object with content and usage properties
+     */
+    async readStream(response, onToken) {
+        let buffer = '';
+        let content = '';
+        let usage = null;
+        
+        // Keeps a multibyte character split across chunks whole
+        const decoder = new StringDecoder('utf8');
+        
+        const handleLine = (line) => {
+            if (!line.startsWith('data:')) {
+                return;
+            }
+            
+            const data = line.slice(5).trim();
+            if (!data || data === '[DONE]') {
+                return;
+            }
+            
+            const chunk = JSON.parse(data);
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (delta && delta.content) {
+                content += delta.content;
+                onToken(delta.content);
+            }
+            
+            // Groq reports usage on the final chunk under x_groq
+            usage = chunk.usage || (chunk.x_groq && chunk.x_groq.usage) || usage;
+        };
+        
+        for await (const chunk of response.body) {
+            buffer += decoder.write(chunk);
+            
+            const lines = buffer.split('\n');
+            buffer = lines.pop();
+            lines.forEach(line => handleLine(line.trim()));
+        }
+        buffer += decoder.end();
+        handleLine(buffer.trim());
+        
+        return { content: content.trim(), usage };
+    }
+    
+    /**
+     * Describes the provider for status output
+     * @returns {Object} - Provider name and model
+     */
+    describe() {
+        return {
+            provider: this.name,
+            model: this.model
+        };
+    }
+}
+
+export default OpenAICompatibleProvider;
@@ -0,0 +1,63 @@
+import util from 'util';
+
+// Replaces every secret in log output
+const REDACTED = '[REDACTED]';
+
+// Token formats redacted even when they are not configured, such as the
+// tokens clients send with their requests
+const TOKEN_PATTERNS = [
+    /\bgh[pousr]_[A-Za-z0-9_]{36,255}\b/g,
+    /\bgithub_pat_[A-Za-z0-9_]{22,255}\b/g,
+    /\bglpat-[A-Za-z0-9_-]{20,}\b/g,
+    /\bgsk_[A-Za-z0-9]{20,}\b/g,
+    /\bsk-[A-Za-z0-9_-]{20,}\b/g
+];
+
+// Credentials in header-like text: "Authorization: Bearer x", "PRIVATE-TOKEN: x"
+const HEADER_PATTERN = /\b(authorization|private-token|x-github-token)(["']?\s*[:=]\s*["']?)(?:(?:token|bearer|basic)\s+)?[^\s"',}]+/gi;
+
+// Configured secret values, longest first so a secret containing another is replaced whole
+let secrets = [];
+
+// Set once the console methods are wrapped
+let consoleRedacted = false;
+
+/**
+ * Adds a value to redact from every log line
+ * @param {string} value - Secret, ignored when too short to be one
+ */
+function registerSecret(value) {
+    if (typeof value !== 'string' || value.trim().length < 8 || secrets.includes(value.trim())) {
+        return;
+    }
+    secrets = [...secrets, value.trim()].sort((a, b) => b.length - a.length);
+}
+
+/**
+ * Removes secrets from a piece of text
+ * @param {string} text - Text to clean
+ * @returns {string} - Text with secrets replaced by [REDACTED]
+ */
+function redact(text) {
+    let clean = secrets.reduce((result, secret) => result.split(secret).join(REDACTED), String(text));
+    clean = TOKEN_PATTERNS.reduce((result, pattern) => result.replace(pattern, REDACTED), clean);
+    return clean.replace(HEADER_PATTERN, `$1$2${REDACTED}`);
+}
+
+/**
+ * Redacts secrets from everything written through the console. The
+ * arguments are formatted the way console.log would before being cleaned.
+ */
+function installConsoleRedaction() {
+    if (consoleRedacted) {
+        return;
+    }
+    
+    ['log', 'info', 'warn', 'error', 'debug'].forEach(method => {
+        const write = console[method].bind(console);
+        console[method] = (...args) => write(redact(util.format(...args)));
+    });
+    consoleRedacted = true;
+}
+
+export { registerSecret, redact, installConsoleRedaction };
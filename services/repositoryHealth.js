@@ -0,0 +1,229 @@
+/**
+ * Deterministic repository health metrics computed from GitHub activity
+ * (see githubService.getRepositoryActivity), with a 0-100 score per area
+ * and an overall weighted score.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const HOUR_MS = 60 * 60 * 1000;
+
+// A branch whose head commit is older than this counts as stale
+const STALE_BRANCH_DAYS = 90;
+
+// Weights of each area in the overall score
+const WEIGHTS = {
+    responsiveness: 0.25,
+    mergeRate: 0.15,
+    busFactor: 0.2,
+    releaseCadence: 0.1,
+    activity: 0.2,
+    branchHygiene: 0.1
+};
+
+/**
+ * Median of a list of numbers, or null when empty
+ */
+function median(values) {
+    if (values.length === 0) {
+        return null;
+    }
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Rounds to one decimal place, keeping null
+ */
+function round(value) {
+    return value === null ? null : Math.round(value * 10) / 10;
+}
+
+/**
+ * Picks the score of the first threshold the value is within
+ * @param {number|null} value - Measured value
+ * @param {Array<Array<number>>} thresholds - [limit, score] pairs in ascending limit order
+ * @param {number} otherwise - Score above every limit
+ * @returns {number|null} - Score, or null when the value is unknown
+ */
+function scoreBelow(value, thresholds, otherwise) {
+    if (value === null) {
+        return null;
+    }
+    const match = thresholds.find(([limit]) => value <= limit);
+    return match ? match[1] : otherwise;
+}
+
+/**
+ * Median hours until someone other than the author first commented, split by issues and pull requests
+ */
+function computeResponseTimes(issues, comments) {
+    const issueHours = [];
+    const pullHours = [];
+    let unanswered = 0;
+    
+    issues.forEach(issue => {
+        const responses = comments.filter(comment => comment.issue_url.endsWith(`/${issue.number}`) && comment.user && issue.user && comment.user.login !== issue.user.login);
+        if (responses.length === 0) {
+            if (issue.state === 'open') {
+                unanswered++;
+            }
+            return;
+        }
+        const first = Math.min(...responses.map(comment => Date.parse(comment.created_at)));
+        const hours = (first - Date.parse(issue.created_at)) / HOUR_MS;
+        if (hours >= 0) {
+            (issue.pull_request ? pullHours : issueHours).push(hours);
+        }
+    });
+    
+    return {
+        issueFirstResponseHours: round(median(issueHours)),
+        pullRequestFirstResponseHours: round(median(pullHours)),
+        unansweredOpenItems: unanswered
+    };
+}
+
+/**
+ * Smallest number of contributors accounting for half of all contributions
+ */
+function computeBusFactor(contributors) {
+    const counts = contributors.map(contributor => contributor.contributions || 0).sort((a, b) => b - a);
+    const total = counts.reduce((sum, count) => sum + count, 0);
+    if (total === 0) {
+        return null;
+    }
+    
+    let running = 0;
+    for (let index = 0; index < counts.length; index++) {
+        running += counts[index];
+        if (running >= total / 2) {
+            return index + 1;
+        }
+    }
+    return counts.length;
+}
+
+/**
+ * Formats a duration in hours for display
+ */
+function formatHours(hours) {
+    return hours < 48 ? `${Math.round(hours)}h` : `${Math.round(hours / 24)} days`;
+}
+
+/**
+ * Describes each scored area in a sentence for cards and prompts
+ * @param {Object} metrics - Computed metrics
+ * @param {Object} scores - Scores per area
+ * @returns {Array<Object>} - Rows with area, label, value, score and scored (false when there was no data)
+ */
+function describeAreas(metrics, scores) {
+    const rows = [];
+    const add = (area, label, value) => rows.push({ area, label, value, score: scores[area], scored: scores[area] !== null });
+    
+    const response = [
+        metrics.issueFirstResponseHours !== null && `issues ${formatHours(metrics.issueFirstResponseHours)}`,
+        metrics.pullRequestFirstResponseHours !== null && `pull requests ${formatHours(metrics.pullRequestFirstResponseHours)}`
+    ].filter(Boolean);
+    add('responsiveness', 'Responsiveness', response.length > 0
+        ? `Median first response: ${response.join(', ')}; ${metrics.unansweredOpenItems} open item(s) unanswered`
+        : 'No recent issues or pull requests with replies');
+    
+    add('mergeRate', 'Merge rate', metrics.pullRequestMergeRate !== null
+        ? `${metrics.pullRequestMergeRate}% of recently closed pull requests merged${metrics.pullRequestMergeHours !== null ? `, median ${formatHours(metrics.pullRequestMergeHours)} to merge` : ''}`
+        : 'No closed pull requests');
+    
+    add('busFactor', 'Bus factor', metrics.busFactor !== null
+        ? `${metrics.busFactor} of ${metrics.contributorCount} contributor(s) made half of all contributions`
+        : 'No contributor data');
+    
+    add('releaseCadence', 'Releases', metrics.daysSinceLastRelease !== null
+        ? `Last release ${Math.round(metrics.daysSinceLastRelease)} days ago${metrics.medianDaysBetweenReleases !== null ? `, typically every ${Math.round(metrics.medianDaysBetweenReleases)} days` : ''}`
+        : 'No published releases');
+    
+    add('activity', 'Commit activity', `${metrics.commitsInPeriod >= 100 ? '100+' : metrics.commitsInPeriod} commit(s) by ${metrics.commitAuthorsInPeriod} author(s) in the last ${metrics.periodDays} days`);
+    
+    add('branchHygiene', 'Branches', metrics.branchesChecked > 0
+        ? `${metrics.staleBranches} of ${metrics.branchesChecked} checked branch(es) untouched for ${STALE_BRANCH_DAYS}+ days (${metrics.branchCount} total)`
+        : 'No branch data');
+    
+    return rows;
+}
+
+/**
+ * Computes health metrics and scores
+ * @param {Object} activity - Result of githubService.getRepositoryActivity
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} - Object with score, grade, metrics, scores and areas (display rows) properties
+ */
+function computeHealth(activity, now = Date.now()) {
+    const { stats, issues, pulls, comments, commits, branchDates, days } = activity;
+    
+    const responseTimes = computeResponseTimes(issues, comments);
+    
+    const merged = pulls.filter(pull => pull.merged_at);
+    const mergeRate = pulls.length > 0 ? merged.length / pulls.length : null;
+    const mergeHours = median(merged.map(pull => (Date.parse(pull.merged_at) - Date.parse(pull.created_at)) / HOUR_MS));
+    
+    const busFactor = computeBusFactor(stats.contributors);
+    
+    const releaseDates = stats.releases
+        .map(release => Date.parse(release.published_at || release.created_at))
+        .filter(date => !Number.isNaN(date))
+        .sort((a, b) => b - a);
+    const releaseIntervals = releaseDates.slice(1).map((date, index) => (releaseDates[index] - date) / DAY_MS);
+    const daysSinceLastRelease = releaseDates.length > 0 ? (now - releaseDates[0]) / DAY_MS : null;
+    
+    const checkedBranches = branchDates.filter(branch => branch.committedAt);
+    const staleBranches = checkedBranches.filter(branch => (now - Date.parse(branch.committedAt)) / DAY_MS > STALE_BRANCH_DAYS);
+    
+    const commitAuthors = new Set(commits.map(commit => (commit.author && commit.author.login) || (commit.commit && commit.commit.author.email)));
+    
+    const metrics = {
+        issueFirstResponseHours: responseTimes.issueFirstResponseHours,
+        pullRequestFirstResponseHours: responseTimes.pullRequestFirstResponseHours,
+        unansweredOpenItems: responseTimes.unansweredOpenItems,
+        pullRequestMergeRate: round(mergeRate === null ? null : mergeRate * 100),
+        pullRequestMergeHours: round(mergeHours),
+        contributorCount: stats.contributorCount,
+        busFactor,
+        releaseCount: stats.releaseCount,
+        medianDaysBetweenReleases: round(median(releaseIntervals)),
+        daysSinceLastRelease: round(daysSinceLastRelease),
+        branchCount: stats.branchCount,
+        branchesChecked: checkedBranches.length,
+        staleBranches: staleBranches.length,
+        // The commits endpoint returns one page, so 100 means "100 or more"
+        commitsInPeriod: commits.length,
+        commitAuthorsInPeriod: commitAuthors.size,
+        periodDays: days
+    };
+    
+    const responseHours = median([metrics.issueFirstResponseHours, metrics.pullRequestFirstResponseHours].filter(value => value !== null));
+    
+    const scores = {
+        responsiveness: scoreBelow(responseHours, [[48, 100], [168, 70], [720, 40]], 10),
+        mergeRate: mergeRate === null ? null : Math.round(mergeRate * 100),
+        busFactor: scoreBelow(busFactor, [[1, 20], [2, 50], [4, 75]], 100),
+        releaseCadence: stats.releaseCount === 0 ? null : scoreBelow(daysSinceLastRelease, [[90, 100], [365, 60]], 20),
+        activity: commits.length >= 50 ? 100 : commits.length >= 10 ? 70 : commits.length >= 1 ? 40 : 0,
+        branchHygiene: checkedBranches.length > 0 ? Math.round(100 * (1 - staleBranches.length / checkedBranches.length)) : null
+    };
+    
+    // Areas without data are left out of the weighted average
+    const known = Object.entries(scores).filter(([, value]) => value !== null);
+    const weight = known.reduce((sum, [area]) => sum + WEIGHTS[area], 0);
+    const score = weight > 0
+        ? Math.round(known.reduce((sum, [area, value]) => sum + value * WEIGHTS[area], 0) / weight)
+        : null;
+    
+    return {
+        score,
+        grade: score === null ? null : score >= 85 ? 'A' : score >= 70 ? 'B' : score >= 55 ? 'C' : score >= 40 ? 'D' : 'F',
+        metrics,
+        scores,
+        areas: describeAreas(metrics, scores)
+    };
+}
+
+export { computeHealth };
@@ -0,0 +1,161 @@
+import { rankIssues } from './issueRanking.js';
+
+/**
+ * Scores an owner's repositories for newcomer-readiness.
+ *
+ * Works from the repository listing and one owner-wide issue search, so a
+ * whole organization can be ranked without analyzing every repository.
+ * Like issue ranking, every factor records a human-readable reason.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Beginner issues shown per repository
+const ISSUES_PER_REPOSITORY = 3;
+
+// Topics maintainers use to invite newcomers
+const NEWCOMER_TOPICS = ['good-first-issue', 'good-first-issues', 'first-timers-only', 'beginner-friendly', 'hacktoberfest'];
+
+/**
+ * Groups search results by the full name of their repository
+ * @param {Array<Object>} issues - Issues from the search API
+ * @returns {Map<string, Array<Object>>} - Issues keyed by lowercase owner/repo
+ */
+function groupIssuesByRepository(issues) {
+    const grouped = new Map();
+    
+    issues.forEach(issue => {
+        const match = (issue.repository_url || '').match(/\/repos\/([^/]+\/[^/]+)$/);
+        if (!match) {
+            return;
+        }
+        
+        const fullName = match[1].toLowerCase();
+        if (!grouped.has(fullName)) {
+            grouped.set(fullName, []);
+        }
+        grouped.get(fullName).push(issue);
+    });
+    
+    return grouped;
+}
+
+/**
+ * Scores one repository
+ * @param {Object} repository - Repository from the GitHub API listing
+ * @param {Array<Object>} rankedIssues - Its beginner issues, ranked by rankIssues
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} - Object with score and reasons properties
+ */
+function scoreRepository(repository, rankedIssues, now) {
+    let score = 0;
+    const reasons = [];
+    
+    const unclaimed = rankedIssues.filter(issue => !issue.assigned && issue.score > 0);
+    if (unclaimed.length > 0) {
+        score += Math.min(60, unclaimed.length * 20);
+        reasons.push(`${unclaimed.length} open, unclaimed beginner issue${unclaimed.length === 1 ? '' : 's'}`);
+    } else if (rankedIssues.length > 0) {
+        score += 5;
+        reasons.push('Beginner issues are all claimed');
+    } else {
+        score -= 10;
+        reasons.push('No labeled beginner issues');
+    }
+    
+    if (repository.has_issues === false) {
+        score -= 30;
+        reasons.push('Issues are disabled');
+    }
+    
+    const pushedDaysAgo = (now - Date.parse(repository.pushed_at)) / DAY_MS;
+    if (pushedDaysAgo <= 30) {
+        score += 20;
+        reasons.push('Pushed to in the last month');
+    } else if (pushedDaysAgo <= 180) {
+        score += 10;
+        reasons.push('Pushed to in the last six months');
+    } else if (pushedDaysAgo > 365) {
+        score -= 20;
+        reasons.push('No pushes for over a year');
+    }
+    
+    const stars = repository.stargazers_count || 0;
+    if (stars > 0) {
+        // Community size helps, with diminishing returns
+        score += Math.min(15, Math.round(Math.log10(stars + 1) * 5));
+        reasons.push(`${stars} star${stars === 1 ? '' : 's'}`);
+    }
+    
+    if (repository.license) {
+        score += 5;
+    } else {
+        score -= 5;
+        reasons.push('No license');
+    }
+    
+    if (!repository.description) {
+        score -= 5;
+        reasons.push('No description');
+    }
+    
+    const topics = (repository.topics || []).filter(topic => NEWCOMER_TOPICS.includes(topic));
+    if (topics.length > 0) {
+        score += 5;
+        reasons.push(`Tagged ${topics.join(', ')}`);
+    }
+    
+    return { score, reasons };
+}
+
+/**
+ * Ranks an owner's repositories, best first. Forks and archived
+ * repositories are left out, since newcomers cannot contribute to them.
+ * @param {Array<Object>} repositories - Repositories from the GitHub API listing
+ * @param {Array<Object>} issues - Beginner issues of the owner, from the search API
+ * @returns {Object} - Object with repositories (ranked, with score, reasons and issues) and skipped counts
+ */
+function rankRepositories(repositories, issues) {
+    const now = Date.now();
+    const issuesByRepository = groupIssuesByRepository(issues);
+    const skipped = { forks: 0, archived: 0 };
+    
+    const ranked = repositories
+        .filter(repository => {
+            if (repository.archived || repository.disabled) {
+                skipped.archived++;
+                return false;
+            }
+            if (repository.fork) {
+                skipped.forks++;
+                return false;
+            }
+            return true;
+        })
+        .map(repository => {
+            const rankedIssues = rankIssues([issuesByRepository.get(repository.full_name.toLowerCase()) || []], [], Infinity);
+            const { score, reasons } = scoreRepository(repository, rankedIssues, now);
+            
+            return {
+                name: repository.name,
+                fullName: repository.full_name,
+                url: repository.html_url,
+                description: repository.description || '',
+                language: repository.language || null,
+                stars: repository.stargazers_count || 0,
+                license: repository.license ? (repository.license.spdx_id || repository.license.name) : null,
+                pushedAt: repository.pushed_at,
+                beginnerIssueCount: rankedIssues.length,
+                issues: rankedIssues.slice(0, ISSUES_PER_REPOSITORY).map(({ number, title, url, labels, score: issueScore }) => ({
+                    number, title, url, labels, score: issueScore
+                })),
+                score,
+                reasons
+            };
+        })
+        .sort((a, b) => b.score - a.score || b.stars - a.stars);
+    
+    return { repositories: ranked, skipped };
+}
+
+export { rankRepositories };
@@ -0,0 +1,249 @@
+/**
+ * Deterministic analysis of a repository's file tree and manifests: what the
+ * top-level directories are, which languages and frameworks are used, how to
+ * build and test it and where execution starts. The architecture card prompt
+ * is grounded in these facts.
+ */
+
+// Manifests fetched when present, matched against full paths
+const MANIFEST_PATTERNS = [
+    /^package\.json$/,
+    /^pyproject\.toml$/,
+    /^requirements\.txt$/,
+    /^setup\.py$/,
+    /^go\.mod$/,
+    /^Cargo\.toml$/,
+    /^pom\.xml$/,
+    /^build\.gradle(\.kts)?$/,
+    /^composer\.json$/,
+    /^Gemfile$/,
+    /^Makefile$/,
+    /^Dockerfile$/,
+    /^docker-compose\.ya?ml$/,
+    /^\.github\/workflows\/[^/]+\.ya?ml$/
+];
+
+// Most workflows repeat each other, so only a few are read
+const MAX_WORKFLOWS = 3;
+
+const LANGUAGE_EXTENSIONS = {
+    js: 'JavaScript', mjs: 'JavaScript', cjs: 'JavaScript', jsx: 'JavaScript',
+    ts: 'TypeScript', tsx: 'TypeScript',
+    py: 'Python', go: 'Go', rs: 'Rust', java: 'Java', kt: 'Kotlin',
+    rb: 'Ruby', php: 'PHP', cs: 'C#', cpp: 'C++', cc: 'C++', c: 'C', h: 'C',
+    swift: 'Swift', scala: 'Scala', dart: 'Dart', ex: 'Elixir', exs: 'Elixir',
+    vue: 'Vue', svelte: 'Svelte', sh: 'Shell', lua: 'Lua', r: 'R'
+};
+
+// Dependency name to framework, checked across package.json, pyproject, go.mod and Cargo.toml
+const FRAMEWORK_DEPENDENCIES = {
+    react: 'React', next: 'Next.js', vue: 'Vue', nuxt: 'Nuxt', svelte: 'Svelte', '@angular/core': 'Angular',
+    express: 'Express', fastify: 'Fastify', koa: 'Koa', '@nestjs/core': 'NestJS', hbs: 'Handlebars',
+    electron: 'Electron', jest: 'Jest', vitest: 'Vitest', mocha: 'Mocha', typescript: 'TypeScript compiler',
+    django: 'Django', flask: 'Flask', fastapi: 'FastAPI', pytest: 'pytest', numpy: 'NumPy', pandas: 'pandas',
+    'github.com/gin-gonic/gin': 'Gin', 'github.com/labstack/echo': 'Echo', 'github.com/spf13/cobra': 'Cobra',
+    tokio: 'Tokio', actix: 'Actix', 'actix-web': 'Actix Web', axum: 'Axum', serde: 'Serde'
+};
+
+// Conventional roles of top-level directories
+const DIRECTORY_ROLES = {
+    src: 'Source code', lib: 'Library code', app: 'Application code', cmd: 'Command entry points',
+    pkg: 'Packages', internal: 'Internal packages', bin: 'Executables', api: 'API definitions',
+    controllers: 'Request handlers', routes: 'Route definitions', services: 'Business logic and API clients',
+    models: 'Data models', views: 'Templates', components: 'UI components', pages: 'Pages',
+    public: 'Static assets', static: 'Static assets', assets: 'Assets',
+    test: 'Tests', tests: 'Tests', __tests__: 'Tests', spec: 'Tests', e2e: 'End-to-end tests',
+    docs: 'Documentation', doc: 'Documentation', examples: 'Examples', scripts: 'Tooling scripts',
+    config: 'Configuration', '.github': 'GitHub workflows and templates', ci: 'CI configuration',
+    migrations: 'Database migrations', packages: 'Monorepo packages', tools: 'Tooling', build: 'Build output'
+};
+
+/**
+ * Selects the manifest files to fetch from a tree
+ * @param {Array<Object>} tree - Git tree entries with path and type
+ * @returns {Array<string>} - Paths to fetch
+ */
+function selectManifestPaths(tree) {
+    const paths = tree
+        .filter(entry => entry.type === 'blob' && MANIFEST_PATTERNS.some(pattern => pattern.test(entry.path)))
+        .map(entry => entry.path);
+    
+    const workflows = paths.filter(file => file.startsWith('.github/workflows/'));
+    return paths
+        .filter(file => !file.startsWith('.github/workflows/'))
+        .concat(workflows.slice(0, MAX_WORKFLOWS));
+}
+
+/**
+ * Summarizes the top-level directories of a tree
+ * @param {Array<Object>} tree - Git tree entries
+ * @returns {Array<Object>} - Directories with path, file count, sample files and conventional role
+ */
+function summarizeDirectories(tree) {
+    const directories = new Map();
+    
+    tree.forEach(entry => {
+        const [top, ...rest] = entry.path.split('/');
+        if (rest.length === 0 || entry.type !== 'blob') {
+            return;
+        }
+        
+        if (!directories.has(top)) {
+            directories.set(top, { path: top, fileCount: 0, samples: [], role: DIRECTORY_ROLES[top.toLowerCase()] || null });
+        }
+        
+        const directory = directories.get(top);
+        directory.fileCount++;
+        if (directory.samples.length < 5) {
+            directory.samples.push(entry.path);
+        }
+    });
+    
+    return [...directories.values()].sort((a, b) => b.fileCount - a.fileCount);
+}
+
+/**
+ * Counts files per language by extension
+ * @param {Array<Object>} tree - Git tree entries
+ * @returns {Array<Object>} - Languages with name and file count, most used first
+ */
+function detectLanguages(tree) {
+    const counts = {};
+    
+    tree.forEach(entry => {
+        const extension = entry.type === 'blob' && entry.path.includes('.')
+            ? entry.path.split('.').pop().toLowerCase()
+            : null;
+        const language = LANGUAGE_EXTENSIONS[extension];
+        if (language) {
+            counts[language] = (counts[language] || 0) + 1;
+        }
+    });
+    
+    return Object.entries(counts)
+        .map(([name, files]) => ({ name, files }))
+        .sort((a, b) => b.files - a.files);
+}
+
+/**
+ * Parses package.json, returning null when it is malformed
+ */
+function parsePackageJson(content) {
+    try {
+        return JSON.parse(content);
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Detects frameworks, build/test commands and entry points from manifests
+ * @param {Array<Object>} tree - Git tree entries
+ * @param {Object} manifests - File contents keyed by path
+ * @returns {Object} - Object with frameworks, commands and entryPoints properties
+ */
+function detectTooling(tree, manifests) {
+    const frameworks = new Set();
+    const commands = [];
+    const entryPoints = [];
+    const paths = new Set(tree.map(entry => entry.path));
+    
+    const pkg = manifests['package.json'] ? parsePackageJson(manifests['package.json']) : null;
+    if (pkg) {
+        const dependencies = { ...pkg.dependencies, ...pkg.devDependencies };
+        Object.keys(dependencies).forEach(name => {
+            if (FRAMEWORK_DEPENDENCIES[name]) {
+                frameworks.add(FRAMEWORK_DEPENDENCIES[name]);
+            }
+        });
+        
+        const runner = paths.has('pnpm-lock.yaml') ? 'pnpm' : paths.has('yarn.lock') ? 'yarn' : 'npm';
+        commands.push({ purpose: 'install', command: `${runner} install` });
+        ['build', 'test', 'lint', 'start', 'dev'].forEach(script => {
+            if (pkg.scripts && pkg.scripts[script]) {
+                commands.push({ purpose: script, command: `${runner} run ${script}` });
+            }
+        });
+        
+        if (pkg.main) {
+            entryPoints.push({ path: pkg.main, description: 'package.json main' });
+        }
+        if (pkg.bin) {
+            const bins = typeof pkg.bin === 'string' ? { [pkg.name]: pkg.bin } : pkg.bin;
+            Object.entries(bins).forEach(([name, file]) => {
+                entryPoints.push({ path: file, description: `${name} command` });
+            });
+        }
+    }
+    
+    // Dependency names in the other manifests are matched as whole words
+    ['pyproject.toml', 'requirements.txt', 'go.mod', 'Cargo.toml'].forEach(file => {
+        const content = manifests[file];
+        if (!content) {
+            return;
+        }
+        Object.entries(FRAMEWORK_DEPENDENCIES).forEach(([name, framework]) => {
+            const escaped = name.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+            if (new RegExp(`(^|[\\s"'/])${escaped}([\\s"'=<>~\\[]|$)`, 'mi').test(content)) {
+                frameworks.add(framework);
+            }
+        });
+    });
+    
+    if (manifests['pyproject.toml'] || manifests['requirements.txt']) {
+        commands.push({ purpose: 'install', command: manifests['pyproject.toml'] ? 'pip install -e .' : 'pip install -r requirements.txt' });
+        if (frameworks.has('pytest')) {
+            commands.push({ purpose: 'test', command: 'pytest' });
+        }
+    }
+    if (manifests['go.mod']) {
+        commands.push({ purpose: 'build', command: 'go build ./...' }, { purpose: 'test', command: 'go test ./...' });
+    }
+    if (manifests['Cargo.toml']) {
+        commands.push({ purpose: 'build', command: 'cargo build' }, { purpose: 'test', command: 'cargo test' });
+    }
+    if (manifests['pom.xml']) {
+        commands.push({ purpose: 'build', command: 'mvn package' }, { purpose: 'test', command: 'mvn test' });
+    }
+    if (manifests['Makefile']) {
+        const targets = [...manifests['Makefile'].matchAll(/^([a-zA-Z][\w-]*):/gm)].map(match => match[1]);
+        targets.filter(target => ['build', 'test', 'lint', 'install'].includes(target)).forEach(target => {
+            commands.push({ purpose: target, command: `make ${target}` });
+        });
+    }
+    
+    if (manifests['Dockerfile']) {
+        const start = manifests['Dockerfile'].match(/^\s*(CMD|ENTRYPOINT)\s+(.+)$/mi);
+        if (start) {
+            entryPoints.push({ path: 'Dockerfile', description: `container runs ${start[2].trim()}` });
+        }
+    }
+    
+    // Conventional entry files not declared in any manifest
+    ['main.go', 'main.py', 'app.py', 'manage.py', 'src/main.rs', 'src/index.js', 'src/index.ts', 'index.js', 'app.js', 'server.js']
+        .filter(file => paths.has(file) && !entryPoints.some(entry => entry.path.replace(/^\.\//, '') === file))
+        .forEach(file => entryPoints.push({ path: file, description: 'conventional entry file' }));
+    tree
+        .filter(entry => /^cmd\/[^/]+\/main\.go$/.test(entry.path))
+        .forEach(entry => entryPoints.push({ path: entry.path, description: 'Go command' }));
+    
+    return { frameworks: [...frameworks], commands, entryPoints };
+}
+
+/**
+ * Builds the structure summary used by the architecture card and the response
+ * @param {Object} structure - Result of githubService.getRepositoryStructure
+ * @returns {Object} - Directories, languages, frameworks, commands and entry points
+ */
+function analyzeStructure({ tree, truncated, manifests }) {
+    return {
+        truncated,
+        fileCount: tree.filter(entry => entry.type === 'blob').length,
+        directories: summarizeDirectories(tree),
+        languages: detectLanguages(tree),
+        manifests: Object.keys(manifests),
+        ...detectTooling(tree, manifests)
+    };
+}
+
+export { LANGUAGE_EXTENSIONS, selectManifestPaths, analyzeStructure };
@@ -0,0 +1,234 @@
+const WINDOW_MS = 60000; // 1 minute
+
+// Socket-level failures worth another attempt
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'EPIPE', 'ENOTFOUND'];
+
+/**
+ * Parses a Retry-After header (seconds or HTTP date)
+ * @param {string|null} value - Header value
+ * @returns {number|null} - Delay in milliseconds, or null when absent or invalid
+ */
+function parseRetryAfter(value) {
+    if (!value) {
+        return null;
+    }
+    
+    const seconds = Number(value);
+    if (!Number.isNaN(seconds)) {
+        return Math.max(0, seconds * 1000);
+    }
+    
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Checks whether an error came from a transient network failure
+ * @param {Error} error - Error thrown by fetch
+ * @returns {boolean} - True when the request may succeed if retried
+ */
+function isTransientNetworkError(error) {
+    return TRANSIENT_NETWORK_CODES.includes(error.code) || error.type === 'request-timeout';
+}
+
+/**
+ * Queues API calls against per-minute request and token budgets, retrying
+ * transient failures with jittered exponential backoff.
+ * 
+ * Tasks signal how to retry through properties on the errors they throw:
+ * `retryable` (boolean) and `retryAfterMs` (number, from Retry-After or a
+ * rate limit reset). A retryAfterMs pauses the whole queue, since the server
+ * would reject every other call too.
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options - Scheduler settings
+     * @param {string} options.name - Name used in logs
+     * @param {Object} [options.budget] - Budget tracked and updated in place: requestsPerMinute,
+     *   tokensPerMinute, requestCount, tokenCount and windowStart
+     * @param {number} [options.maxRetries] - Attempts after the first one
+     * @param {number} [options.baseDelayMs] - Backoff delay before the first retry
+     * @param {number} [options.maxDelayMs] - Longest backoff or Retry-After wait before giving up
+     */
+    constructor({ name, budget = null, maxRetries = 3, baseDelayMs = 500, maxDelayMs = 60000 }) {
+        this.name = name;
+        this.budget = budget || {
+            requestsPerMinute: Infinity,
+            tokensPerMinute: Infinity,
+            requestCount: 0,
+            tokenCount: 0,
+            windowStart: Date.now()
+        };
+        this.maxRetries = maxRetries;
+        this.baseDelayMs = baseDelayMs;
+        this.maxDelayMs = maxDelayMs;
+        
+        this.queue = [];
+        this.pausedUntil = 0;
+        this.timer = null;
+    }
+    
+    /**
+     * Runs a task once budget allows, retrying transient failures. The
+     * estimated tokens are reserved when the task is dispatched, so tasks
+     * running together cannot overshoot the token budget, and replaced by the
+     * actual usage once it succeeds.
+     * @param {Function} task - Async function performing the request
+     * @param {Object} [options] - Scheduling options
+     * @param {number} [options.tokens] - Estimated tokens the request will consume
+     * @param {Function} [options.usage] - Reads the tokens actually used from the task's result, or null when unknown
+     * @returns {Promise<*>} - The task's result
+     */
+    schedule(task, { tokens = 0, usage = null } = {}) {
+        return new Promise((resolve, reject) => {
+            this.queue.push({ task, tokens, usage, attempt: 0, reservedIn: null, resolve, reject });
+            this.pump();
+        });
+    }
+    
+    /**
+     * Records tokens actually consumed by a finished request, in place of the
+     * tokens reserved for it when they were reserved in the current window
+     * @param {number} tokens - Tokens used
+     * @param {Object} [reservation]
+     * @param {number} [reservation.reserved] - Tokens reserved at dispatch
+     * @param {number|null} [reservation.windowStart] - Window the reservation was made in
+     */
+    recordTokens(tokens, { reserved = 0, windowStart = null } = {}) {
+        this.resetWindowIfElapsed();
+        
+        // A reservation from an elapsed window was already cleared with it
+        const release = windowStart === this.budget.windowStart ? reserved : 0;
+        this.budget.tokenCount = Math.max(0, this.budget.tokenCount + tokens - release);
+        
+        // Queued jobs may fit now that the estimate was too high
+        if (tokens < release && this.timer && this.pausedUntil <= Date.now()) {
+            clearTimeout(this.timer);
+            this.timer = null;
+            this.pump();
+        }
+    }
+    
+    /**
+     * Starts a fresh budget window once the current one has elapsed
+     */
+    resetWindowIfElapsed() {
+        const now = Date.now();
+        if (now - this.budget.windowStart >= WINDOW_MS) {
+            this.budget.requestCount = 0;
+            this.budget.tokenCount = 0;
+            this.budget.windowStart = now;
+        }
+    }
+    
+    /**
+     * Computes how long the next queued job must wait
+     * @param {Object} job - Queued job
+     * @returns {number} - Delay in milliseconds, 0 when it can run now
+     */
+    waitTime(job) {
+        const now = Date.now();
+        if (this.pausedUntil > now) {
+            return this.pausedUntil - now;
+        }
+        
+        this.resetWindowIfElapsed();
+        const { requestsPerMinute, tokensPerMinute, requestCount, tokenCount, windowStart } = this.budget;
+        
+        // A request larger than the whole token budget still runs on its own in an empty window
+        const alone = tokenCount === 0 && job.tokens > tokensPerMinute;
+        const overTokens = tokenCount + job.tokens > tokensPerMinute && !alone;
+        if (requestCount >= requestsPerMinute || overTokens) {
+            return Math.max(0, windowStart + WINDOW_MS - now);
+        }
+        
+        return 0;
+    }
+    
+    /**
+     * Dispatches queued jobs in order while budget remains
+     */
+    pump() {
+        if (this.timer) {
+            return;
+        }
+        
+        while (this.queue.length > 0) {
+            const delay = this.waitTime(this.queue[0]);
+            if (delay > 0) {
+                console.warn(`${this.name} budget exhausted, ${this.queue.length} request(s) queued for ${Math.ceil(delay / 1000)}s`);
+                this.timer = setTimeout(() => {
+                    this.timer = null;
+                    this.pump();
+                }, delay);
+                return;
+            }
+            
+            const job = this.queue.shift();
+            this.budget.requestCount++;
+            this.budget.tokenCount += job.tokens;
+            job.reservedIn = this.budget.windowStart;
+            this.run(job);
+        }
+    }
+    
+    /**
+     * Runs a job, re-queueing it after a backoff when it fails transiently
+     * @param {Object} job - Queued job
+     */
+    async run(job) {
+        try {
+            const result = await job.task();
+            
+            // Without a usage report the estimate stands
+            const used = job.usage ? job.usage(result) : null;
+            if (used !== null && used !== undefined) {
+                this.recordTokens(used, { reserved: job.tokens, windowStart: job.reservedIn });
+            }
+            job.resolve(result);
+        } catch (error) {
+            const delay = this.retryDelay(error, job.attempt);
+            
+            if (delay === null) {
+                job.reject(error);
+                return;
+            }
+            
+            // The failed attempt keeps its reservation; it may have used its prompt tokens
+            job.attempt++;
+            console.warn(`${this.name} request failed (${error.message}), retry ${job.attempt}/${this.maxRetries} in ${delay}ms`);
+            
+            if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            }
+            
+            setTimeout(() => {
+                this.queue.unshift(job);
+                this.pump();
+            }, delay);
+        }
+    }
+    
+    /**
+     * Decides whether and when to retry a failed attempt
+     * @param {Error} error - Error thrown by the task
+     * @param {number} attempt - Retries already made
+     * @returns {number|null} - Delay in milliseconds, or null to give up
+     */
+    retryDelay(error, attempt) {
+        if (!error.retryable || attempt >= this.maxRetries) {
+            return null;
+        }
+        
+        if (error.retryAfterMs !== undefined && error.retryAfterMs !== null) {
+            return error.retryAfterMs <= this.maxDelayMs ? error.retryAfterMs : null;
+        }
+        
+        // Jitter keeps concurrent retries from arriving together
+        const ceiling = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+    }
+}
+
+export default RequestScheduler;
+export { parseRetryAfter, isTransientNetworkError };
@@ -0,0 +1,200 @@
+/**
+ * Lexical retrieval over a repository's text files. Files are split into
+ * overlapping line windows (Markdown at headings where it can), and chunks
+ * are ranked against a query with BM25. Indexes are plain JSON so they can
+ * be stored on disk and searched without touching GitHub again.
+ */
+
+// Format of stored indexes; bump when chunking or tokenizing changes
+const INDEX_VERSION = 1;
+
+// BM25 parameters: term frequency saturation and length normalization
+const K1 = 1.2;
+const B = 0.75;
+
+// Chunk size in lines, and how many lines consecutive chunks share
+const CHUNK_LINES = 40;
+const CHUNK_OVERLAP = 8;
+
+// Extensions and file names worth indexing
+const TEXT_EXTENSIONS = new Set([
+    'md', 'markdown', 'rst', 'txt', 'adoc',
+    'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte', 'py', 'go', 'rs', 'java', 'kt', 'scala',
+    'rb', 'php', 'cs', 'c', 'h', 'cc', 'cpp', 'hpp', 'swift', 'dart', 'ex', 'exs', 'lua', 'r', 'sh', 'bash',
+    'json', 'yml', 'yaml', 'toml', 'ini', 'cfg', 'xml', 'gradle', 'sql', 'graphql', 'proto',
+    'html', 'hbs', 'css', 'scss'
+]);
+const TEXT_FILE_NAMES = /^(makefile|dockerfile|gemfile|rakefile|procfile|license|licence|codeowners|readme|contributing)$/i;
+
+// Vendored, generated and lock files, which drown out the project's own code
+const SKIPPED_PATHS = /(^|\/)(node_modules|vendor|third_party|dist|build|out|coverage|\.git|__snapshots__)\/|\.min\.(js|css)$|(package-lock\.json|yarn\.lock|pnpm-lock\.yaml|Cargo\.lock|poetry\.lock|go\.sum)$/i;
+
+// Common words that would otherwise match every chunk
+const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'are', 'but', 'not', 'you', 'all', 'any', 'can', 'has', 'have', 'this', 'that',
+    'with', 'from', 'they', 'will', 'would', 'there', 'their', 'what', 'which', 'when', 'where', 'how',
+    'into', 'then', 'than', 'been', 'was', 'were', 'its', 'our', 'your', 'use', 'used', 'using'
+]);
+
+/**
+ * Splits text into lowercase search terms. Identifiers are indexed whole and
+ * by their camelCase and snake_case parts, so "getUserName" matches "user".
+ * @param {string} text - Text to tokenize
+ * @returns {Array<string>} - Terms, with repeats
+ */
+function tokenize(text) {
+    const terms = [];
+
+    (text.match(/[A-Za-z0-9_]+/g) || []).forEach(word => {
+        const lower = word.toLowerCase();
+        const parts = word
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .split(/[\s_]+/)
+            .map(part => part.toLowerCase());
+
+        [lower, ...(parts.length > 1 ? parts : [])].forEach(term => {
+            if (term.length >= 2 && term.length <= 40 && !STOP_WORDS.has(term) && !/^\d+$/.test(term)) {
+                terms.push(term);
+            }
+        });
+    });
+
+    return terms;
+}
+
+/**
+ * Checks whether a file should be indexed, from its path and size
+ * @param {string} path - Repository-relative path
+ * @param {number} size - Size in bytes
+ * @param {number} maxBytes - Largest file indexed
+ * @returns {boolean}
+ */
+function isIndexable(path, size, maxBytes) {
+    if (size > maxBytes || SKIPPED_PATHS.test(path)) {
+        return false;
+    }
+    const name = path.split('/').pop();
+    const extension = name.includes('.') ? name.split('.').pop().toLowerCase() : '';
+    return TEXT_EXTENSIONS.has(extension) || TEXT_FILE_NAMES.test(name.replace(/\.[^.]+$/, ''));
+}
+
+/**
+ * Orders candidate files so documentation and shallow source files are
+ * indexed first when a repository has more files than the limit
+ */
+function compareIndexPriority(a, b) {
+    const isDoc = (path) => /\.(md|markdown|rst|txt|adoc)$/i.test(path) ? 0 : 1;
+    const depth = (path) => path.split('/').length;
+    return isDoc(a) - isDoc(b) || depth(a) - depth(b) || a.localeCompare(b);
+}
+
+/**
+ * Splits a file into chunks of lines. Markdown chunks start at headings when
+ * a heading falls inside the window, so sections stay together.
+ * @param {string} path - Repository-relative path
+ * @param {string} content - File content
+ * @returns {Array<Object>} - { path, start, end, text } with 1-based inclusive line numbers
+ */
+function chunkFile(path, content) {
+    const lines = content.replace(/\r\n?/g, '\n').split('\n');
+    const isMarkdown = /\.(md|markdown)$/i.test(path);
+    const chunks = [];
+    let start = 0;
+
+    while (start < lines.length) {
+        let end = Math.min(lines.length, start + CHUNK_LINES);
+
+        if (isMarkdown && end < lines.length) {
+            // Cut before the last heading in the second half of the window
+            for (let index = end - 1; index > start + CHUNK_LINES / 2; index--) {
+                if (/^#{1,6}\s/.test(lines[index])) {
+                    end = index;
+                    break;
+                }
+            }
+        }
+
+        const text = lines.slice(start, end).join('\n').trim();
+        if (text) {
+            chunks.push({ path, start: start + 1, end, text });
+        }
+        if (end >= lines.length) {
+            break;
+        }
+        start = isMarkdown ? end : end - CHUNK_OVERLAP;
+    }
+
+    return chunks;
+}
+
+/**
+ * Builds a BM25 index over files
+ * @param {Array<Object>} files - { path, content }
+ * @returns {Object} - Index: { version, chunks, lengths, averageLength, postings }
+ *   where postings maps each term to [chunk index, term frequency] pairs
+ */
+function buildIndex(files) {
+    const chunks = files.flatMap(({ path, content }) => chunkFile(path, content));
+    const postings = {};
+    const lengths = [];
+
+    chunks.forEach((chunk, index) => {
+        // The path is indexed with the chunk so "auth" finds src/auth/*.js
+        const terms = [...tokenize(chunk.path), ...tokenize(chunk.text)];
+        const counts = new Map();
+        terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+        counts.forEach((count, term) => {
+            if (!Object.prototype.hasOwnProperty.call(postings, term)) {
+                postings[term] = [];
+            }
+            postings[term].push([index, count]);
+        });
+        lengths.push(terms.length);
+    });
+
+    return {
+        version: INDEX_VERSION,
+        chunks,
+        lengths,
+        averageLength: lengths.length > 0 ? lengths.reduce((sum, length) => sum + length, 0) / lengths.length : 0,
+        postings
+    };
+}
+
+/**
+ * Ranks an index's chunks against a query with BM25
+ * @param {Object} index - Result of buildIndex
+ * @param {string} query - Free-text query
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum number of results
+ * @param {Function} [options.filter] - Called with each chunk; chunks it rejects are skipped
+ * @returns {Array<Object>} - { path, start, end, text, score }, best first
+ */
+function searchIndex(index, query, { limit = 5, filter = null } = {}) {
+    const total = index.chunks.length;
+    const scores = new Map();
+
+    [...new Set(tokenize(query))].forEach(term => {
+        const list = Object.prototype.hasOwnProperty.call(index.postings, term) ? index.postings[term] : null;
+        if (!list) {
+            return;
+        }
+
+        const idf = Math.log(1 + (total - list.length + 0.5) / (list.length + 0.5));
+        list.forEach(([chunkIndex, frequency]) => {
+            const lengthRatio = index.averageLength > 0 ? index.lengths[chunkIndex] / index.averageLength : 1;
+            const score = idf * (frequency * (K1 + 1)) / (frequency + K1 * (1 - B + B * lengthRatio));
+            scores.set(chunkIndex, (scores.get(chunkIndex) || 0) + score);
+        });
+    });
+
+    return [...scores.entries()]
+        .filter(([chunkIndex]) => !filter || filter(index.chunks[chunkIndex]))
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, limit)
+        .map(([chunkIndex, score]) => ({ ...index.chunks[chunkIndex], score: Math.round(score * 100) / 100 }));
+}
+
+export { INDEX_VERSION, tokenize, isIndexable, compareIndexPriority, chunkFile, buildIndex, searchIndex };
@@ -0,0 +1,235 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import githubService from './githubService.js';
+import { readTarEntries } from './tarball.js';
+import { INDEX_VERSION, isIndexable, compareIndexPriority, buildIndex, searchIndex } from './retrievalIndex.js';
+import config from './config.js';
+
+// Files fetched one by one when the tarball cannot be downloaded
+const FALLBACK_MAX_FILES = 40;
+
+class RetrievalService {
+    constructor() {
+        // Settings are read on first use so values loaded by dotenv after import are seen
+        this.directory = null;
+        this.maxFiles = null;
+        this.maxFileBytes = null;
+        this.maxUnpackedBytes = null;
+        this.maxEntries = null;
+
+        // Indexes being built or recently loaded, keyed like the files on disk
+        this.loaded = new Map();
+        this.maxLoaded = 5;
+    }
+
+    /**
+     * Loads index settings from the configuration
+     */
+    configure() {
+        if (this.directory) {
+            return;
+        }
+
+        const { directory, maxFiles, maxFileKb, maxUnpackedMb, maxIndexes } = config.get().retrieval;
+        this.directory = directory;
+        this.maxFiles = maxFiles;
+        this.maxFileBytes = maxFileKb * 1024;
+        this.maxUnpackedBytes = maxUnpackedMb * 1024 * 1024;
+        this.maxEntries = maxIndexes;
+    }
+
+    /**
+     * Gets the file that stores a repository's index. Only the latest commit
+     * is kept per repository, so it stays searchable offline.
+     * @param {string} key - Repository key, see ForgeService.repositoryKey
+     */
+    filePath(key) {
+        const digest = crypto.createHash('sha256').update(key).digest('hex');
+        return path.join(this.directory, `${digest}.json`);
+    }
+
+    /**
+     * Gets the retrieval index of a repository at a commit, building it from
+     * the forge when the stored one is missing or older. When the forge cannot
+     * be reached, or offline is set, the stored index is used whatever its commit.
+     * @param {string} owner - Repository owner
+     * @param {string} repo - Repository name
+     * @param {string|null} sha - Commit to index; null accepts any stored index
+     * @param {Object} [options]
+     * @param {boolean} [options.offline] - Never call the forge
+     * @param {ForgeService} [options.forge] - Forge the repository lives on, github.com by default
+     * @returns {Promise<Object|null>} - { host, owner, repo, sha, builtAt, files, stale, index }, or null when none is available
+     */
+    async getIndex(owner, repo, sha, { offline = false, forge = githubService } = {}) {
+        this.configure();
+        const file = this.filePath(forge.repositoryKey(owner, repo));
+
+        const pending = this.loaded.get(file);
+        if (pending) {
+            const entry = await pending;
+            if (entry && (entry.sha === sha || !sha || offline)) {
+                return entry;
+            }
+        }
+
+        const request = this.loadOrBuild(forge, owner, repo, sha, file, offline);
+        this.loaded.delete(file);
+        this.loaded.set(file, request);
+        if (this.loaded.size > this.maxLoaded) {
+            this.loaded.delete(this.loaded.keys().next().value);
+        }
+
+        const entry = await request;
+        if (!entry) {
+            this.loaded.delete(file);
+        }
+        return entry;
+    }
+
+    /**
+     * Reads the stored index, building a fresh one when it is not for the wanted commit
+     */
+    async loadOrBuild(forge, owner, repo, sha, file, offline) {
+        const stored = await this.read(file);
+
+        if (stored && (stored.sha === sha || !sha || offline)) {
+            return { ...stored, stale: !!sha && stored.sha !== sha };
+        }
+        if (offline || !sha) {
+            return null;
+        }
+
+        try {
+            const files = await this.fetchFiles(forge, owner, repo, sha);
+            const entry = {
+                key: forge.repositoryKey(owner, repo),
+                host: forge.host,
+                blobUrl: forge.blobUrl(forge.repositoryUrl(owner, repo), sha),
+                owner,
+                repo,
+                sha,
+                builtAt: new Date().toISOString(),
+                files: files.length,
+                index: buildIndex(files)
+            };
+
+            await this.write(file, entry);
+            console.log(`Indexed ${files.length} files (${entry.index.chunks.length} chunks) of ${owner}/${repo}@${sha.slice(0, 7)}`);
+            return { ...entry, stale: false };
+        } catch (error) {
+            console.warn(`Could not build retrieval index for ${owner}/${repo}:`, error.message);
+            return stored ? { ...stored, stale: true } : null;
+        }
+    }
+
+    /**
+     * Fetches the repository's indexable text files, from the tarball when
+     * possible and otherwise one by one through the contents API
+     * @returns {Promise<Array<Object>>} - { path, content }
+     */
+    async fetchFiles(forge, owner, repo, sha) {
+        let candidates;
+
+        try {
+            const archive = await forge.getRepositoryArchive(owner, repo, sha);
+            const entries = await readTarEntries(archive, {
+                filter: (filePath, size) => isIndexable(filePath, size, this.maxFileBytes),
+                maxBytes: this.maxUnpackedBytes
+            });
+            candidates = entries.map(({ path: filePath, content }) => ({ path: filePath, buffer: content }));
+        } catch (error) {
+            console.warn(`Could not download or unpack archive of ${owner}/${repo}, fetching files one by one:`, error.message);
+
+            const { tree } = await forge.getRepositoryTree(owner, repo, sha);
+            const paths = tree
+                .filter(entry => entry.type === 'blob' && isIndexable(entry.path, entry.size || 0, this.maxFileBytes))
+                .map(entry => entry.path)
+                .sort(compareIndexPriority)
+                .slice(0, FALLBACK_MAX_FILES);
+
+            const contents = await Promise.all(paths.map(filePath => forge.getFileContent(owner, repo, filePath)));
+            candidates = paths
+                .map((filePath, index) => ({ path: filePath, content: contents[index] }))
+                .filter(file => file.content !== null);
+        }
+
+        return candidates
+            .sort((a, b) => compareIndexPriority(a.path, b.path))
+            .slice(0, this.maxFiles)
+            .map(file => file.buffer ? { path: file.path, content: file.buffer.includes(0) ? null : file.buffer.toString('utf-8') } : file)
+            .filter(file => file.content !== null);
+    }
+
+    /**
+     * Reads a stored index, ignoring ones written by another index version
+     */
+    async read(file) {
+        try {
+            const entry = JSON.parse(await fs.readFile(file, 'utf-8'));
+            if (!entry.index || entry.index.version !== INDEX_VERSION) {
+                return null;
+            }
+
+            // Touch the file so eviction keeps recently used indexes
+            const now = new Date();
+            await fs.utimes(file, now, now);
+
+            return entry;
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                console.warn(`Could not read retrieval index ${file}:`, error.message);
+            }
+            return null;
+        }
+    }
+
+    /**
+     * Stores an index and removes the least recently used ones beyond maxEntries
+     */
+    async write(file, entry) {
+        try {
+            await fs.mkdir(this.directory, { recursive: true });
+
+            // Write then rename so readers never see a partial file
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(entry));
+            await fs.rename(tempFile, file);
+
+            const names = (await fs.readdir(this.directory)).filter(name => name.endsWith('.json'));
+            const entries = await Promise.all(names.map(async (name) => {
+                const stats = await fs.stat(path.join(this.directory, name)).catch(() => null);
+                return stats && { file: path.join(this.directory, name), usedAt: stats.mtimeMs };
+            }));
+
+            const stale = entries.filter(Boolean).sort((a, b) => b.usedAt - a.usedAt).slice(this.maxEntries);
+            await Promise.all(stale.map(({ file: staleFile }) => fs.rm(staleFile, { force: true })));
+        } catch (error) {
+            console.warn(`Could not write retrieval index for ${entry.owner}/${entry.repo}:`, error.message);
+        }
+    }
+
+    /**
+     * Finds the chunks most relevant to a query, with their file and line range
+     * @param {Object|null} entry - Result of getIndex
+     * @param {string} query - Free-text query
+     * @param {Object} [options] - See searchIndex
+     * @returns {Array<Object>} - { path, start, end, text, score, url }
+     */
+    search(entry, query, options = {}) {
+        if (!entry) {
+            return [];
+        }
+
+        // Indexes stored before other forges were supported are all on github.com
+        const base = entry.blobUrl || `https://github.com/${entry.owner}/${entry.repo}/blob/${entry.sha}`;
+        return searchIndex(entry.index, query, options).map(result => ({
+            ...result,
+            url: `${base}/${result.path.split('/').map(encodeURIComponent).join('/')}#L${result.start}-L${result.end}`
+        }));
+    }
+}
+
+// Create and export service instance
+const retrievalService = new RetrievalService();
+export default retrievalService;
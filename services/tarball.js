@@ -0,0 +1,114 @@
+import zlib from 'zlib';
+import { promisify } from 'util';
+
+/**
+ * Minimal reader for the gzipped ustar archives GitHub serves as repository
+ * tarballs. Only regular files are returned; pax headers are honoured for
+ * long paths, everything else (links, directories, global headers) is skipped.
+ */
+
+const BLOCK_SIZE = 512;
+
+// Largest unpacked archive read when no limit is given
+const DEFAULT_MAX_UNPACKED_BYTES = 200 * 1024 * 1024;
+
+const gunzip = promisify(zlib.gunzip);
+
+/**
+ * Reads a NUL-terminated string field from a header block
+ */
+function readString(block, offset, length) {
+    const field = block.subarray(offset, offset + length);
+    const end = field.indexOf(0);
+    return field.subarray(0, end === -1 ? length : end).toString('utf-8');
+}
+
+/**
+ * Parses pax extended header records ("<length> key=value\n")
+ */
+function parsePax(buffer) {
+    const records = {};
+    let offset = 0;
+
+    while (offset < buffer.length) {
+        const space = buffer.indexOf(0x20, offset);
+        const length = parseInt(buffer.subarray(offset, space).toString(), 10);
+        if (space === -1 || !length) {
+            break;
+        }
+        const record = buffer.subarray(space + 1, offset + length - 1).toString('utf-8');
+        const equals = record.indexOf('=');
+        records[record.slice(0, equals)] = record.slice(equals + 1);
+        offset += length;
+    }
+
+    return records;
+}
+
+/**
+ * Lists the regular files of a .tar.gz archive. It is decompressed off the
+ * event loop, and archives that unpack to more than maxBytes are rejected
+ * rather than inflated into memory.
+ * @param {Buffer} archive - Gzipped tar archive
+ * @param {Object} [options]
+ * @param {boolean} [options.stripRoot] - Drop the first path segment, the "owner-repo-sha/" folder of GitHub tarballs
+ * @param {Function} [options.filter] - Called with (path, size); files it rejects are not copied out
+ * @param {number} [options.maxBytes] - Largest unpacked archive accepted
+ * @returns {Promise<Array<Object>>} - { path, size, content } with content as a Buffer
+ */
+async function readTarEntries(archive, { stripRoot = true, filter = () => true, maxBytes = DEFAULT_MAX_UNPACKED_BYTES } = {}) {
+    let tar;
+    try {
+        tar = await gunzip(archive, { maxOutputLength: maxBytes });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`Archive unpacks to more than ${Math.round(maxBytes / (1024 * 1024))} MB`);
+        }
+        throw error;
+    }
+    const entries = [];
+    let offset = 0;
+    let paxPath = null;
+
+    while (offset + BLOCK_SIZE <= tar.length) {
+        const header = tar.subarray(offset, offset + BLOCK_SIZE);
+
+        // Two zero blocks end the archive; one is enough to stop
+        if (header.every(byte => byte === 0)) {
+            break;
+        }
+
+        const name = readString(header, 0, 100);
+        const size = parseInt(readString(header, 124, 12).trim() || '0', 8);
+        // Old archives mark regular files with NUL instead of '0'
+        const type = String.fromCharCode(header[156] || 0x30);
+        const prefix = readString(header, 345, 155);
+        const dataStart = offset + BLOCK_SIZE;
+        offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+        if (type === 'x') {
+            paxPath = parsePax(tar.subarray(dataStart, dataStart + size)).path || null;
+            continue;
+        }
+
+        let path = paxPath || (prefix ? `${prefix}/${name}` : name);
+        paxPath = null;
+
+        // Directories, links and global headers are skipped
+        if (type !== '0') {
+            continue;
+        }
+        if (stripRoot) {
+            path = path.split('/').slice(1).join('/');
+        }
+        if (!path || !filter(path, size)) {
+            continue;
+        }
+
+        entries.push({ path, size, content: Buffer.from(tar.subarray(dataStart, dataStart + size)) });
+    }
+
+    return entries;
+}
+
+export { readTarEntries };
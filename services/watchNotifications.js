@@ -0,0 +1,152 @@
+import fs from 'fs';
+import path from 'path';
+import hbs from 'hbs';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const viewsDirectory = path.join(__dirname, '..', 'views');
+
+// Feed formats with their template and content type
+const FEED_FORMATS = {
+    atom: { template: 'atomFeed.hbs', contentType: 'application/atom+xml; charset=utf-8' },
+    rss: { template: 'rssFeed.hbs', contentType: 'application/rss+xml; charset=utf-8' }
+};
+
+// Hosts whose webhooks take Discord's payload, and those that take Slack's.
+// Webhooks are posted from the server, so no other host is accepted.
+const DISCORD_HOSTS = ['discord.com', 'discordapp.com', 'ptb.discord.com', 'canary.discord.com'];
+const SLACK_HOSTS = ['hooks.slack.com'];
+
+// Discord rejects messages with more embeds than this
+const MAX_DISCORD_EMBEDS = 10;
+
+// Issues listed in a Slack message before the rest are counted
+const MAX_SLACK_ISSUES = 20;
+
+// Compiled feed templates by format
+const feedTemplates = new Map();
+
+/**
+ * Picks the payload format of a webhook from its URL
+ * @param {string} url - Webhook URL
+ * @returns {string|null} - discord or slack, or null when the URL is not a Discord or Slack webhook
+ */
+function webhookFormat(url) {
+    const { protocol, hostname, port } = new URL(url);
+    if (protocol !== 'https:' || port !== '') {
+        return null;
+    }
+    
+    const host = hostname.toLowerCase();
+    if (DISCORD_HOSTS.includes(host)) {
+        return 'discord';
+    }
+    return SLACK_HOSTS.includes(host) ? 'slack' : null;
+}
+
+/**
+ * Escapes the characters Slack reads as markup in message text
+ */
+function escapeSlack(text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * Builds the heading of a notification
+ */
+function headline(list, events) {
+    const count = events.length;
+    return `${count} new beginner-friendly issue${count === 1 ? '' : 's'} in ${list.name}`;
+}
+
+/**
+ * Builds a Slack incoming webhook message listing new issues
+ * @param {Object} list - Watch list
+ * @param {Array<Object>} events - Watch events, see WatchService.checkRepository
+ * @returns {Object} - Message payload
+ */
+function slackPayload(list, events) {
+    const lines = events.slice(0, MAX_SLACK_ISSUES).map(({ repository, issue }) => (
+        `• <${repository.url}|${escapeSlack(repository.fullName)}>: <${issue.url}|#${issue.number} ${escapeSlack(issue.title)}>`
+    ));
+    if (events.length > MAX_SLACK_ISSUES) {
+        lines.push(`…and ${events.length - MAX_SLACK_ISSUES} more`);
+    }
+    
+    return {
+        text: `${escapeSlack(headline(list, events))}\n${lines.join('\n')}`,
+        unfurl_links: false
+    };
+}
+
+/**
+ * Builds a Discord webhook message with one embed per new issue
+ * @param {Object} list - Watch list
+ * @param {Array<Object>} events - Watch events
+ * @returns {Object} - Message payload
+ */
+function discordPayload(list, events) {
+    const hidden = events.length - MAX_DISCORD_EMBEDS;
+    
+    return {
+        content: `${headline(list, events)}${hidden > 0 ? ` (${hidden} more in the feed)` : ''}`,
+        embeds: events.slice(0, MAX_DISCORD_EMBEDS).map(({ repository, issue, createdAt }) => ({
+            title: `#${issue.number} ${issue.title}`.slice(0, 256),
+            url: issue.url,
+            description: issue.labels.length > 0 ? `Labels: ${issue.labels.join(', ')}`.slice(0, 4096) : undefined,
+            author: { name: repository.fullName, url: repository.url },
+            timestamp: createdAt
+        })),
+        allowed_mentions: { parse: [] }
+    };
+}
+
+/**
+ * Builds the payload of a webhook in its format
+ * @param {string} format - slack or discord
+ * @param {Object} list - Watch list
+ * @param {Array<Object>} events - Watch events
+ * @returns {Object} - Message payload
+ */
+function webhookPayload(format, list, events) {
+    return format === 'discord' ? discordPayload(list, events) : slackPayload(list, events);
+}
+
+/**
+ * Renders the events of a watch list as an Atom or RSS feed, newest first
+ * @param {string} format - atom or rss, see FEED_FORMATS
+ * @param {Object} list - Watch list with its events
+ * @param {Object} urls
+ * @param {string} urls.selfUrl - Absolute URL of the feed
+ * @param {string} urls.siteUrl - Absolute URL of the site
+ * @returns {string} - XML document
+ */
+function renderFeed(format, list, { selfUrl, siteUrl }) {
+    if (!feedTemplates.has(format)) {
+        const source = fs.readFileSync(path.join(viewsDirectory, FEED_FORMATS[format].template), 'utf-8');
+        feedTemplates.set(format, hbs.handlebars.compile(source));
+    }
+    
+    const entries = list.events.map(event => ({
+        ...event,
+        title: `${event.repository.fullName}: #${event.issue.number} ${event.issue.title}`,
+        summary: `New beginner-friendly issue in ${event.repository.fullName}${event.issue.labels.length > 0 ? `, labeled ${event.issue.labels.join(', ')}` : ''}.`,
+        labels: event.issue.labels,
+        createdRfc822: new Date(event.createdAt).toUTCString()
+    }));
+    
+    // Feeds are dated by their newest entry, or by the list when there is none yet
+    const updated = list.events.length > 0 ? list.events[0].createdAt : list.updatedAt;
+    
+    return feedTemplates.get(format)({
+        id: list.id,
+        title: `${list.name} - OpenSourceGuide.AI`,
+        selfUrl,
+        siteUrl,
+        updated,
+        updatedRfc822: new Date(updated).toUTCString(),
+        entries
+    });
+}
+
+export { FEED_FORMATS, webhookFormat, webhookPayload, renderFeed };
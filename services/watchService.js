@@ -0,0 +1,510 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import fetch from 'node-fetch';
+import config from './config.js';
+import forgeRegistry from './forgeRegistry.js';
+import { repositoryKey } from './historyService.js';
+import { registerSecret, redact } from './redaction.js';
+import { webhookFormat, webhookPayload } from './watchNotifications.js';
+
+// How often due repositories are looked for; each is checked every watch.intervalMinutes
+const TICK_MS = 60 * 1000;
+
+// Issue numbers remembered per repository. Issues are only ever reported
+// once, even when they drop out of the listing and come back.
+const MAX_SEEN_ISSUES = 500;
+
+// Webhooks that take longer to answer are reported as failed
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+/**
+ * Follows lists of repositories and reports the beginner-friendly issues
+ * that appear in them. A scheduler checks each watched repository every
+ * watch.intervalMinutes: the issues getBeginnerFriendlyIssues returns are
+ * diffed against the ones already seen, and new ones become events, posted
+ * to the list's webhooks and kept for its Atom and RSS feeds. The first check
+ * of a repository only records what is already open.
+ */
+class WatchService {
+    constructor() {
+        // Settings are read on first use so values loaded by dotenv after import are seen
+        this.directory = null;
+        this.intervalMs = null;
+        this.minCheckMs = null;
+        this.maxLists = null;
+        this.maxTotalLists = null;
+        this.maxRepositories = null;
+        this.maxTotalRepositories = null;
+        this.maxWebhooks = null;
+        this.feedEntries = null;
+        
+        // Watch lists by ID, all loaded at start
+        this.lists = new Map();
+        
+        // Latest write by list ID, so the writes of a list happen in order
+        this.writes = new Map();
+        
+        // Checks run one at a time, so a scheduled and a requested check never report an issue twice
+        this.checks = Promise.resolve();
+        this.dueCheck = null;
+        
+        this.started = null;
+        this.timer = null;
+    }
+    
+    /**
+     * Loads watch settings from the configuration
+     */
+    configure() {
+        if (this.directory) {
+            return;
+        }
+        
+        const { directory, intervalMinutes, minCheckMinutes, maxLists, maxTotalLists, maxRepositories, maxTotalRepositories, maxWebhooks, feedEntries } = config.get().watch;
+        this.directory = directory;
+        this.intervalMs = intervalMinutes * 60 * 1000;
+        this.minCheckMs = minCheckMinutes * 60 * 1000;
+        this.maxLists = maxLists;
+        this.maxTotalLists = maxTotalLists;
+        this.maxRepositories = maxRepositories;
+        this.maxTotalRepositories = maxTotalRepositories;
+        this.maxWebhooks = maxWebhooks;
+        this.feedEntries = feedEntries;
+    }
+    
+    /**
+     * Gets the file that stores a watch list
+     */
+    filePath(id) {
+        return path.join(this.directory, `${id}.json`);
+    }
+    
+    /**
+     * Loads the stored watch lists and starts the scheduler. Safe to call more than once.
+     * @returns {Promise<void>}
+     */
+    start() {
+        if (!this.started) {
+            this.started = this.restore().then(() => {
+                this.timer = setInterval(() => this.checkDue(), Math.min(TICK_MS, this.intervalMs));
+                // The scheduler alone does not keep the process running
+                this.timer.unref();
+                this.checkDue();
+            });
+        }
+        return this.started;
+    }
+    
+    /**
+     * Stops the scheduler; checks already running finish
+     */
+    stop() {
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+    
+    /**
+     * Reads every stored watch list, see start
+     */
+    async restore() {
+        this.configure();
+        
+        let names;
+        try {
+            names = (await fs.readdir(this.directory)).filter(name => name.endsWith('.json'));
+        } catch (error) {
+            return;
+        }
+        
+        await Promise.all(names.map(async (name) => {
+            try {
+                const list = JSON.parse(await fs.readFile(path.join(this.directory, name), 'utf-8'));
+                list.webhooks.forEach(webhook => registerSecret(webhook.url));
+                this.lists.set(list.id, list);
+            } catch (error) {
+                console.warn(`Could not read watch list ${name}:`, error.message);
+            }
+        }));
+        
+        if (this.lists.size > 0) {
+            console.log(`Watching ${this.lists.size} list${this.lists.size === 1 ? '' : 's'} for new beginner-friendly issues`);
+        }
+    }
+    
+    /**
+     * Creates a watch list
+     * @param {string} userId - User the list belongs to
+     * @param {Object} settings
+     * @param {string} settings.name - Name shown in notifications and feeds
+     * @param {Array<Object>} settings.repositories - { host, owner, name, fullName, url }
+     * @param {Array<Object>} settings.webhooks - { url, format }, format being slack or discord
+     * @returns {Object} - Watch list, see describe
+     */
+    create(userId, { name, repositories, webhooks }) {
+        this.configure();
+        
+        const now = new Date().toISOString();
+        const list = {
+            id: crypto.randomUUID(),
+            userId,
+            name,
+            createdAt: now,
+            updatedAt: now,
+            repositories: [],
+            webhooks: [],
+            events: []
+        };
+        this.applyChanges(list, { repositories, webhooks });
+        this.lists.set(list.id, list);
+        this.save(list);
+        
+        // The first check records the issues already open
+        this.checkDue();
+        return this.describe(list);
+    }
+    
+    /**
+     * Changes the name, repositories or webhooks of a watch list. Repositories
+     * and webhooks it already had keep what was seen and delivered.
+     * @param {string} id - Watch list ID
+     * @param {Object} changes - Settings to replace, as for create
+     * @returns {Object|null} - Watch list, see describe, or null when unknown
+     */
+    update(id, { name, repositories, webhooks }) {
+        const list = this.lists.get(id);
+        if (!list) {
+            return null;
+        }
+        
+        if (name !== undefined) {
+            list.name = name;
+        }
+        this.applyChanges(list, { repositories, webhooks });
+        list.updatedAt = new Date().toISOString();
+        this.save(list);
+        
+        this.checkDue();
+        return this.describe(list);
+    }
+    
+    /**
+     * Replaces the repositories and webhooks of a list, keeping the state of the ones it still has
+     */
+    applyChanges(list, { repositories, webhooks }) {
+        if (repositories) {
+            const current = new Map(list.repositories.map(watched => [watched.key, watched]));
+            list.repositories = repositories.map(repository => current.get(repositoryKey(repository)) || {
+                key: repositoryKey(repository),
+                ...repository,
+                seen: [],
+                checkedAt: null,
+                lastError: null
+            });
+        }
+        
+        if (webhooks) {
+            const current = new Map(list.webhooks.map(webhook => [webhook.url, webhook]));
+            list.webhooks = webhooks.map(({ url, format }) => {
+                registerSecret(url);
+                const existing = current.get(url);
+                return existing
+                    ? { ...existing, format }
+                    : { id: crypto.randomUUID(), url, format, lastDeliveredAt: null, lastError: null };
+            });
+        }
+    }
+    
+    /**
+     * Deletes a watch list
+     * @param {string} id - Watch list ID
+     * @returns {Promise<boolean>} - True when the list existed
+     */
+    async remove(id) {
+        const list = this.lists.get(id);
+        if (!list) {
+            return false;
+        }
+        
+        this.lists.delete(id);
+        await this.save(list);
+        return true;
+    }
+    
+    /**
+     * Gets a watch list by ID, with its user and webhook URLs
+     * @param {string} id - Watch list ID
+     * @returns {Object|null} - Stored watch list, or null when unknown
+     */
+    get(id) {
+        return this.lists.get(id) || null;
+    }
+    
+    /**
+     * Lists the watch lists of a user, newest first
+     * @param {string} userId - User ID
+     * @returns {Array<Object>} - Watch lists, see describe
+     */
+    listFor(userId) {
+        return [...this.lists.values()]
+            .filter(list => list.userId === userId)
+            .sort((a, b) => Date.parse(b.createdAt) - Date.parse(a.createdAt))
+            .map(list => this.describe(list));
+    }
+    
+    /**
+     * Counts the repositories watched by every list, each list's own counted
+     * once per repository since each list checks them separately
+     * @param {string|null} [exceptId] - List left out, e.g. one about to be changed
+     * @returns {number} - Number of watched repositories
+     */
+    repositoryCount(exceptId = null) {
+        return [...this.lists.values()]
+            .filter(list => list.id !== exceptId)
+            .reduce((count, list) => count + list.repositories.length, 0);
+    }
+    
+    /**
+     * Builds the client-facing view of a watch list. Webhook URLs carry their
+     * credentials, so only their host is shown.
+     * @returns {Object} - { id, name, createdAt, updatedAt, repositories, webhooks, feeds, events }
+     */
+    describe(list) {
+        return {
+            id: list.id,
+            name: list.name,
+            createdAt: list.createdAt,
+            updatedAt: list.updatedAt,
+            repositories: list.repositories.map(({ key, host, owner, name, fullName, url, checkedAt, lastError }) => ({
+                key, host, owner, name, fullName, url, checkedAt, lastError
+            })),
+            webhooks: list.webhooks.map(({ id, url, format, lastDeliveredAt, lastError }) => ({
+                id, host: new URL(url).host, format, lastDeliveredAt, lastError
+            })),
+            feeds: {
+                atom: `/api/watchlists/${list.id}/feed`,
+                rss: `/api/watchlists/${list.id}/feed?format=rss`
+            },
+            events: list.events
+        };
+    }
+    
+    /**
+     * Runs a check after the ones already running
+     */
+    exclusive(check) {
+        const run = this.checks.then(check);
+        this.checks = run.catch(() => {});
+        return run;
+    }
+    
+    /**
+     * Checks every repository not checked for watch.intervalMinutes. Calls
+     * made while a due check is waiting share it.
+     * @returns {Promise<void>}
+     */
+    checkDue() {
+        if (!this.dueCheck) {
+            this.dueCheck = this.exclusive(async () => {
+                this.dueCheck = null;
+                const now = Date.now();
+                
+                for (const list of [...this.lists.values()]) {
+                    const due = list.repositories.filter(watched => !watched.checkedAt || now - Date.parse(watched.checkedAt) >= this.intervalMs);
+                    if (due.length > 0) {
+                        await this.checkRepositories(list, due);
+                    }
+                }
+            }).catch(error => {
+                console.error('Watch check failed:', error);
+            });
+        }
+        return this.dueCheck;
+    }
+    
+    /**
+     * Gets how long until a user may request another check of a list. Each
+     * check calls the forge for every repository with the server's token, so
+     * requested checks are at least watch.minCheckMinutes apart.
+     * @param {Object} list - Stored watch list
+     * @returns {number} - Milliseconds to wait, 0 when a check can be requested now
+     */
+    checkWaitMs(list) {
+        this.configure();
+        
+        const requestedAt = list.checkRequestedAt ? Date.parse(list.checkRequestedAt) : 0;
+        return Math.max(0, requestedAt + this.minCheckMs - Date.now());
+    }
+    
+    /**
+     * Checks every repository of a list now, as requested by its user, see checkWaitMs
+     * @param {string} id - Watch list ID
+     * @returns {Promise<Array<Object>|null>} - New events, or null for an unknown list
+     */
+    async checkList(id) {
+        // Recorded before the check is queued, so requests made meanwhile wait too
+        const requested = this.lists.get(id);
+        if (requested) {
+            requested.checkRequestedAt = new Date().toISOString();
+        }
+        
+        return await this.exclusive(async () => {
+            const list = this.lists.get(id);
+            return list ? await this.checkRepositories(list, list.repositories) : null;
+        });
+    }
+    
+    /**
+     * Checks repositories of a list one by one, then records and delivers what is new
+     * @param {Object} list - Stored watch list
+     * @param {Array<Object>} repositories - Watched repositories of the list
+     * @returns {Promise<Array<Object>>} - New events
+     */
+    async checkRepositories(list, repositories) {
+        const events = [];
+        for (const watched of repositories) {
+            events.push(...await this.checkRepository(watched));
+        }
+        
+        // The list may have been deleted during the check
+        if (!this.lists.has(list.id)) {
+            return events;
+        }
+        
+        if (events.length > 0) {
+            list.events = [...events, ...list.events].slice(0, this.feedEntries);
+            await this.deliver(list, events);
+        }
+        this.save(list);
+        return events;
+    }
+    
+    /**
+     * Fetches the beginner-friendly issues of a watched repository and diffs them against the ones seen
+     * @param {Object} watched - Watched repository; its seen issues and check time are updated
+     * @returns {Promise<Array<Object>>} - One event per new issue: { id, createdAt, repository, issue }
+     */
+    async checkRepository(watched) {
+        const checkedAt = new Date().toISOString();
+        const forge = forgeRegistry.getForge(watched.host);
+        
+        let issues;
+        try {
+            if (!forge) {
+                throw new Error(`${watched.host} is not a configured forge`);
+            }
+            issues = await forge.getBeginnerFriendlyIssues(watched.owner, watched.name);
+        } catch (error) {
+            console.warn(`Could not check ${watched.fullName} for new issues:`, error.message);
+            Object.assign(watched, { checkedAt, lastError: error.message });
+            return [];
+        }
+        
+        const seen = new Set(watched.seen);
+        const current = issues.filter(issue => !issue.pull_request).map(issue => issue.number);
+        const fresh = issues.filter(issue => !issue.pull_request && !seen.has(issue.number));
+        const baseline = !watched.checkedAt;
+        
+        Object.assign(watched, {
+            seen: [...new Set([...current, ...watched.seen])].slice(0, MAX_SEEN_ISSUES),
+            checkedAt,
+            lastError: null
+        });
+        
+        if (baseline) {
+            return [];
+        }
+        
+        return fresh.map(issue => ({
+            id: crypto.randomUUID(),
+            createdAt: checkedAt,
+            repository: { key: watched.key, host: watched.host, fullName: watched.fullName, url: watched.url },
+            issue: {
+                number: issue.number,
+                title: issue.title,
+                url: issue.html_url,
+                labels: (issue.labels || []).map(label => (typeof label === 'string' ? label : label.name)),
+                createdAt: issue.created_at
+            }
+        }));
+    }
+    
+    /**
+     * Posts new events to every webhook of a list, recording each delivery
+     * @param {Object} list - Stored watch list
+     * @param {Array<Object>} events - New events
+     */
+    async deliver(list, events) {
+        await Promise.all(list.webhooks.map(async (webhook) => {
+            try {
+                // Lists saved before webhooks were limited to Slack and Discord may name other hosts
+                if (!webhookFormat(webhook.url)) {
+                    throw new Error('Only Slack and Discord webhooks are notified');
+                }
+                
+                const response = await fetch(webhook.url, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'User-Agent': 'OpenSourceGuide-AI/1.0'
+                    },
+                    body: JSON.stringify(webhookPayload(webhook.format, list, events)),
+                    timeout: WEBHOOK_TIMEOUT_MS,
+                    // Webhooks are posted to the URL given, not wherever it points
+                    redirect: 'manual'
+                });
+                
+                if (!response.ok) {
+                    throw new Error(`Webhook responded with status ${response.status}`);
+                }
+                Object.assign(webhook, { lastDeliveredAt: new Date().toISOString(), lastError: null });
+            } catch (error) {
+                console.warn(`Could not notify a webhook of watch list ${list.id}:`, error.message);
+                webhook.lastError = redact(error.message);
+            }
+        }));
+    }
+    
+    /**
+     * Stores a watch list after the writes already queued for it, or removes
+     * the file of a deleted list
+     * @returns {Promise<void>} - Settles once written; failures are logged
+     */
+    save(list) {
+        const write = (this.writes.get(list.id) || Promise.resolve()).then(() => this.writeList(list));
+        this.writes.set(list.id, write);
+        write.then(() => {
+            if (this.writes.get(list.id) === write) {
+                this.writes.delete(list.id);
+            }
+        });
+        return write;
+    }
+    
+    /**
+     * Writes the current state of a watch list to disk
+     */
+    async writeList(list) {
+        const file = this.filePath(list.id);
+        
+        try {
+            if (!this.lists.has(list.id)) {
+                await fs.rm(file, { force: true });
+                return;
+            }
+            
+            await fs.mkdir(this.directory, { recursive: true });
+            
+            // Write then rename so readers never see a partial file
+            const tempFile = `${file}.${process.pid}.tmp`;
+            await fs.writeFile(tempFile, JSON.stringify(list));
+            await fs.rename(tempFile, file);
+        } catch (error) {
+            console.warn(`Could not store watch list ${list.id}:`, error.message);
+        }
+    }
+}
+
+// Create and export service instance
+const watchService = new WatchService();
+export default watchService;
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import config from './config.js';
+import forgeRegistry from './forgeRegistry.js';
+import analysisService from './analysisService.js';
+import cardRenderer, { escapeLinkText } from './cardRenderer.js';
+import { DEFAULT_HOST } from './forgeService.js';
+
+// File a repository opts in with, read from its default branch
+const OPT_IN_PATH = '.github/osguide.json';
+
+// Hidden in every welcome comment, so a redelivered event never posts a second one
+const WELCOME_MARKER = '<!-- osguide-welcome -->';
+
+// Stages reported by welcome jobs, in order
+const WELCOME_STAGES = ['optIn', 'firstTime', 'analysis', 'comment'];
+
+// author_association values of people who have not contributed to the repository before
+const FIRST_TIME_ASSOCIATIONS = ['FIRST_TIMER', 'FIRST_TIME_CONTRIBUTOR'];
+
+// author_association values of people who have
+const KNOWN_ASSOCIATIONS = ['OWNER', 'MEMBER', 'COLLABORATOR', 'CONTRIBUTOR'];
+
+const MAX_MESSAGE_LENGTH = 2000;
+const MAX_RULES_LENGTH = 6000;
+const MAX_LISTED_ISSUES = 3;
+
+/**
+ * Signs a webhook body the way GitHub does
+ * @param {string} secret - Webhook secret
+ * @param {Buffer|string} body - Request body
+ * @returns {string} - X-Hub-Signature-256 header value
+ */
+function signPayload(secret, body) {
+    return `sha256=${crypto.createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+/**
+ * Checks the X-Hub-Signature-256 header of a webhook delivery
+ * @param {string} secret - Webhook secret
+ * @param {Buffer} body - Request body, exactly as received
+ * @param {string} [header] - Header value, sha256=<hex HMAC of the body>
+ * @returns {boolean} - True when the signature matches
+ */
+function verifySignature(secret, body, header) {
+    if (typeof header !== 'string' || !header.startsWith('sha256=')) {
+        return false;
+    }
+    
+    const expected = Buffer.from(signPayload(secret, body));
+    const received = Buffer.from(header);
+    return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+}
+
+/**
+ * Reads what a webhook delivery is about. Only newly opened issues and pull
+ * requests by people who may be new to the repository are welcomed.
+ * @param {string} event - X-GitHub-Event header value
+ * @param {Object} payload - Delivery payload
+ * @returns {Object} - Object with target, the input of a welcome job, or ignored giving the reason
+ */
+function describeEvent(event, payload) {
+    if (!['issues', 'pull_request'].includes(event)) {
+        return { ignored: `${event} events are not handled` };
+    }
+    if (payload.action !== 'opened') {
+        return { ignored: `${event}.${payload.action} events are not handled` };
+    }
+    
+    const item = event === 'issues' ? payload.issue : payload.pull_request;
+    if (!item || !item.user || !payload.repository) {
+        return { ignored: 'The payload has no issue, pull request or repository' };
+    }
+    if (item.user.type === 'Bot') {
+        return { ignored: `${item.user.login} is a bot` };
+    }
+    if (KNOWN_ASSOCIATIONS.includes(item.author_association)) {
+        return { ignored: `${item.user.login} already contributes to ${payload.repository.full_name}` };
+    }
+    
+    return {
+        target: {
+            kind: event === 'issues' ? 'issue' : 'pullRequest',
+            repoUrl: payload.repository.html_url,
+            number: item.number,
+            url: item.html_url,
+            author: item.user.login,
+            authorAssociation: item.author_association || 'NONE'
+        }
+    };
+}
+
+/**
+ * Parses the opt-in file of a repository:
+ * { "welcome": { "issues": true, "pullRequests": true, "message": "..." } },
+ * or "welcome": true for both with no message
+ * @param {string} text - File content
+ * @returns {Object} - Object with settings ({ issues, pullRequests, message }), or error describing the problem
+ */
+function parseWelcomeSettings(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { error: `${OPT_IN_PATH} is not valid JSON: ${error.message}` };
+    }
+    
+    const welcome = data && data.welcome;
+    if (welcome === true) {
+        return { settings: { issues: true, pullRequests: true, message: null } };
+    }
+    if (!welcome || typeof welcome !== 'object') {
+        return { settings: { issues: false, pullRequests: false, message: null } };
+    }
+    
+    const { issues = true, pullRequests = true, message = null } = welcome;
+    if (typeof issues !== 'boolean' || typeof pullRequests !== 'boolean') {
+        return { error: `welcome.issues and welcome.pullRequests in ${OPT_IN_PATH} must be true or false` };
+    }
+    if (message !== null && (typeof message !== 'string' || message.length > MAX_MESSAGE_LENGTH)) {
+        return { error: `welcome.message in ${OPT_IN_PATH} must be a string of at most ${MAX_MESSAGE_LENGTH} characters` };
+    }
+    
+    return { settings: { issues, pullRequests, message: message && message.trim() } };
+}
+
+/**
+ * Builds the welcome comment: the repository's own message, its contribution
+ * rules as summarized by the analysis, a few beginner-friendly issues and a
+ * link to the full onboarding guide
+ * @param {Object} target - Welcome job input, see describeEvent
+ * @param {Object} response - Analysis response body
+ * @param {Object} settings - Opt-in settings, see parseWelcomeSettings
+ * @param {string|null} publicUrl - Address of this server, for the guide link
+ * @returns {string} - Comment, in Markdown
+ */
+function buildWelcomeComment(target, response, settings, publicUrl) {
+    const { repository } = response;
+    const noun = target.kind === 'issue' ? 'issue' : 'pull request';
+    
+    let rules = cardRenderer.renderMarkdown('contributionRules', response.analysis.contributionRules);
+    if (rules.length > MAX_RULES_LENGTH) {
+        rules = `${rules.slice(0, MAX_RULES_LENGTH).replace(/\s+\S*$/, '')} …`;
+    }
+    
+    const issues = response.beginnerIssues
+        .filter(issue => issue.number !== target.number)
+        .slice(0, MAX_LISTED_ISSUES)
+        .map(issue => `- [#${issue.number} ${escapeLinkText(issue.title)}](${issue.url})`);
+    
+    const links = [
+        publicUrl && `[Full onboarding guide for ${escapeLinkText(repository.fullName)}](${publicUrl}/?repo=${encodeURIComponent(repository.url)})`,
+        `[All open issues](${repository.url}/issues)`
+    ].filter(Boolean);
+    
+    return [
+        WELCOME_MARKER,
+        `👋 Thanks for opening your first ${noun} in ${repository.fullName}, @${target.author}!`,
+        settings.message,
+        `### How to contribute\n\n${rules}`,
+        target.kind === 'issue' && issues.length > 0 && `### Looking for something to work on?\n\n${issues.join('\n')}`,
+        links.join(' · '),
+        `<sub>Posted by OpenSourceGuide.AI because this repository opted in with \`${OPT_IN_PATH}\`.</sub>`
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Welcomes first-time contributors from inside a repository. GitHub webhook
+ * deliveries become welcome jobs; each job checks the repository opted in,
+ * that the author is new to it, runs the analysis (cached per commit like any
+ * other) and comments with the contribution rules and a few links.
+ */
+class WelcomeService {
+    /**
+     * Reads a repository's opt-in settings
+     * @returns {Promise<Object|null>} - Settings, see parseWelcomeSettings, or null when the file is missing
+     */
+    async readSettings(forge, owner, repo) {
+        let text;
+        try {
+            text = await forge.readFile(owner, repo, OPT_IN_PATH);
+        } catch (error) {
+            if (error.status === 404) {
+                return null;
+            }
+            throw error;
+        }
+        
+        const { settings, error } = parseWelcomeSettings(text || '');
+        if (error) {
+            throw Object.assign(new Error(error), { status: 400, body: { error: 'Invalid opt-in file', message: error } });
+        }
+        return settings;
+    }
+    
+    /**
+     * Decides whether the author is new to the repository. GitHub only marks
+     * some first contributions, so authors without any association count as
+     * new when they have not opened another issue or pull request there.
+     */
+    async isFirstTimeContributor(forge, owner, repo, target) {
+        if (FIRST_TIME_ASSOCIATIONS.includes(target.authorAssociation)) {
+            return true;
+        }
+        if (KNOWN_ASSOCIATIONS.includes(target.authorAssociation)) {
+            return false;
+        }
+        
+        // The search index may not include the new issue yet
+        return await forge.countAuthoredIssues(owner, repo, target.author) <= 1;
+    }
+    
+    /**
+     * Runs a welcome job
+     * @param {Object} target - Job input, see describeEvent
+     * @param {Object} options
+     * @param {Function} options.setStage - Reports the status of a stage
+     * @returns {Promise<Object>} - { posted, reason?, comment?, commentUrl?, dryRun? }
+     */
+    async run(target, { setStage }) {
+        const { githubWebhook, server } = config.get();
+        
+        const parsedRepo = forgeRegistry.parseRepositoryUrl(target.repoUrl);
+        if (!parsedRepo || parsedRepo.forge.kind !== 'github') {
+            const message = `${target.repoUrl} is not on a configured GitHub instance`;
+            throw Object.assign(new Error(message), { status: 400, body: { error: 'Unsupported repository', message } });
+        }
+        
+        const { owner, repo } = parsedRepo;
+        // The webhook token is a github.com token; GitHub Enterprise uses its own
+        const forge = githubWebhook.token && parsedRepo.forge.host === DEFAULT_HOST
+            ? parsedRepo.forge.withToken(githubWebhook.token)
+            : parsedRepo.forge;
+        
+        setStage('optIn', 'running');
+        const settings = await this.readSettings(forge, owner, repo);
+        setStage('optIn', 'done');
+        if (!settings || !settings[target.kind === 'issue' ? 'issues' : 'pullRequests']) {
+            return { posted: false, reason: `${owner}/${repo} has not opted in to welcome comments on ${target.kind === 'issue' ? 'issues' : 'pull requests'}` };
+        }
+        
+        setStage('firstTime', 'running');
+        const firstTime = await this.isFirstTimeContributor(forge, owner, repo, target);
+        setStage('firstTime', 'done');
+        if (!firstTime) {
+            return { posted: false, reason: `${target.author} has contributed to ${owner}/${repo} before` };
+        }
+        
+        setStage('analysis', 'running');
+        const resolved = await analysisService.resolveRepository({ forge, owner, repo });
+        const response = await analysisService.analyze(resolved);
+        setStage('analysis', 'done');
+        
+        setStage('comment', 'running');
+        const comment = buildWelcomeComment(target, response, settings, server.publicUrl);
+        if (githubWebhook.dryRun) {
+            setStage('comment', 'skipped');
+            return { posted: false, dryRun: true, comment };
+        }
+        
+        const comments = await forge.getIssueComments(owner, repo, target.number);
+        if (comments.some(existing => (existing.body || '').includes(WELCOME_MARKER))) {
+            setStage('comment', 'done');
+            return { posted: false, reason: `${target.url} was already welcomed` };
+        }
+        
+        const created = await forge.createIssueComment(owner, repo, target.number, comment);
+        setStage('comment', 'done');
+        return { posted: true, commentUrl: created.html_url, comment };
+    }
+}
+
+export { WELCOME_STAGES, verifySignature, signPayload, describeEvent, parseWelcomeSettings, buildWelcomeComment };
+
+// Create and export service instance
+const welcomeService = new WelcomeService();
+export default welcomeService;